@@ -0,0 +1,158 @@
+import { ascending } from 'd3-array';
+import { groupBy } from 'lodash';
+
+import SortUtils from '../sortutils';
+import TimeUtils from '../timeutils';
+
+const d3 = Object.assign({}, {
+  ascending,
+});
+
+/**
+ * Analysis of the cancelled trips: how many trips were cancelled per line and per hour of the
+ * day, and the resulting gaps in the service at the stops. At a stop, the passengers of a line
+ * and direction wait from the last departure operated before one or more cancelled departures
+ * to the first one operated after them, instead of the scheduled headway.
+ */
+export default class Cancellations {
+  /**
+   * Count the scheduled and cancelled trips of a group
+   * @param  {Array.<VehicleJourney>} vehicleJourneys - Trips of the group
+   * @return {{scheduled: number, cancelled: number, share: number}} - Number of scheduled trips,
+   *   number of cancelled ones and their share (from 0 to 1)
+   */
+  static summarize(vehicleJourneys) {
+    const cancelled = vehicleJourneys.filter(vehicleJourney => vehicleJourney.cancelled).length;
+    return {
+      scheduled: vehicleJourneys.length,
+      cancelled,
+      share: vehicleJourneys.length ? cancelled / vehicleJourneys.length : undefined,
+    };
+  }
+
+  /**
+   * Compute the gaps in the service at the stops caused by the cancelled trips
+   * @param  {PTDataset} dataset - Dataset
+   * @return {Array.<{
+   *   stop: Stop,
+   *   line: Line,
+   *   direction: number,
+   *   from: ?Date,
+   *   to: ?Date,
+   *   cancelledTrips: Array.<VehicleJourney>,
+   *   gap: ?number,
+   *   scheduledHeadway: ?number
+   * }>} - Gaps, from the longest: the stop, line and direction, the scheduled times of the
+   *   departures operated before and after the cancelled ones (null if none), the cancelled
+   *   trips, the length of the gap and the longest scheduled headway within it, in seconds
+   */
+  static gaps(dataset) {
+    // Scheduled departures from each stop, per line and direction
+    const departures = {};
+    for (const vehicleJourney of Object.values(dataset.vehicleJourneys)) {
+      const { stops, line, direction } = vehicleJourney.journeyPattern;
+      for (let index = 0; index < stops.length - 1; index += 1) {
+        const key = `${stops[index].code}|${line.code}|${direction}`;
+        departures[key] = departures[key] || [];
+        departures[key].push({
+          stop: stops[index],
+          vehicleJourney,
+          time: vehicleJourney.times[(index * 2) + 1],
+        });
+      }
+    }
+
+    const gaps = [];
+    for (const stopDepartures of Object.values(departures)) {
+      // Only the stops with cancelled departures have gaps
+      if (stopDepartures.some(({ vehicleJourney }) => vehicleJourney.cancelled)) {
+        stopDepartures.sort((a, b) => a.time - b.time);
+        const { stop, vehicleJourney: { journeyPattern: { line, direction } } } = stopDepartures[0];
+
+        // Departures from the last operated one, followed by the cancelled ones
+        let sequence = [];
+        const addGap = (next) => {
+          const times = [...sequence, next]
+            .filter(departure => departure)
+            .map(({ time }) => time);
+          const headways = times.slice(1).map((time, index) => (time - times[index]) / 1000);
+          const from = sequence[0].vehicleJourney.cancelled ? null : sequence[0].time;
+          const to = next ? next.time : null;
+          gaps.push({
+            stop,
+            line,
+            direction,
+            from,
+            to,
+            cancelledTrips: sequence
+              .filter(({ vehicleJourney }) => vehicleJourney.cancelled)
+              .map(({ vehicleJourney }) => vehicleJourney),
+            gap: from !== null && to !== null ? (to - from) / 1000 : null,
+            scheduledHeadway: headways.length ? Math.max(...headways) : null,
+          });
+        };
+
+        for (const departure of stopDepartures) {
+          if (!departure.vehicleJourney.cancelled) {
+            if (sequence.some(({ vehicleJourney }) => vehicleJourney.cancelled)) addGap(departure);
+            sequence = [departure];
+          } else {
+            sequence.push(departure);
+          }
+        }
+        if (sequence.some(({ vehicleJourney }) => vehicleJourney.cancelled)) addGap(null);
+      }
+    }
+
+    // Longest gaps first, the ones without service before or after at the end
+    const gapOrder = ({ gap }) => (gap === null ? -1 : gap);
+    return gaps.sort((a, b) => d3.ascending(gapOrder(b), gapOrder(a)));
+  }
+
+  /**
+   * Compute the cancellations of a dataset per line and per line and hour of the day,
+   * and the resulting gaps in the service at the stops
+   * @param  {PTDataset} dataset - Dataset
+   * @return {{
+   *   overall: Object,
+   *   byLine: Array.<Object>,
+   *   byLineHour: Array.<Object>,
+   *   gaps: Array.<Object>
+   * }} - Counts of the scheduled and cancelled trips (see summarize) overall, per line and per
+   *   line and hour of the first departure of the trips, only for the hours with cancellations,
+   *   each with the line and the hour of the service day. The gaps, see gaps
+   */
+  static compute(dataset) {
+    const vehicleJourneys = Object.values(dataset.vehicleJourneys);
+    const hourOf = ({ times }) => TimeUtils
+      .serviceHour(times[0], dataset.referenceDate, dataset.timezone);
+    const lineOf = ({ journeyPattern }) => journeyPattern.line.code;
+
+    const byLine = Object.values(groupBy(vehicleJourneys, lineOf))
+      .map(lineVehicleJourneys => Object.assign(
+        { line: lineVehicleJourneys[0].journeyPattern.line },
+        Cancellations.summarize(lineVehicleJourneys),
+      ))
+      .sort((a, b) => SortUtils.naturalOrder(a.line.code, b.line.code));
+
+    const byLineHour = Object
+      .values(groupBy(vehicleJourneys, vehicleJourney => `${lineOf(vehicleJourney)}|${hourOf(vehicleJourney)}`))
+      .map(groupVehicleJourneys => Object.assign(
+        {
+          line: groupVehicleJourneys[0].journeyPattern.line,
+          hour: hourOf(groupVehicleJourneys[0]),
+        },
+        Cancellations.summarize(groupVehicleJourneys),
+      ))
+      .filter(({ cancelled }) => cancelled > 0)
+      .sort((a, b) => SortUtils.naturalOrder(a.line.code, b.line.code)
+        || d3.ascending(a.hour, b.hour));
+
+    return {
+      overall: Cancellations.summarize(vehicleJourneys),
+      byLine,
+      byLineHour,
+      gaps: Cancellations.gaps(dataset),
+    };
+  }
+}
@@ -0,0 +1,96 @@
+import { ascending, mean, quantile } from 'd3-array';
+
+import TimeUtils from '../timeutils';
+
+const d3 = Object.assign({}, {
+  ascending,
+  mean,
+  quantile,
+});
+
+/**
+ * Analysis of the delays at the stops of the reference journey pattern of a mix per hour of the
+ * day, summarizing a whole day at once. The delay of a vehicle at a stop is the one of its
+ * departure from the stop compared to the scheduled departure, and it falls in the hour of the
+ * scheduled departure. At the last stop of a trip, the arrival is taken instead.
+ */
+export default class DelayHeatmap {
+  /**
+   * Compute the delays at each stop of the reference journey pattern of a mix, per hour
+   * @param  {Object} journeyPatternMix - Mix of journey patterns, see
+   *   PTDS.computeJourneyPatternMix
+   * @param  {{referenceDate: string, timezone: string}} dataset - Dataset of the trips
+   * @param  {number} [percentile] - Percentile of the delays computed, from 0 to 100
+   * @return {{
+   *   stops: Array.<Stop>,
+   *   hours: Array.<number>,
+   *   percentile: number,
+   *   cells: Array.<{
+   *     stopIndex: number,
+   *     stop: Stop,
+   *     hour: number,
+   *     count: number,
+   *     mean: number,
+   *     percentile: number
+   *   }>
+   * }} - Stops of the reference journey pattern, hours of the service day from the first to
+   *   the last one with delays, and for each stop and hour with delays their number, mean and
+   *   percentile in seconds
+   */
+  static compute(journeyPatternMix, { referenceDate, timezone }, percentile = 90) {
+    const { referenceJP, otherJPs } = journeyPatternMix;
+    const journeyPatterns = [referenceJP, ...otherJPs.map(({ journeyPattern }) => journeyPattern)];
+
+    const cellsDelays = {};
+    for (const journeyPattern of journeyPatterns) {
+      // Index in the reference journey pattern of each stop, -1 if not in it
+      const referenceIndexes = journeyPattern.stops.map(stop => referenceJP.stops.indexOf(stop));
+      const lastIndex = journeyPattern.stops.length - 1;
+      for (const vehicleJourney of journeyPattern.vehicleJourneys) {
+        const { scheduledStopTimes, realtimeStopTimes } = vehicleJourney;
+        for (const [index, stopIndex] of referenceIndexes.entries()) {
+          if (stopIndex !== -1) {
+            const event = index === lastIndex ? 'arrival' : 'departure';
+            const scheduledTime = scheduledStopTimes[index][event];
+            const hour = TimeUtils.serviceHour(scheduledTime, referenceDate, timezone);
+            const key = `${stopIndex}|${hour}`;
+            for (const { stopTimes } of realtimeStopTimes) {
+              const realisedTime = stopTimes[index][event];
+              if (realisedTime !== null) {
+                cellsDelays[key] = cellsDelays[key] || { stopIndex, hour, delays: [] };
+                cellsDelays[key].delays.push((realisedTime - scheduledTime) / 1000);
+              }
+            }
+          }
+        }
+      }
+    }
+
+    const cells = Object.values(cellsDelays).map(({ stopIndex, hour, delays }) => {
+      delays.sort(d3.ascending);
+      return {
+        stopIndex,
+        stop: referenceJP.stops[stopIndex],
+        hour,
+        count: delays.length,
+        mean: d3.mean(delays),
+        percentile: d3.quantile(delays, percentile / 100),
+      };
+    });
+
+    const hours = [];
+    if (cells.length) {
+      const cellsHours = cells.map(({ hour }) => hour);
+      for (let hour = Math.min(...cellsHours); hour <= Math.max(...cellsHours); hour += 1) {
+        hours.push(hour);
+      }
+    }
+
+    return {
+      stops: referenceJP.stops,
+      hours,
+      percentile,
+      cells,
+    };
+  }
+}
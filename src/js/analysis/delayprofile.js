@@ -0,0 +1,111 @@
+import { ascending, bisector, quantile } from 'd3-array';
+
+const d3 = Object.assign({}, {
+  ascending,
+  bisector,
+  quantile,
+});
+
+/**
+ * Analysis of the delay of the trips along their journey pattern: the delay of each realtime
+ * position compared to the static schedule, against the distance traveled. It shows where
+ * along the route the delay is built up or recovered. Overlaying all the trips of a journey
+ * pattern, the distribution of their delays is sampled at regular distances.
+ */
+export default class DelayProfile {
+  /**
+   * Compute the delay profile of a trip, for each vehicle that served it
+   * @param  {VehicleJourney} vehicleJourney - Vehicle journey
+   * @return {Array.<{
+   *   vehicleNumber: (number|string),
+   *   points: Array.<{distance: number, delay: number}>
+   * }>} - For each vehicle with positions along the route, the distance and the delay
+   *   in seconds of each of its positions, in order of time
+   */
+  static trip(vehicleJourney) {
+    return vehicleJourney.realTimeData
+      .map(({ vehicleNumber, positions }) => ({
+        vehicleNumber,
+        points: positions
+          .filter(({ delay }) => delay !== null)
+          .map(({ distanceFromStart: distance, delay }) => ({ distance, delay })),
+      }))
+      .filter(({ points }) => points.length > 0);
+  }
+
+  /**
+   * Delay of a vehicle at a distance, interpolated between its positions around it.
+   * Where the vehicle stood still, e.g. at the stops, it is the delay when it moved on
+   * @param  {Array.<{distance: number, delay: number}>} points - Positions of the vehicle,
+   *   sorted by distance
+   * @param  {number} distance - Distance along the journey pattern
+   * @return {?number} - Delay in seconds, null if the vehicle didn't cover the distance
+   */
+  static delayAtDistance(points, distance) {
+    const index = d3.bisector(point => point.distance).right(points, distance);
+    if (index === 0) return null;
+    const previous = points[index - 1];
+    if (index === points.length) return previous.distance === distance ? previous.delay : null;
+    const next = points[index];
+    const fraction = (distance - previous.distance) / (next.distance - previous.distance);
+    return previous.delay + ((next.delay - previous.delay) * fraction);
+  }
+
+  /**
+   * Compute the delay profiles of all the realtime trips of a journey pattern,
+   * and the distribution of their delays along it
+   * @param  {JourneyPattern} journeyPattern - Journey pattern
+   * @param  {{step: number, bands: Array.<Array.<number>>}} [options] - Distance in meters
+   *   between the samples of the delays, taken at the stops too, and lower and upper
+   *   percentiles (from 0 to 100) of the bands of the distribution
+   * @return {{
+   *   trips: Array.<Object>,
+   *   samples: Array.<{
+   *     distance: number,
+   *     count: number,
+   *     median: number,
+   *     bands: Array.<{lower: number, upper: number}>
+   *   }>
+   * }} - Delay profiles of the trips (see trip), each with its vehicle journey. Samples of the
+   *   delays at the distances covered by at least a trip, with the number of trips, their
+   *   median delay and the delays at the percentiles of each band, in seconds
+   */
+  static aggregate(journeyPattern, { step = 100, bands = [[10, 90], [25, 75]] } = {}) {
+    const trips = [];
+    for (const vehicleJourney of Object.values(journeyPattern.vehicleJourneys)) {
+      for (const profile of DelayProfile.trip(vehicleJourney)) {
+        trips.push(Object.assign({ vehicleJourney }, profile));
+      }
+    }
+    const tripsPointsByDistance = trips
+      .map(({ points }) => [...points].sort((a, b) => a.distance - b.distance));
+
+    const { distances } = journeyPattern;
+    const lastDistance = distances[distances.length - 1];
+    const sampleDistances = new Set(distances);
+    for (let distance = distances[0]; distance < lastDistance; distance += step) {
+      sampleDistances.add(distance);
+    }
+
+    const samples = [...sampleDistances]
+      .sort(d3.ascending)
+      .map((distance) => {
+        const delays = tripsPointsByDistance
+          .map(points => DelayProfile.delayAtDistance(points, distance))
+          .filter(delay => delay !== null)
+          .sort(d3.ascending);
+        return {
+          distance,
+          count: delays.length,
+          median: d3.quantile(delays, 0.5),
+          bands: bands.map(([lower, upper]) => ({
+            lower: d3.quantile(delays, lower / 100),
+            upper: d3.quantile(delays, upper / 100),
+          })),
+        };
+      })
+      .filter(({ count }) => count > 0);
+
+    return { trips, samples };
+  }
+}
@@ -0,0 +1,115 @@
+import { ascending, mean, quantile } from 'd3-array';
+import { flatten } from 'lodash';
+
+const d3 = Object.assign({}, {
+  ascending,
+  mean,
+  quantile,
+});
+
+/**
+ * Analysis of the dwell times of the trips at the stops of a journey pattern, that is how long
+ * the vehicles stand at the stops. The scheduled dwell is the time between the scheduled arrival
+ * and departure, the realised one is derived from the consecutive realtime positions of the
+ * vehicles staying at the distance of the stop (see VehicleJourney.getRealtimeStopTimes).
+ * All the trips of the journey patterns shown together with the reference one are considered.
+ */
+export default class DwellTimes {
+  /**
+   * Summarize a list of dwells
+   * @param  {Array.<{dwell: number, scheduledDwell: number}>} dwells - Dwells, in seconds
+   * @return {{
+   *   count: number,
+   *   scheduledMean: number,
+   *   actualMean: number,
+   *   actualMedian: number,
+   *   actualP90: number,
+   *   excessMean: number
+   * }} - Number of dwells, mean scheduled dwell, mean, median and 90th percentile of the
+   *   realised dwells, and mean excess of the realised dwell over the scheduled one
+   */
+  static summarize(dwells) {
+    const actualDwells = dwells.map(({ dwell }) => dwell).sort(d3.ascending);
+    return {
+      count: dwells.length,
+      scheduledMean: d3.mean(dwells, ({ scheduledDwell }) => scheduledDwell),
+      actualMean: d3.mean(actualDwells),
+      actualMedian: d3.quantile(actualDwells, 0.5),
+      actualP90: d3.quantile(actualDwells, 0.9),
+      excessMean: d3.mean(dwells, ({ dwell, scheduledDwell }) => dwell - scheduledDwell),
+    };
+  }
+
+  /**
+   * Compute the dwells at the stops of the reference journey pattern of a mix.
+   * The first and last stops of the journey patterns are left out, since the vehicles
+   * stand there waiting for the start of the trip or after its end
+   * @param  {Object} journeyPatternMix - Mix of journey patterns, see
+   *   PTDS.computeJourneyPatternMix
+   * @param  {number} [tolerance] - Tolerance on the distance of the stops, in meters
+   * @return {{
+   *   stops: Array.<Object>,
+   *   overall: Object,
+   *   dwells: Array.<Object>
+   * }} - For each stop of the reference journey pattern, the stop with its distance along the
+   *   reference journey pattern, its dwells and their summary (see summarize).
+   *   The summary of all the dwells, and the list of all the dwells. Each dwell has the trip,
+   *   the vehicle, the realised arrival and departure times, the realised and scheduled dwells
+   *   in seconds
+   */
+  static compute(journeyPatternMix, tolerance = 0) {
+    const { referenceJP, otherJPs } = journeyPatternMix;
+    const journeyPatterns = [referenceJP, ...otherJPs.map(({ journeyPattern }) => journeyPattern)];
+
+    // Scheduled and realtime times at the stops of each trip, computed once for all the stops
+    const stopTimes = new Map();
+    for (const journeyPattern of journeyPatterns) {
+      for (const vehicleJourney of journeyPattern.vehicleJourneys) {
+        stopTimes.set(vehicleJourney, {
+          scheduled: vehicleJourney.scheduledStopTimes,
+          realtime: vehicleJourney.getRealtimeStopTimes(tolerance),
+        });
+      }
+    }
+
+    const stops = referenceJP.stops.map((stop, stopIndex) => {
+      const dwells = [];
+      for (const journeyPattern of journeyPatterns) {
+        const index = journeyPattern.stops.indexOf(stop);
+        if (index > 0 && index < journeyPattern.stops.length - 1) {
+          for (const vehicleJourney of journeyPattern.vehicleJourneys) {
+            const { scheduled, realtime } = stopTimes.get(vehicleJourney);
+            for (const { vehicleNumber, stopTimes: vehicleStopTimes } of realtime) {
+              const { arrival, departure, dwell } = vehicleStopTimes[index];
+              if (dwell !== null) {
+                dwells.push({
+                  stop,
+                  distance: referenceJP.distances[stopIndex],
+                  vehicleJourney,
+                  vehicleNumber,
+                  arrival,
+                  departure,
+                  dwell,
+                  scheduledDwell: scheduled[index].dwell,
+                });
+              }
+            }
+          }
+        }
+      }
+
+      return Object.assign({
+        stop,
+        distance: referenceJP.distances[stopIndex],
+        dwells,
+      }, DwellTimes.summarize(dwells));
+    });
+
+    const allDwells = flatten(stops.map(({ dwells }) => dwells));
+    return {
+      stops,
+      overall: DwellTimes.summarize(allDwells),
+      dwells: allDwells,
+    };
+  }
+}
@@ -0,0 +1,161 @@
+import { deviation, mean, sum } from 'd3-array';
+import { flatten } from 'lodash';
+
+const d3 = Object.assign({}, {
+  deviation,
+  mean,
+  sum,
+});
+
+/**
+ * Analysis of the regularity of the headways at the stops of a journey pattern, for
+ * frequent lines where the passengers don't look at the timetable.
+ * At each stop, the headway of a trip is the time between its departure and the one of the
+ * previous trip, among all the trips of the journey patterns shown together with the reference
+ * one. The actual headways are computed from the realtime departures of the trips, in the
+ * order in which they actually departed, the scheduled ones from the timetable. A trip bunches
+ * with the previous one when its actual headway is less than a fraction of its scheduled one.
+ * Two trips departing one after the other don't make a headway if a trip without realtime data
+ * is scheduled between them, since it may have departed between them unseen. Cancelled trips
+ * surely didn't, so the gap they leave counts.
+ */
+export default class Headways {
+  /**
+   * Summarize a list of headways
+   * @param  {Array.<{actual: number, scheduled: number, bunching: boolean}>} headways - Headways,
+   *   in seconds
+   * @return {{
+   *   count: number,
+   *   scheduledMean: number,
+   *   actualMean: number,
+   *   cv: number,
+   *   excessWaitTime: number,
+   *   bunchingCount: number
+   * }} - Number of headways, mean scheduled and actual headways, coefficient of variation of the
+   *   actual headways, excess wait time (the average wait of passengers arriving at random,
+   *   beyond the one expected with the scheduled headways) and number of bunching events
+   */
+  static summarize(headways) {
+    // Average wait of passengers arriving at random, given the headways
+    const averageWait = values => d3.sum(values, value => value * value) / (2 * d3.sum(values));
+
+    const actualHeadways = headways.map(({ actual }) => actual);
+    const scheduledHeadways = headways.map(({ scheduled }) => scheduled);
+    const actualMean = d3.mean(actualHeadways);
+
+    return {
+      count: headways.length,
+      scheduledMean: d3.mean(scheduledHeadways),
+      actualMean,
+      cv: headways.length > 1 ? d3.deviation(actualHeadways) / actualMean : undefined,
+      excessWaitTime: headways.length
+        ? averageWait(actualHeadways) - averageWait(scheduledHeadways)
+        : undefined,
+      bunchingCount: headways.filter(({ bunching }) => bunching).length,
+    };
+  }
+
+  /**
+   * Compute the headways at the stops of the reference journey pattern of a mix
+   * @param  {Object} journeyPatternMix - Mix of journey patterns, see
+   *   PTDS.computeJourneyPatternMix
+   * @param  {number} [bunchingThreshold] - Fraction of the scheduled headway under which
+   *   the actual headway is considered bunching
+   * @return {{
+   *   stops: Array.<Object>,
+   *   overall: Object,
+   *   bunchingEvents: Array.<Object>
+   * }} - For each stop of the reference journey pattern but the last, the stop with its distance
+   *   along the reference journey pattern, its headways and their summary (see summarize).
+   *   The summary of all the headways, and the list of the headways flagged as bunching.
+   *   Each headway has the leader and follower trips and their actual departure times,
+   *   the actual and scheduled headways in seconds and the bunching flag
+   */
+  static compute(journeyPatternMix, bunchingThreshold = 0.25) {
+    const { referenceJP, otherJPs } = journeyPatternMix;
+    const journeyPatterns = [referenceJP, ...otherJPs.map(({ journeyPattern }) => journeyPattern)];
+
+    // Realtime times at the stops of each trip, computed once for all the stops
+    const realtimeStopTimes = new Map();
+    for (const journeyPattern of journeyPatterns) {
+      for (const vehicleJourney of journeyPattern.vehicleJourneys) {
+        realtimeStopTimes.set(vehicleJourney, vehicleJourney.realtimeStopTimes);
+      }
+    }
+
+    const stops = referenceJP.stops.slice(0, -1).map((stop, stopIndex) => {
+      // Scheduled and actual departures from the stop of all the trips serving it
+      const departures = [];
+      for (const journeyPattern of journeyPatterns) {
+        const index = journeyPattern.stops.indexOf(stop);
+        if (index !== -1 && index < journeyPattern.stops.length - 1) {
+          for (const vehicleJourney of journeyPattern.vehicleJourneys) {
+            // If more vehicles served the trip, the first one departing counts
+            const actualDepartures = realtimeStopTimes.get(vehicleJourney)
+              .map(({ stopTimes }) => stopTimes[index].departure)
+              .filter(departure => departure !== null);
+            departures.push({
+              vehicleJourney,
+              scheduled: vehicleJourney.times[(index * 2) + 1],
+              actual: actualDepartures.length ? new Date(Math.min(...actualDepartures)) : null,
+            });
+          }
+        }
+      }
+
+      // Scheduled headway of each trip, compared to the previous trip in the timetable
+      departures.sort((a, b) => a.scheduled - b.scheduled);
+      for (let i = 1; i < departures.length; i += 1) {
+        departures[i].scheduledHeadway = (departures[i].scheduled - departures[i - 1].scheduled)
+                                         / 1000;
+      }
+
+      // Scheduled departures of the trips that may have departed without being seen
+      const untrackedDepartures = departures
+        .filter(({ vehicleJourney, actual }) => actual === null && !vehicleJourney.cancelled)
+        .map(({ scheduled }) => scheduled);
+
+      // Actual headways, in the order in which the trips actually departed
+      const actualDepartures = departures
+        .filter(({ actual }) => actual !== null)
+        .sort((a, b) => a.actual - b.actual);
+      const headways = [];
+      for (let i = 1; i < actualDepartures.length; i += 1) {
+        const leader = actualDepartures[i - 1];
+        const follower = actualDepartures[i];
+        const firstScheduled = Math.min(leader.scheduled, follower.scheduled);
+        const lastScheduled = Math.max(leader.scheduled, follower.scheduled);
+        // Trips departing together in the timetable don't have a headway, and neither do the
+        // ones with an untracked trip between them
+        if (follower.scheduledHeadway > 0 && !untrackedDepartures
+          .some(scheduled => scheduled > firstScheduled && scheduled < lastScheduled)) {
+          const actual = (follower.actual - leader.actual) / 1000;
+          headways.push({
+            stop,
+            distance: referenceJP.distances[stopIndex],
+            leader: leader.vehicleJourney,
+            follower: follower.vehicleJourney,
+            leaderTime: leader.actual,
+            followerTime: follower.actual,
+            actual,
+            scheduled: follower.scheduledHeadway,
+            bunching: actual < bunchingThreshold * follower.scheduledHeadway,
+          });
+        }
+      }
+
+      return Object.assign({
+        stop,
+        distance: referenceJP.distances[stopIndex],
+        headways,
+      }, Headways.summarize(headways));
+    });
+
+    const allHeadways = flatten(stops.map(({ headways }) => headways));
+    return {
+      stops,
+      overall: Headways.summarize(allHeadways),
+      bunchingEvents: allHeadways.filter(({ bunching }) => bunching),
+    };
+  }
+}
@@ -0,0 +1,188 @@
+import { ascending } from 'd3-array';
+import { flatten, groupBy } from 'lodash';
+
+import SortUtils from '../sortutils';
+import TimeUtils from '../timeutils';
+
+const d3 = Object.assign({}, {
+  ascending,
+});
+
+/**
+ * Analysis of the service running over the stops links and serving the stop areas: how many
+ * trips are scheduled per hour of the day, and how many were actually operated, that is seen
+ * in the realtime data. The links between the same two stop areas form a corridor, gathering
+ * the service of all the lines, possibly of different line groups, running between them.
+ */
+export default class LinkFrequency {
+  /**
+   * Count the scheduled and operated trips per hour of the service day over each link
+   * and at each stop area of a dataset
+   * @param  {PTDataset} dataset - Dataset
+   * @return {{
+   *   links: Array.<{
+   *     stopsLink: StopsLink,
+   *     lines: Array.<string>,
+   *     hours: Object.<number, {scheduled: number, operated: number}>
+   *   }>,
+   *   stopAreas: Array.<{
+   *     stopArea: StopArea,
+   *     name: string,
+   *     lines: Array.<string>,
+   *     hours: Object.<number, {scheduled: number, operated: number}>
+   *   }>
+   * }} - For each link and each stop area with service, the codes of the lines serving it and
+   *   the number of trips per hour of their scheduled departure from the link (arrival at the
+   *   stop area for the trips ending there). A trip is operated on a link or at a stop area if
+   *   one of its vehicles was seen leaving or reaching it, never if cancelled
+   */
+  static compute(dataset) {
+    const hourOf = time => TimeUtils.serviceHour(time, dataset.referenceDate, dataset.timezone);
+    const links = {};
+    const stopAreas = {};
+
+    for (const vehicleJourney of Object.values(dataset.vehicleJourneys)) {
+      const { stops, line } = vehicleJourney.journeyPattern;
+      const realtimeStopTimes = vehicleJourney.cancelled ? [] : vehicleJourney.realtimeStopTimes;
+      const seenAt = (index, property) => realtimeStopTimes
+        .some(({ stopTimes }) => stopTimes[index][property] !== null);
+
+      for (const [index, stop] of stops.entries()) {
+        const lastStop = index === stops.length - 1;
+        // Departure from the stop, or arrival at the last one
+        const hour = hourOf(vehicleJourney.times[(index * 2) + (lastStop ? 0 : 1)]);
+
+        const { area } = stop;
+        stopAreas[area.code] = stopAreas[area.code] || {
+          stopArea: area,
+          name: stop.name,
+          lines: new Set(),
+          hours: {},
+        };
+        const counted = [{
+          entry: stopAreas[area.code],
+          operated: seenAt(index, 'arrival') || seenAt(index, 'departure'),
+        }];
+
+        if (!lastStop) {
+          const stopsLink = dataset.stopsLinks[`${stop.code}|${stops[index + 1].code}`];
+          links[stopsLink.linkID] = links[stopsLink.linkID] || {
+            stopsLink,
+            lines: new Set(),
+            hours: {},
+          };
+          counted.push({
+            entry: links[stopsLink.linkID],
+            operated: seenAt(index, 'departure') || seenAt(index + 1, 'arrival'),
+          });
+        }
+
+        for (const { entry, operated } of counted) {
+          entry.lines.add(line.code);
+          entry.hours[hour] = entry.hours[hour] || { scheduled: 0, operated: 0 };
+          entry.hours[hour].scheduled += 1;
+          if (operated) entry.hours[hour].operated += 1;
+        }
+      }
+    }
+
+    const withLinesList = entry => Object.assign({}, entry, {
+      lines: [...entry.lines].sort(SortUtils.naturalOrder),
+    });
+    return {
+      links: Object.values(links).map(withLinesList),
+      stopAreas: Object.values(stopAreas).map(withLinesList),
+    };
+  }
+
+  /**
+   * Summarize the service per hour within a window of hours of the day
+   * @param  {Object.<number, {scheduled: number, operated: number}>} hours - Number of trips
+   *   per hour, see compute
+   * @param  {number} fromHour - First hour of the window, included
+   * @param  {number} toHour - Last hour of the window, excluded
+   * @return {{
+   *   scheduled: number,
+   *   operated: number,
+   *   scheduledPerHour: number,
+   *   operatedPerHour: number,
+   *   operatedShare: number
+   * }} - Number of trips scheduled and operated within the window, their average per hour,
+   *   and the share of the scheduled trips that were operated (from 0 to 1)
+   */
+  static summarize(hours, fromHour, toHour) {
+    let scheduled = 0;
+    let operated = 0;
+    for (let hour = fromHour; hour < toHour; hour += 1) {
+      if (Object.prototype.hasOwnProperty.call(hours, hour)) {
+        scheduled += hours[hour].scheduled;
+        operated += hours[hour].operated;
+      }
+    }
+    const windowHours = Math.max(toHour - fromHour, 1);
+    return {
+      scheduled,
+      operated,
+      scheduledPerHour: scheduled / windowHours,
+      operatedPerHour: operated / windowHours,
+      operatedShare: scheduled ? operated / scheduled : undefined,
+    };
+  }
+
+  /**
+   * Summarize the service over the links, the corridors and at the stop areas within a window
+   * of hours of the day, from the busiest
+   * @param  {Object} frequency - Number of trips per hour, see compute
+   * @param  {number} fromHour - First hour of the window, included
+   * @param  {number} toHour - Last hour of the window, excluded
+   * @return {{
+   *   links: Array.<Object>,
+   *   corridors: Array.<Object>,
+   *   stopAreas: Array.<Object>
+   * }} - The links and the stop areas with service in the window, and the corridors made of
+   *   the links between the same two stop areas, each with the origin and destination stop
+   *   areas with their names and its links. Each of them with the lines serving it and the
+   *   summary of the service (see summarize)
+   */
+  static inWindow(frequency, fromHour, toHour) {
+    const summarizeAll = entries => entries
+      .map(entry => Object.assign(
+        {},
+        entry,
+        LinkFrequency.summarize(entry.hours, fromHour, toHour),
+      ))
+      .filter(({ scheduled }) => scheduled > 0)
+      .sort((a, b) => d3.ascending(b.scheduledPerHour, a.scheduledPerHour));
+
+    const corridors = Object.values(groupBy(
+      frequency.links,
+      ({ stopsLink: { stop1, stop2 } }) => `${stop1.area.code}|${stop2.area.code}`,
+    )).map((corridorLinks) => {
+      const { stop1, stop2 } = corridorLinks[0].stopsLink;
+      const hours = {};
+      for (const link of corridorLinks) {
+        for (const [hour, { scheduled, operated }] of Object.entries(link.hours)) {
+          hours[hour] = hours[hour] || { scheduled: 0, operated: 0 };
+          hours[hour].scheduled += scheduled;
+          hours[hour].operated += operated;
+        }
+      }
+      return {
+        from: stop1.area,
+        fromName: stop1.name,
+        to: stop2.area,
+        toName: stop2.name,
+        stopsLinks: corridorLinks.map(({ stopsLink }) => stopsLink),
+        lines: [...new Set(flatten(corridorLinks.map(({ lines }) => lines)))]
+          .sort(SortUtils.naturalOrder),
+        hours,
+      };
+    });
+
+    return {
+      links: summarizeAll(frequency.links),
+      corridors: summarizeAll(corridors),
+      stopAreas: summarizeAll(frequency.stopAreas),
+    };
+  }
+}
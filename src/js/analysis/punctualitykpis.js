@@ -0,0 +1,142 @@
+import { ascending, mean, quantile } from 'd3-array';
+import { groupBy } from 'lodash';
+
+import SortUtils from '../sortutils';
+import TimeUtils from '../timeutils';
+
+const d3 = Object.assign({}, {
+  ascending,
+  mean,
+  quantile,
+});
+
+/**
+ * Key performance indicators of the punctuality of the departures of the vehicles from the
+ * stops, computed from the realtime data of the vehicle journeys. The delay of a departure is
+ * the one compared to the scheduled departure from the stop, so that the scheduled dwell at the
+ * timing points doesn't count as delay, and the departure is assigned to the corresponding
+ * punctuality band. This differs from the status of the vehicles drawn in the Marey diagram and
+ * in the map (VehicleJourney.vehicleStatusComparedToSchedule), which compares the positions with
+ * the schedule interpolated between the arrivals at the stops, so that a vehicle dwelling as
+ * scheduled at a stop can be drawn late there while departing on time.
+ */
+export default class PunctualityKPIs {
+  /**
+   * Compute the departures of the vehicles from the stops, with their delay.
+   * The arrivals at the last stop of the journeys are not departures and are left out
+   * @param  {PTDataset} dataset - Dataset
+   * @return {Array.<{
+   *   vehicleJourney: VehicleJourney,
+   *   vehicleNumber: number,
+   *   stop: Stop,
+   *   time: Date,
+   *   hour: number,
+   *   delay: number,
+   *   status: string
+   * }>} - Departures, the hour being the one of the service day in the timezone of the dataset
+   */
+  static departures(dataset) {
+    const departures = [];
+    for (const vehicleJourney of Object.values(dataset.vehicleJourneys)) {
+      const { stops, line } = vehicleJourney.journeyPattern;
+      const { scheduledStopTimes } = vehicleJourney;
+      for (const { vehicleNumber, stopTimes } of vehicleJourney.realtimeStopTimes) {
+        for (let index = 0; index < stops.length - 1; index += 1) {
+          const { departure } = stopTimes[index];
+          if (departure !== null) {
+            const delay = (departure - scheduledStopTimes[index].departure) / 1000;
+            departures.push({
+              vehicleJourney,
+              vehicleNumber,
+              stop: stops[index],
+              time: departure,
+              hour: TimeUtils.serviceHour(departure, dataset.referenceDate, dataset.timezone),
+              delay,
+              status: dataset.punctuality.status(delay, line.code),
+            });
+          }
+        }
+      }
+    }
+    return departures;
+  }
+
+  /**
+   * Summarize the punctuality of a group of departures
+   * @param  {Array.<{delay: number, status: string}>} departures - Departures
+   * @param  {Array.<number>} percentiles - Percentiles of the delay to compute, from 0 to 100
+   * @return {{
+   *   count: number,
+   *   shares: Object.<string, number>,
+   *   meanDelay: number,
+   *   percentiles: Object.<number, number>
+   * }} - Number of departures, share of departures in each punctuality band (from 0 to 1),
+   *   mean delay and percentiles of the delay, in seconds
+   */
+  static summarize(departures, percentiles) {
+    const shares = {};
+    for (const { status } of departures) {
+      shares[status] = (shares[status] || 0) + (1 / departures.length);
+    }
+
+    const sortedDelays = departures.map(({ delay }) => delay).sort(d3.ascending);
+    const delayPercentiles = {};
+    for (const percentile of percentiles) {
+      delayPercentiles[percentile] = d3.quantile(sortedDelays, percentile / 100);
+    }
+
+    return {
+      count: departures.length,
+      shares,
+      meanDelay: d3.mean(sortedDelays),
+      percentiles: delayPercentiles,
+    };
+  }
+
+  /**
+   * Compute the punctuality KPIs of a dataset, overall, per line and direction,
+   * per stop and per hour of the day
+   * @param  {PTDataset} dataset - Dataset
+   * @param  {Array.<number>} [percentiles] - Percentiles of the delay to compute, from 0 to 100
+   * @return {{
+   *   overall: Object,
+   *   byLineDirection: Array.<Object>,
+   *   byStop: Array.<Object>,
+   *   byHour: Array.<Object>
+   * }} - Summaries of the departures (see summarize), each group with its key and label
+   */
+  static compute(dataset, percentiles = [50, 85, 95]) {
+    const departures = PunctualityKPIs.departures(dataset);
+
+    // Summarize the departures grouped by a key, sorting the groups by key
+    const summarizeGroups = (keyFunc, labelFunc, compareFunc) => Object
+      .values(groupBy(departures, keyFunc))
+      .map(groupDepartures => Object.assign({
+        key: keyFunc(groupDepartures[0]),
+        label: labelFunc(groupDepartures[0]),
+      }, PunctualityKPIs.summarize(groupDepartures, percentiles)))
+      .sort((a, b) => compareFunc(a.key, b.key));
+
+    const hourString = hour => `${hour}`.padStart(2, '0');
+
+    return {
+      percentiles,
+      overall: PunctualityKPIs.summarize(departures, percentiles),
+      byLineDirection: summarizeGroups(
+        ({ vehicleJourney: { journeyPattern } }) => `${journeyPattern.line.code} - ${journeyPattern.direction}`,
+        ({ vehicleJourney: { journeyPattern } }) => `Line ${journeyPattern.line.code}, direction ${journeyPattern.direction}`,
+        SortUtils.naturalOrder,
+      ),
+      byStop: summarizeGroups(
+        ({ stop }) => stop.code,
+        ({ stop }) => `${stop.name} (${stop.code})`,
+        SortUtils.naturalOrder,
+      ),
+      byHour: summarizeGroups(
+        ({ hour }) => hour,
+        ({ hour }) => `${hourString(hour)}:00 - ${hourString(hour + 1)}:00`,
+        d3.ascending,
+      ),
+    };
+  }
+}
@@ -0,0 +1,215 @@
+import { ascending, mean, quantile } from 'd3-array';
+import { csvFormat } from 'd3-dsv';
+
+import SortUtils from '../sortutils';
+import TimeUtils from '../timeutils';
+
+const d3 = Object.assign({}, {
+  ascending,
+  mean,
+  quantile,
+  csvFormat,
+});
+
+/**
+ * Analysis of the running times of the trips on the stops links, that is the time between the
+ * departure from a stop and the arrival at the next one, to propose the scheduled running times
+ * basing on the realised ones. The running times are grouped per link, regardless of the
+ * journey pattern, and per band of the time of the day, decided by the scheduled departure.
+ * The realised running times can be collected from the datasets of several days, whose links
+ * are matched by the codes of their stops. The proposed running time of a link in a time band
+ * is a percentile of the realised ones, so that the given share of the trips can keep the
+ * schedule.
+ */
+export default class RunningTimes {
+  /**
+   * Default bands of the time of the day, in hours of the service day
+   * @return {Array.<{label: string, from: number, to: number}>} - Time bands
+   */
+  static get defaultTimeBands() {
+    return [
+      { label: 'Early morning', from: 0, to: 7 },
+      { label: 'Morning peak', from: 7, to: 9 },
+      { label: 'Daytime', from: 9, to: 16 },
+      { label: 'Evening peak', from: 16, to: 19 },
+      { label: 'Evening', from: 19, to: 30 },
+    ];
+  }
+
+  /**
+   * Find the time band of a time
+   * @param  {Date} time - Time
+   * @param  {PTDataset} dataset - Dataset of the time, giving its reference date and timezone
+   * @param  {Array.<{label: string, from: number, to: number}>} timeBands - Time bands
+   * @return {number} - Index of the time band, -1 if the time is not in any band
+   */
+  static timeBandIndex(time, { referenceDate, timezone }, timeBands) {
+    const hours = TimeUtils.serviceHours(time, referenceDate, timezone);
+    return timeBands.findIndex(({ from, to }) => from <= hours && hours < to);
+  }
+
+  /**
+   * Collect the realised running times of the trips on each stops link
+   * @param  {Array.<PTDataset>} datasets - Datasets, e.g. of several days
+   * @param  {Array.<{label: string, from: number, to: number}>} timeBands - Time bands
+   * @return {Map.<string, {
+   *   stop1: Stop,
+   *   stop2: Stop,
+   *   bands: Array.<{realised: Array.<number>}>
+   * }>} - Running times in seconds per time band, by ID of the link
+   */
+  static collect(datasets, timeBands) {
+    const links = new Map();
+    for (const dataset of datasets) {
+      for (const vehicleJourney of Object.values(dataset.vehicleJourneys)) {
+        const { stops } = vehicleJourney.journeyPattern;
+        const { scheduledStopTimes, realtimeStopTimes } = vehicleJourney;
+
+        for (let index = 0; index < stops.length - 1; index += 1) {
+          const bandIndex = RunningTimes.timeBandIndex(
+            scheduledStopTimes[index].departure,
+            dataset,
+            timeBands,
+          );
+          if (bandIndex !== -1) {
+            const linkID = `${stops[index].code}|${stops[index + 1].code}`;
+            if (!links.has(linkID)) {
+              links.set(linkID, {
+                stop1: stops[index],
+                stop2: stops[index + 1],
+                bands: timeBands.map(() => ({ realised: [] })),
+              });
+            }
+            const band = links.get(linkID).bands[bandIndex];
+            for (const { stopTimes } of realtimeStopTimes) {
+              const { departure } = stopTimes[index];
+              const { arrival } = stopTimes[index + 1];
+              if (departure !== null && arrival !== null) {
+                band.realised.push((arrival - departure) / 1000);
+              }
+            }
+          }
+        }
+      }
+    }
+    return links;
+  }
+
+  /**
+   * Compute the running times of the journey patterns of a dataset, with the proposed ones
+   * @param  {PTDataset} dataset - Dataset whose journey patterns are scheduled
+   * @param  {Array.<PTDataset>} datasets - Datasets providing the realised running times,
+   *   usually including the scheduled one
+   * @param  {{
+   *   percentile: number,
+   *   minObservations: number,
+   *   timeBands: Array.<{label: string, from: number, to: number}>
+   * }} [config] - Percentile of the realised running times to propose, from 0 to 100,
+   *   minimum number of realised running times needed to propose one, and time bands
+   * @return {{
+   *   percentile: number,
+   *   timeBands: Array.<{label: string, from: number, to: number}>,
+   *   journeyPatterns: Array.<{journeyPattern: JourneyPattern, links: Array.<Object>}>
+   * }} - For each journey pattern, the running times of each of its links in each time band
+   *   in which it is scheduled: its sequence number in the journey pattern, the time band,
+   *   the number of trips with their mean scheduled running time, the number of realised
+   *   running times on the link (of any journey pattern) with their median and percentile,
+   *   and the proposed running time, null if there are too few realised running times.
+   *   The running times are in seconds
+   */
+  static compute(dataset, datasets, {
+    percentile = 85,
+    minObservations = 5,
+    timeBands = RunningTimes.defaultTimeBands,
+  } = {}) {
+    const realisedLinks = RunningTimes.collect(datasets, timeBands);
+
+    const journeyPatterns = Object.values(dataset.journeyPatterns)
+      .filter(({ vehicleJourneys }) => vehicleJourneys && vehicleJourneys.length)
+      .sort((a, b) => SortUtils.naturalOrder(
+        `${a.line.code} ${a.direction} ${a.code}`,
+        `${b.line.code} ${b.direction} ${b.code}`,
+      ))
+      .map((journeyPattern) => {
+        const { stops, vehicleJourneys } = journeyPattern;
+
+        // Scheduled running times of the trips of the journey pattern, per link and time band
+        const scheduled = stops.slice(0, -1).map(() => timeBands.map(() => []));
+        for (const { scheduledStopTimes } of vehicleJourneys) {
+          for (let index = 0; index < stops.length - 1; index += 1) {
+            const { departure } = scheduledStopTimes[index];
+            const bandIndex = RunningTimes.timeBandIndex(departure, dataset, timeBands);
+            if (bandIndex !== -1) {
+              scheduled[index][bandIndex].push((scheduledStopTimes[index + 1].arrival - departure)
+                                               / 1000);
+            }
+          }
+        }
+
+        const links = [];
+        for (let index = 0; index < stops.length - 1; index += 1) {
+          const realisedLink = realisedLinks.get(`${stops[index].code}|${stops[index + 1].code}`);
+          for (const [bandIndex, bandScheduled] of scheduled[index].entries()) {
+            if (bandScheduled.length) {
+              const realised = realisedLink
+                ? realisedLink.bands[bandIndex].realised.slice().sort(d3.ascending)
+                : [];
+              const realisedPercentile = d3.quantile(realised, percentile / 100);
+              links.push({
+                sequence: index + 1,
+                stop1: stops[index],
+                stop2: stops[index + 1],
+                timeBand: timeBands[bandIndex],
+                trips: bandScheduled.length,
+                scheduled: d3.mean(bandScheduled),
+                observations: realised.length,
+                realisedMedian: d3.quantile(realised, 0.5),
+                realisedPercentile,
+                proposed: realised.length >= minObservations
+                  ? Math.round(realisedPercentile)
+                  : null,
+              });
+            }
+          }
+        }
+        return { journeyPattern, links };
+      });
+
+    return { percentile, timeBands, journeyPatterns };
+  }
+
+  /**
+   * Format the running times of the journey patterns as CSV, one row for each link of each
+   * journey pattern in each time band
+   * @param  {Object} runningTimes - Running times, see compute
+   * @return {string} - CSV content
+   */
+  static toCSV({ percentile, journeyPatterns }) {
+    const round = value => (typeof value === 'undefined' ? '' : Math.round(value));
+    const rows = [];
+    for (const { journeyPattern, links } of journeyPatterns) {
+      for (const link of links) {
+        rows.push({
+          journey_pattern: journeyPattern.code,
+          line: journeyPattern.line.code,
+          direction: journeyPattern.direction,
+          link_sequence: link.sequence,
+          from_stop: link.stop1.code,
+          from_stop_name: link.stop1.name,
+          to_stop: link.stop2.code,
+          to_stop_name: link.stop2.name,
+          time_band: link.timeBand.label,
+          from_hour: link.timeBand.from,
+          to_hour: link.timeBand.to,
+          trips: link.trips,
+          scheduled_running_time: round(link.scheduled),
+          observations: link.observations,
+          realised_median: round(link.realisedMedian),
+          [`realised_p${percentile}`]: round(link.realisedPercentile),
+          proposed_running_time: link.proposed === null ? '' : link.proposed,
+        });
+      }
+    }
+    return d3.csvFormat(rows);
+  }
+}
@@ -0,0 +1,243 @@
+import { bisector } from 'd3-array';
+import { flatten, groupBy } from 'lodash';
+
+const d3 = Object.assign({}, {
+  bisector,
+});
+
+/**
+ * Analysis of the transfers of the passengers between the lines at the stop areas.
+ * Transfer relations define between which lines of which stop areas the passengers transfer,
+ * with the minimum time needed to walk between the stops and the maximum time the passengers
+ * are willing to wait. For each trip arriving at a stop area, the planned connection to each
+ * direction of each other line is the first trip departing from the area at least the minimum
+ * transfer time after the scheduled arrival, and within the maximum wait. The connection is
+ * made if the realised departure is still at least the minimum transfer time after the realised
+ * arrival, missed otherwise, and unknown without realtime data.
+ */
+export default class Transfers {
+  /**
+   * Status of the connections
+   * @return {{MADE: string, MISSED: string, UNKNOWN: string}} - Statuses
+   */
+  static get status() {
+    return {
+      MADE: 'made',
+      MISSED: 'missed',
+      UNKNOWN: 'unknown',
+    };
+  }
+
+  /**
+   * Find the transfer relation between two lines at a stop area
+   * @param  {Array.<{
+   *   stopArea: string,
+   *   fromLine: string,
+   *   toLine: string,
+   *   minTransferTime: number,
+   *   maxWait: number
+   * }>} relations - Transfer relations, where a missing stop area or line matches any of them.
+   *   An empty list means that the passengers transfer between any lines at any stop area
+   * @param  {string} stopAreaCode - Code of the stop area
+   * @param  {string} fromLineCode - Code of the line of the arriving trip
+   * @param  {string} toLineCode - Code of the line of the departing trip
+   * @return {?Object} - First relation matching, or an empty relation if there are
+   *   no relations, null if none matches
+   */
+  static findRelation(relations, stopAreaCode, fromLineCode, toLineCode) {
+    if (!relations.length) return {};
+    const matches = (value, code) => typeof value === 'undefined' || `${value}` === code;
+    const relation = relations.find(({ stopArea, fromLine, toLine }) => (
+      matches(stopArea, stopAreaCode)
+      && matches(fromLine, fromLineCode)
+      && matches(toLine, toLineCode)));
+    return relation || null;
+  }
+
+  /**
+   * Earliest realised time of a trip at one of its stops, among the vehicles that served it
+   * @param  {Array.<{stopTimes: Array.<{arrival: ?Date, departure: ?Date}>}>} realtimeStopTimes -
+   *   Realtime times of the trip at its stops, see VehicleJourney.realtimeStopTimes
+   * @param  {number} index - Index of the stop in the journey pattern
+   * @param  {string} property - Either "arrival" or "departure"
+   * @return {?Date} - Realised time, null if unknown
+   */
+  static realisedTime(realtimeStopTimes, index, property) {
+    const times = realtimeStopTimes
+      .map(({ stopTimes }) => stopTimes[index][property])
+      .filter(time => time !== null);
+    return times.length ? new Date(Math.min(...times)) : null;
+  }
+
+  /**
+   * Compute the planned connections at the stop areas, and whether they were made
+   * @param  {PTDataset} dataset - Dataset
+   * @param  {{
+   *   minTransferTime: number,
+   *   maxWait: number,
+   *   relations: Array.<Object>
+   * }} [config] - Default minimum transfer time and maximum wait in seconds, and transfer
+   *   relations (see findRelation), which can have their own minimum transfer time and
+   *   maximum wait
+   * @return {{
+   *   stopAreas: Array.<Object>,
+   *   overall: Object,
+   *   connections: Array.<Object>
+   * }} - For each stop area with planned connections, the stop area with its name, its
+   *   connections and their count per status (see summarize). The count of all the connections,
+   *   and the list of all the connections. Each connection has the stop area, the arriving
+   *   (feeder) and the departing trips with their stops, their scheduled and realised times,
+   *   the planned and realised transfer times in seconds, the minimum transfer time and
+   *   the status
+   */
+  static compute(dataset, { minTransferTime = 120, maxWait = 900, relations = [] } = {}) {
+    // Realtime times at the stops of each trip, computed once for all the stop areas
+    const realtimeStopTimes = new Map();
+    const realtimeStopTimesOf = (vehicleJourney) => {
+      if (!realtimeStopTimes.has(vehicleJourney)) {
+        realtimeStopTimes.set(vehicleJourney, vehicleJourney.realtimeStopTimes);
+      }
+      return realtimeStopTimes.get(vehicleJourney);
+    };
+
+    // Arrivals at and departures from each stop area, in the order of the schedule
+    const arrivals = {};
+    const departures = {};
+    for (const vehicleJourney of Object.values(dataset.vehicleJourneys)) {
+      const { stops } = vehicleJourney.journeyPattern;
+      for (const [index, stopTimes] of vehicleJourney.scheduledStopTimes.entries()) {
+        const { code: areaCode } = stops[index].area;
+        const event = { vehicleJourney, index, stop: stops[index] };
+        if (index > 0) {
+          arrivals[areaCode] = arrivals[areaCode] || [];
+          arrivals[areaCode].push(Object.assign({ time: stopTimes.arrival }, event));
+        }
+        if (index < stops.length - 1) {
+          departures[areaCode] = departures[areaCode] || [];
+          departures[areaCode].push(Object.assign({ time: stopTimes.departure }, event));
+        }
+      }
+    }
+    const byTime = d3.bisector(({ time }) => time);
+
+    const stopAreas = [];
+    for (const [areaCode, areaArrivals] of Object.entries(arrivals)) {
+      // Departures grouped by line and direction, each group sorted by time
+      const departureGroups = Object.values(groupBy(
+        departures[areaCode] || [],
+        ({ vehicleJourney: { journeyPattern } }) => `${journeyPattern.line.code} - ${journeyPattern.direction}`,
+      ));
+      for (const group of departureGroups) group.sort((a, b) => a.time - b.time);
+
+      const connections = [];
+      for (const arrival of areaArrivals) {
+        const { vehicleJourney: feeder } = arrival;
+        const fromLineCode = feeder.journeyPattern.line.code;
+        for (const group of departureGroups) {
+          const toLineCode = group[0].vehicleJourney.journeyPattern.line.code;
+          const relation = toLineCode === fromLineCode || feeder.cancelled
+            ? null
+            : Transfers.findRelation(relations, areaCode, fromLineCode, toLineCode);
+
+          if (relation !== null) {
+            const relationMinTransferTime = typeof relation.minTransferTime === 'undefined'
+              ? minTransferTime
+              : relation.minTransferTime;
+            const relationMaxWait = typeof relation.maxWait === 'undefined'
+              ? maxWait
+              : relation.maxWait;
+            const departure = group[byTime.left(
+              group,
+              new Date(arrival.time.getTime() + (relationMinTransferTime * 1000)),
+            )];
+
+            if (departure && departure.time - arrival.time <= relationMaxWait * 1000) {
+              const { vehicleJourney: connection } = departure;
+              const realisedArrival = Transfers.realisedTime(
+                realtimeStopTimesOf(feeder),
+                arrival.index,
+                'arrival',
+              );
+              const realisedDeparture = connection.cancelled
+                ? null
+                : Transfers.realisedTime(
+                  realtimeStopTimesOf(connection),
+                  departure.index,
+                  'departure',
+                );
+              const realisedTransferTime = realisedArrival !== null && realisedDeparture !== null
+                ? (realisedDeparture - realisedArrival) / 1000
+                : null;
+
+              let status = Transfers.status.UNKNOWN;
+              if (connection.cancelled) {
+                status = Transfers.status.MISSED;
+              } else if (realisedTransferTime !== null) {
+                status = realisedTransferTime >= relationMinTransferTime
+                  ? Transfers.status.MADE
+                  : Transfers.status.MISSED;
+              }
+
+              connections.push({
+                stopArea: arrival.stop.area,
+                feeder,
+                feederStop: arrival.stop,
+                connection,
+                connectionStop: departure.stop,
+                scheduledArrival: arrival.time,
+                scheduledDeparture: departure.time,
+                realisedArrival,
+                realisedDeparture,
+                plannedTransferTime: (departure.time - arrival.time) / 1000,
+                realisedTransferTime,
+                minTransferTime: relationMinTransferTime,
+                status,
+              });
+            }
+          }
+        }
+      }
+
+      if (connections.length) {
+        const { area: stopArea, name } = areaArrivals[0].stop;
+        stopAreas.push(Object.assign(
+          { stopArea, name, connections },
+          Transfers.summarize(connections),
+        ));
+      }
+    }
+
+    stopAreas.sort((a, b) => a.name.localeCompare(b.name));
+    const allConnections = flatten(stopAreas.map(({ connections }) => connections));
+    return {
+      stopAreas,
+      overall: Transfers.summarize(allConnections),
+      connections: allConnections,
+    };
+  }
+
+  /**
+   * Count a list of connections per status
+   * @param  {Array.<{status: string}>} connections - Connections
+   * @return {{
+   *   planned: number,
+   *   made: number,
+   *   missed: number,
+   *   unknown: number,
+   *   madeShare: number
+   * }} - Number of planned connections, of the made, missed and unknown ones, and share of the
+   *   made ones among the ones whose status is known (from 0 to 1)
+   */
+  static summarize(connections) {
+    const count = status => connections.filter(connection => connection.status === status).length;
+    const made = count(Transfers.status.MADE);
+    const missed = count(Transfers.status.MISSED);
+    return {
+      planned: connections.length,
+      made,
+      missed,
+      unknown: count(Transfers.status.UNKNOWN),
+      madeShare: made + missed ? made / (made + missed) : undefined,
+    };
+  }
+}
@@ -0,0 +1,99 @@
+import { groupBy } from 'lodash';
+
+import SortUtils from '../sortutils';
+
+/**
+ * Analysis of the blocks of the vehicles, that is the sequence of trips operated by each
+ * physical vehicle, reconstructed from the vehicle numbers of the realtime data.
+ * Between two consecutive trips the vehicle lays over at the terminal: when it arrives
+ * with more delay than the scheduled layover can absorb, it carries the rest of the delay
+ * into the next trip, causing knock-on delays.
+ */
+export default class VehicleBlocks {
+  /**
+   * Compute the realised start and end of the trips of a vehicle journey, for each vehicle
+   * @param  {VehicleJourney} vehicleJourney - Vehicle journey
+   * @return {Array.<{
+   *   vehicleNumber: (number|string),
+   *   vehicleJourney: VehicleJourney,
+   *   start: Date,
+   *   end: Date,
+   *   scheduledStart: Date,
+   *   scheduledEnd: Date,
+   *   startDelay: ?number,
+   *   endDelay: ?number
+   * }>} - Trips of the vehicles: the realised start and end, being the departure from the first
+   *   stop and the arrival at the last one or else the first and last positions, the scheduled
+   *   ones, and the delays of the departure from the first stop and of the arrival at the last
+   *   one in seconds, null if unknown
+   */
+  static vehicleTrips(vehicleJourney) {
+    const { times, rt, realtimeStopTimes } = vehicleJourney;
+    // The first departure and the last arrival are the start and the end of the trip
+    const scheduledStart = times[1];
+    const scheduledEnd = times[times.length - 2];
+    const vehiclesTimes = Object.values(rt).map(({ times: vehicleTimes }) => vehicleTimes);
+
+    return realtimeStopTimes
+      .map((vehicleStopTimes, index) => Object.assign(
+        { vehicleTimes: vehiclesTimes[index] },
+        vehicleStopTimes,
+      ))
+      // Vehicles without positions can't be placed in time
+      .filter(({ vehicleTimes }) => vehicleTimes.length > 0)
+      .map(({ vehicleNumber, stopTimes, vehicleTimes }) => {
+        const { departure } = stopTimes[0];
+        const { arrival } = stopTimes[stopTimes.length - 1];
+        return {
+          vehicleNumber,
+          vehicleJourney,
+          start: departure || vehicleTimes[0],
+          end: arrival || vehicleTimes[vehicleTimes.length - 1],
+          scheduledStart,
+          scheduledEnd,
+          startDelay: departure ? (departure - scheduledStart) / 1000 : null,
+          endDelay: arrival ? (arrival - scheduledEnd) / 1000 : null,
+        };
+      });
+  }
+
+  /**
+   * Compute the blocks of the vehicles of a dataset
+   * @param  {PTDataset} dataset - Dataset
+   * @return {Array.<{
+   *   vehicleNumber: (number|string),
+   *   trips: Array.<Object>,
+   *   layovers: Array.<Object>
+   * }>} - Blocks sorted by vehicle number, each with its trips in order of time (see
+   *   vehicleTrips) and the layovers between them. Each layover has the previous and the next
+   *   trip, the realised and scheduled layover in seconds, and the delay carried into the next
+   *   trip, that is the part of the delay of the arrival of the previous trip not absorbed by
+   *   the scheduled layover, in seconds (0 if none, null if unknown)
+   */
+  static compute(dataset) {
+    const trips = [];
+    for (const vehicleJourney of Object.values(dataset.vehicleJourneys)) {
+      if (vehicleJourney.isRealTime) trips.push(...VehicleBlocks.vehicleTrips(vehicleJourney));
+    }
+
+    return Object.values(groupBy(trips, ({ vehicleNumber }) => vehicleNumber))
+      .map((vehicleTrips) => {
+        vehicleTrips.sort((a, b) => a.start - b.start);
+        const layovers = vehicleTrips.slice(1).map((next, index) => {
+          const previous = vehicleTrips[index];
+          const scheduledLayover = (next.scheduledStart - previous.scheduledEnd) / 1000;
+          return {
+            previous,
+            next,
+            layover: (next.start - previous.end) / 1000,
+            scheduledLayover,
+            carriedDelay: previous.endDelay === null
+              ? null
+              : Math.max(0, previous.endDelay - Math.max(0, scheduledLayover)),
+          };
+        });
+        return { vehicleNumber: vehicleTrips[0].vehicleNumber, trips: vehicleTrips, layovers };
+      })
+      .sort((a, b) => SortUtils.naturalOrder(a.vehicleNumber, b.vehicleNumber));
+  }
+}
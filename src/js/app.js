@@ -1,8 +1,13 @@
 import * as log from 'loglevel';
 import $ from 'jquery';
 import 'simpler-sidebar';
+import { groupBy } from 'lodash';
 
 import PTDS from './ptds';
+import DatasetLoader from './datasetloader';
+import FileUtils from './fileutils';
+import Punctuality from './punctuality';
+import GTFSExporter from './exporters/gtfs';
 
 // Enable logging at all levels
 log.enableAll();
@@ -14,8 +19,17 @@ const options = {
   showStops: false,
   showStopAreas: true,
   showLinks: true,
-  // mode can be either 'dual', 'spiralSimulation' or 'marey'
-  // marey = fullscreen marey, dual = marey + linked map, spiralSimulation = spiral simulation
+  // Cancelled trips are drawn as ghosts on the map ('ghost') or not drawn at all ('hide')
+  cancelledTrips: 'ghost',
+  // mode can be either 'dual', 'spiralSimulation', 'marey', 'punctuality', 'runningTimes',
+  // 'transfers', 'cancellations', 'blocks' or 'frequency'
+  // marey = fullscreen marey, dual = marey + linked map, spiralSimulation = spiral simulation,
+  // punctuality = dashboard of the punctuality of the departures,
+  // runningTimes = dashboard of the running times of the links, with the proposed ones,
+  // transfers = dashboard of the connections between the lines at the stop areas,
+  // cancellations = dashboard of the cancelled trips and of the gaps in the service they cause,
+  // blocks = Gantt chart of the trips operated by each vehicle, with the layovers between them,
+  // frequency = map of the trips per hour over the links, with the busiest corridors
   mode: 'spiralSimulation',
   // spiralSimulation specific options
   spiral: {
@@ -27,90 +41,426 @@ const options = {
   dual: {
     verticalSplitPercentage: (Math.sqrt(5) - 1) / 2,
   },
+  // URL of the index file listing the available publications, can be relative to the page.
+  // It can be overridden with the "index" query parameter, e.g. "?index=data/index.json"
+  indexURL: 'https://services.opengeo.nl/ptds/index.json',
+  // IANA name of the timezone of the agencies, in which the times of the datasets are expressed
+  // and displayed, regardless of the timezone of the browser
+  timezone: 'Europe/Amsterdam',
+  // Optional basemap of the map, made of web-mercator tiles served from a local directory, e.g.
+  // { type: 'raster', url: 'tiles/{z}/{x}/{y}.png', minZoom: 0, maxZoom: 18 }
+  // or { type: 'vector', url: 'tiles/{z}/{x}/{y}.pbf', minZoom: 0, maxZoom: 14 }
+  // for Mapbox Vector Tiles. It can be set with the "basemap" and "basemapType" query parameters
+  basemap: null,
+  // Bands of delay deciding the punctuality status of the vehicles, from the earliest to the
+  // latest, each one up to its "max" delay in seconds (negative when early), apart from the last.
+  // Lines can have their own bands, e.g. lines: { 22: [{ name: 'early', max: -60 }, ...] }
+  punctuality: {
+    bands: Punctuality.defaultBands,
+    lines: {},
+  },
+  // Cleaning of the realtime positions of the vehicles: the positions implying a speed above
+  // maxSpeed meters per second are removed (null to keep them), the distances are made
+  // non-decreasing if monotonic, and the gaps longer than maxGap seconds are filled with
+  // positions interpolated every interpolationStep seconds (null not to fill them)
+  realtimeCleaning: {
+    enabled: true,
+    maxSpeed: 40,
+    monotonic: true,
+    maxGap: 120,
+    interpolationStep: 30,
+  },
+  // Headways analysis: a trip bunches with the previous one when its actual headway
+  // at a stop is less than this fraction of its scheduled one
+  headways: {
+    bunchingThreshold: 0.25,
+  },
+  // Dwell times analysis: a vehicle is at a stop when within tolerance meters from it,
+  // and its dwell is long when exceeding the scheduled one by more than longDwellThreshold seconds
+  dwell: {
+    tolerance: 10,
+    longDwellThreshold: 60,
+  },
+  // Delay profile of the trips: the delays are sampled every step meters along the journey
+  // pattern, and the bands are drawn between the given lower and upper percentiles
+  delayProfile: {
+    step: 100,
+    bands: [[10, 90], [25, 75]],
+  },
+  // Delay heatmap of the stops per hour: the cells are colored by the mean or by the given
+  // percentile of the delays
+  delayHeatmap: {
+    percentile: 90,
+  },
+  // Running times analysis: the proposed running time of a link in a band of the time of the day
+  // (in hours of the service day) is the given percentile of the realised ones, if there are
+  // at least minObservations of them
+  runningTimes: {
+    percentile: 85,
+    minObservations: 5,
+    timeBands: [
+      { label: 'Early morning', from: 0, to: 7 },
+      { label: 'Morning peak', from: 7, to: 9 },
+      { label: 'Daytime', from: 9, to: 16 },
+      { label: 'Evening peak', from: 16, to: 19 },
+      { label: 'Evening', from: 19, to: 30 },
+    ],
+  },
+  // Transfers analysis: the passengers need at least minTransferTime seconds to transfer
+  // and wait at most maxWait seconds. Relations restrict the transfers to some stop areas and
+  // lines, with their own times, e.g. { stopArea: 'A1', fromLine: '1', toLine: '2', maxWait: 600 },
+  // a missing stop area or line matching any. Without relations, all the lines transfer
+  transfers: {
+    minTransferTime: 120,
+    maxWait: 900,
+    relations: [],
+  },
+  // Frequency of the service over the links: trips per hour from fromHour to toHour (excluded)
+  // of the service day, listing the busiest corridors (and stop areas) up to the given number
+  frequency: {
+    fromHour: 7,
+    toHour: 9,
+    corridors: 20,
+  },
+  // Live mode, polling the realtime data of the vehicles from an endpoint every interval seconds
+  // and following the current time. The URL can be set with the "live" query parameter and the
+  // interval with the "liveInterval" one, e.g. "?live=http://localhost:8080/realtime"
+  live: {
+    url: null,
+    interval: 10,
+  },
+};
+
+let datasetLoader;
+// Dataset built for the current selection of day and groups of lines, reused
+// by the visualizations as long as the selection doesn't change
+let selectedDatasetBuild = { key: null, promise: null };
+// Dataset currently visualized, and its visualization
+let currentDataset;
+let currentPTDS;
+
+// Show a message about the loading of the data in the sidebar
+const showLoadStatus = (message) => {
+  document.getElementById('load-status').textContent = message;
+};
+
+// Format a size in bytes as megabytes
+const megabytes = bytes => (bytes / (1024 * 1024)).toFixed(1);
+
+// Human readable description of the stages of the loading of a dataset
+const loadStageLabels = {
+  download: 'Downloading',
+  stops: 'Building stops',
+  journeyPatterns: 'Building journey patterns',
+  vehicleJourneys: 'Building vehicle journeys',
+  links: 'Building links',
+};
+
+// Show the progress of the loading of a dataset in the sidebar
+const showLoadProgress = ({ stage, done, total }) => {
+  const progressBar = document.getElementById('load-progress');
+  progressBar.hidden = false;
+  let details = '...';
+  if (stage === 'download') {
+    details = `: ${megabytes(done)}${total ? ` of ${megabytes(total)}` : ''} MB`;
+  } else if (stage === 'vehicleJourneys') {
+    details = `: ${done} of ${total}`;
+  }
+  // Without a known total, the progress bar is shown as indeterminate
+  if (total) {
+    progressBar.max = total;
+    progressBar.value = done;
+  } else {
+    progressBar.removeAttribute('value');
+  }
+  showLoadStatus(`${loadStageLabels[stage]}${details}`);
+};
+
+// Hide the progress of the loading of a dataset, once done
+const hideLoadProgress = () => {
+  document.getElementById('load-progress').hidden = true;
+  showLoadStatus('');
+};
+
+// Report an error occurred while loading a dataset
+const showLoadError = (error) => {
+  log.error(error);
+  document.getElementById('load-progress').hidden = true;
+  showLoadStatus(`Could not load the dataset: ${error.message}`);
+};
+
+// Show the days whose datasets are in the offline cache in the sidebar, allowing to evict them
+const showCacheManager = () => {
+  const cacheDiv = document.getElementById('cache-manager');
+  datasetLoader.cache.listDays()
+    .then((days) => {
+      cacheDiv.innerHTML = '<h4>Offline cache</h4>';
+      if (!days.length) {
+        cacheDiv.innerHTML += '<p>No datasets cached.</p>';
+        return;
+      }
+
+      const items = days.map(({ date, filenames, size }) => `<li>${date}: ${filenames.length} dataset(s), ${megabytes(size)} MB <button type="button" class="evict" data-date="${date}">Evict</button></li>`);
+      cacheDiv.innerHTML += `<ul>${items.join('')}</ul>`;
+      cacheDiv.onclick = ({ target }) => {
+        if (!target.classList.contains('evict')) return;
+        datasetLoader.cache.evictDay(target.dataset.date)
+          .then(showCacheManager)
+          .catch(log.error);
+      };
+    })
+    // Without IndexedDB there's no cache to manage
+    .catch(() => { cacheDiv.innerHTML = ''; });
 };
 
-let indexData = {};
+// Build the dataset made of the groups of lines currently selected in the sidebar.
+// Downloading and building happen in a Web Worker, reporting the progress in the sidebar
+const buildSelectedDataset = () => {
+  const publicationKey = document.getElementById('day').value;
+  const filenames = Array.from(document.getElementById('lines-groups').selectedOptions)
+    .map(({ value }) => value);
+  const key = `${publicationKey}|${filenames.join('|')}`;
 
-// Get the URL of the currently selected dataset
-const getSelectedDatasetURL = () => {
-  // Get the publication currently selected (date)
-  const publicationInUse = indexData.publications
-    .find(pub => pub.date === document.getElementById('day').value);
-  // Get the dataset currently selected (group of lines) within the publication selected
-  const datasetInUse = publicationInUse.datasets
-    .find(dataset => dataset.filename === document.getElementById('lines-groups').value);
-  // Compute URL of dataset selected
-  return `${publicationInUse.url}${datasetInUse.filename}`;
+  if (selectedDatasetBuild.key !== key) {
+    const promise = datasetLoader
+      .buildDataset(publicationKey, filenames, options, showLoadProgress)
+      .then((dataset) => {
+        hideLoadProgress();
+        // The datasets downloaded are now in the cache
+        showCacheManager();
+        return dataset;
+      });
+    // Build the dataset again the next time, if it failed
+    promise.catch(() => {
+      if (selectedDatasetBuild.promise === promise) {
+        selectedDatasetBuild = { key: null, promise: null };
+      }
+    });
+    selectedDatasetBuild = { key, promise };
+  }
+
+  return selectedDatasetBuild.promise;
 };
 
-// Load the available line-directions within this group of lines
+// Load the available line-directions within the selected groups of lines
 const loadAvailableLineDirections = () => {
-  fetch(getSelectedDatasetURL())
-    .then(r => r.json())
-    .then((data) => {
+  buildSelectedDataset()
+    .then((dataset) => {
       const lineDirection = document.getElementById('line-direction');
       // Remove the currently available line - direction pairs
       lineDirection.innerHTML = '';
       const lineDirectionPairs = {};
       // Add the new line - direction pairs
-      for (const journeyPattern of Object.values(data.journeyPatterns)) {
-        const { direction, lineRef } = journeyPattern;
-        lineDirectionPairs[`${lineRef} - ${direction}`] = 1;
+      for (const journeyPattern of Object.values(dataset.journeyPatterns)) {
+        const { direction, line } = journeyPattern;
+        lineDirectionPairs[`${line.code} - ${direction}`] = 1;
       }
       const orderedLDpairs = Array.from(Object.keys(lineDirectionPairs));
       orderedLDpairs.sort();
       for (const lineDirectionPair of orderedLDpairs) {
         lineDirection.innerHTML += `<option value="${lineDirectionPair}">${lineDirectionPair}</option>`;
       }
-    });
+    })
+    .catch(showLoadError);
 };
 
-// Process the index file populating the sidebar with the available parameters,
-// as soon as it is loaded
-const processIndex = () => {
-  const publications = indexData.publications.sort((a, b) => b.date.localeCompare(a.date));
+// Populate the dropdown for the group of lines with the datasets of the selected publication
+const populateLinesGroups = () => {
+  const linesGroupsSelect = document.getElementById('lines-groups');
+  const { datasets } = datasetLoader.getPublication(document.getElementById('day').value);
+  linesGroupsSelect.innerHTML = '';
+  for (const dataset of datasets) {
+    const lines = dataset.lines.join(', ');
+    linesGroupsSelect.innerHTML += `<option value="${dataset.filename}">${lines}</option>`;
+  }
+  // Select the first group of lines by default
+  linesGroupsSelect.options[0].selected = true;
+  loadAvailableLineDirections();
+};
 
-  const modeSelect = document.getElementById('mode');
-  modeSelect.onchange = () => {
-    const displayStyleLDselect = ['dual', 'marey'].includes(modeSelect.value) ? 'block' : 'none';
-    document.getElementsByClassName('linedirectionSel')[0].style.display = displayStyleLDselect;
-  };
+// Populate the dropdown of the other days providing the realised running times
+// with the publications other than the selected one
+const populateRunningTimesDays = () => {
+  const daysSelect = document.getElementById('running-times-days');
+  const selectedKey = document.getElementById('day').value;
+  daysSelect.innerHTML = '';
+  for (const publication of datasetLoader.publications) {
+    if (publication.key !== selectedKey) {
+      daysSelect.innerHTML += `<option value="${publication.key}">${publication.label}</option>`;
+    }
+  }
+};
+
+// Build the datasets of the other days selected for the running times, made of the groups of
+// the same lines, one day after the other, adding them to the running times dashboard
+const loadRunningTimesDays = (ptds) => {
+  const { datasets } = datasetLoader.getPublication(document.getElementById('day').value);
+  const selectedFilenames = Array.from(document.getElementById('lines-groups').selectedOptions)
+    .map(({ value }) => value);
+  const selectedLines = datasets
+    .filter(({ filename }) => selectedFilenames.includes(filename))
+    .reduce((lines, dataset) => lines.concat(dataset.lines), []);
+
+  Array.from(document.getElementById('running-times-days').selectedOptions)
+    .reduce((promise, { value: publicationKey }) => promise.then(() => {
+      // Stop if another visualization was created meanwhile
+      if (currentPTDS !== ptds) return undefined;
+      const filenames = datasetLoader.getPublication(publicationKey).datasets
+        .filter(({ lines }) => lines.some(line => selectedLines.includes(line)))
+        .map(({ filename }) => filename);
+      if (!filenames.length) return undefined;
+      return datasetLoader.buildDataset(publicationKey, filenames, options, showLoadProgress)
+        .then((dataset) => {
+          hideLoadProgress();
+          if (currentPTDS === ptds) ptds.addRunningTimesDatasets([dataset]);
+        });
+    }), Promise.resolve())
+    .catch(showLoadError);
+};
 
-  // Populate date picker with available options
+// Populate the date picker with the available publications, selecting the given one
+const populatePublications = (selectedKey) => {
   const daySelect = document.getElementById('day');
-  for (const publication of publications) {
-    daySelect.innerHTML += `<option value="${publication.date}">${publication.date}</option>`;
+  daySelect.innerHTML = '';
+  for (const publication of datasetLoader.publications) {
+    daySelect.innerHTML += `<option value="${publication.key}">${publication.label}</option>`;
   }
-  // When date is picked, populate the dropdown for the group of lines
-  daySelect.onchange = () => {
-    const linesGroupsSelect = document.getElementById('lines-groups');
-    const dayDatasets = publications.find(pub => pub.date === daySelect.value).datasets;
-    linesGroupsSelect.innerHTML = '';
-    for (const dataset of dayDatasets) {
-      const lines = dataset.lines.join(', ');
-      linesGroupsSelect.innerHTML += `<option value="${dataset.filename}">${lines}</option>`;
+  daySelect.value = selectedKey;
+  populateLinesGroups();
+  populateRunningTimesDays();
+};
+
+// Human readable description of the categories of the data-quality issues
+const issueCategoryLabels = {
+  missingCoordinates: 'Stops without valid coordinates',
+  missingStopArea: 'Stops without stop area',
+  danglingReference: 'References to missing records',
+  tooFewStops: 'Journey patterns with less than two stops',
+  lengthMismatch: 'Mismatching number of times/distances',
+  unusedJourneyPattern: 'Journey patterns without valid vehicle journeys',
+  decreasingDistances: 'Decreasing distances',
+  missingLine: 'Journey patterns without line',
+  decreasingTimes: 'Decreasing times',
+  invalidGeometry: 'Stops links without valid geometry',
+  removedPositions: 'Vehicle journeys with realtime positions removed',
+};
+
+// Show the data-quality report of the loaded dataset in the sidebar
+const showDataQualityReport = ({ errors, warnings }) => {
+  const reportDiv = document.getElementById('data-quality-report');
+  reportDiv.innerHTML = '<h4>Data quality</h4>';
+
+  if (!errors.length && !warnings.length) {
+    reportDiv.innerHTML += '<p>No issues found.</p>';
+    return;
+  }
+
+  const sections = [
+    { className: 'errors', title: 'Errors (records skipped)', issues: errors },
+    { className: 'warnings', title: 'Warnings', issues: warnings },
+  ];
+  for (const { className, title, issues } of sections.filter(section => section.issues.length)) {
+    let sectionHTML = `<details class="${className}"><summary>${title}: ${issues.length}</summary>`;
+    // Group the issues by category, listing the single issues of each of them
+    for (const [category, categoryIssues] of Object.entries(groupBy(issues, 'category'))) {
+      const items = categoryIssues.map(({ message }) => `<li>${message}</li>`).join('');
+      sectionHTML += `<details><summary>${issueCategoryLabels[category] || category}: ${categoryIssues.length}</summary><ul>${items}</ul></details>`;
     }
-    loadAvailableLineDirections();
-  };
+    reportDiv.innerHTML += `${sectionHTML}</details>`;
+  }
+};
 
-  // Populate group of lines dropdown
-  const linesGroupsSelect = document.getElementById('lines-groups');
-  for (const dataset of publications[0].datasets) {
-    const lines = dataset.lines.join(', ');
-    linesGroupsSelect.innerHTML += `<option value="${dataset.filename}">${lines}</option>`;
+// Create the visualization of a dataset, using the mode selected in the sidebar
+const createVisualization = (dataset) => {
+  // Empty the main div element
+  document.getElementById('main').innerHTML = '';
+  // Remove the dat.GUI widget(s) if present
+  for (const dg of document.getElementsByClassName('dg main')) dg.remove();
+
+  // Create new visualization, using the specified mode.
+  const selectedMode = document.getElementById('mode').value;
+  if (['dual', 'marey'].includes(selectedMode)) {
+    options.mode = selectedMode;
+    const [line, direction] = document.getElementById('line-direction').value.split(' - ');
+    options.line = line;
+    options.direction = parseInt(direction, 10);
+  } else if (['punctuality', 'runningTimes', 'transfers', 'cancellations', 'blocks', 'frequency'].includes(selectedMode)) {
+    options.mode = selectedMode;
+  } else {
+    options.mode = 'spiralSimulation';
   }
-  // Update available journey patterns when group of line is picked
-  linesGroupsSelect.onchange = loadAvailableLineDirections;
+  const { date } = datasetLoader.getPublication(document.getElementById('day').value);
+  Object.assign(options, { selectedDate: date });
+  // Stop the live mode of the previous visualization
+  if (currentPTDS) currentPTDS.stopLive();
+  const ptds = new PTDS(dataset, options);
+  showDataQualityReport(ptds.data.report);
 
-  // Load the available journey patterns and make that dropdown visible
-  loadAvailableLineDirections();
+  currentDataset = dataset;
+  currentPTDS = ptds;
+  // Trips are shown in the Marey diagram of the line and direction of the first of them,
+  // e.g. the two trips of a connection clicked in the transfers dashboard or a trip clicked
+  // in the vehicle blocks chart
+  ptds.showTripsCallback = (vehicleJourneys, connection) => {
+    const { line, direction } = vehicleJourneys[0].journeyPattern;
+    const modeSelect = document.getElementById('mode');
+    modeSelect.value = 'marey';
+    modeSelect.onchange();
+    document.getElementById('line-direction').value = `${line.code} - ${direction}`;
+    createVisualization(dataset).focusOnTrips(vehicleJourneys, connection);
+  };
+  // Reports of the analyses, if any
+  document.getElementById('toggle-reports').hidden = !(ptds.reportsPanel && ptds.reportsPanel.hasReports);
+  // In live mode, the Marey diagram can be made to follow the current time again
+  document.getElementById('follow-now').hidden = !(options.live.url && ['dual', 'marey'].includes(options.mode));
+  document.getElementById('export-gtfs').disabled = false;
+  // The realised running times of other days are added to the ones of the day shown
+  if (options.mode === 'runningTimes') loadRunningTimesDays(ptds);
+  return ptds;
+};
+
+// Export the dataset currently visualized as a GTFS feed
+const exportGTFS = () => {
+  showLoadStatus('Exporting the dataset to GTFS...');
+  GTFSExporter.export(currentDataset, document.getElementById('export-realtime').checked)
+    .then((blob) => {
+      FileUtils.saveAs(blob, `gtfs-${currentDataset.referenceDate}.zip`);
+      showLoadStatus('');
+    })
+    .catch((error) => {
+      log.error(error);
+      showLoadStatus(`Could not export the dataset: ${error.message}`);
+    });
+};
+
+// Process the index file populating the sidebar with the available parameters,
+// as soon as it is loaded
+const processIndex = () => {
+  const [latestPublication] = datasetLoader.publications;
+  populatePublications(latestPublication.key);
 
-  /* eslint no-new: "off" */
   // Fetch default dataset and create its corresponding visualization
-  const defaultDatasetURL = `${publications[0].url}${publications[0].datasets[0].filename}`;
-  Object.assign(options, { selectedDate: publications[0].date });
-  fetch(defaultDatasetURL).then(r => r.json())
-    .then((defaultData) => { new PTDS(defaultData, options); });
+  buildSelectedDataset().then(createVisualization).catch(showLoadError);
+};
+
+// Open local files, adding them as a new publication and visualizing its first dataset
+const openLocalFiles = (files) => {
+  if (!files.length) return;
+
+  showLoadStatus('Opening local files...');
+  // Use today as date of the local files if no date is specified
+  const defaultDate = document.getElementById('local-date').value
+    || new Date().toISOString().substr(0, 10);
+  datasetLoader.addLocalFiles(files, defaultDate, options.timezone)
+    .then((publication) => {
+      populatePublications(publication.key);
+      return buildSelectedDataset();
+    })
+    .then(createVisualization)
+    .catch((error) => {
+      log.error(error);
+      showLoadStatus(`Could not open the local files: ${error.message}`);
+    });
 };
 
 // Form submission handler
@@ -118,38 +468,67 @@ const formSubmit = (event) => {
   // Prevent default form submit
   event.preventDefault();
 
-  // Get URL of dataset selected
-  const urlLinesGroupsSelected = getSelectedDatasetURL();
-
-  // Load the chosen dataset
-  fetch(urlLinesGroupsSelected).then(r => r.json())
-    .then((data) => {
-      // Empty the main div element
-      document.getElementById('main').innerHTML = '';
-      // Remove the dat.GUI widget(s) if present
-      for (const dg of document.getElementsByClassName('dg main')) dg.remove();
-
-      // Create new visualization, using the specified mode.
-      const selectedMode = document.getElementById('mode').value;
-      if (['dual', 'marey'].includes(selectedMode)) {
-        options.mode = selectedMode;
-        const [line, direction] = document.getElementById('line-direction').value.split(' - ');
-        options.line = line;
-        options.direction = parseInt(direction, 10);
-      } else {
-        options.mode = 'spiralSimulation';
-      }
-      Object.assign(options, { selectedDate: document.getElementById('day').value });
-      new PTDS(data, options);
-    });
+  // Load the chosen datasets
+  buildSelectedDataset().then(createVisualization).catch(showLoadError);
 };
 
 $(document).ready(() => {
-  // As soon as the document is ready, fetch the index file
-  const indexFileURL = 'https://services.opengeo.nl/ptds/index.json';
-  fetch(indexFileURL).then(r => r.json())
+  const queryParameters = new URLSearchParams(window.location.search);
+  if (queryParameters.has('basemap')) {
+    options.basemap = {
+      type: queryParameters.get('basemapType') || 'raster',
+      url: queryParameters.get('basemap'),
+    };
+  }
+  if (queryParameters.has('live')) {
+    options.live.url = queryParameters.get('live');
+    if (queryParameters.has('liveInterval')) {
+      options.live.interval = parseFloat(queryParameters.get('liveInterval'));
+    }
+  }
+
+  // As soon as the document is ready, fetch the index file.
+  // The URL of the index file can be overridden with the "index" query parameter
+  const indexURL = queryParameters.get('index') || options.indexURL;
+  datasetLoader = new DatasetLoader(indexURL);
+  showCacheManager();
+  datasetLoader.loadIndex()
     // Process the index file when finished loading it
-    .then((data) => { indexData = data; processIndex(); });
+    .then(processIndex)
+    .catch((error) => {
+      // Without the index, local files can still be opened
+      log.error(error);
+      showLoadStatus(`Could not load the index file ${indexURL}, open local files instead.`);
+    });
+
+  const modeSelect = document.getElementById('mode');
+  modeSelect.onchange = () => {
+    const displayStyleLDselect = ['dual', 'marey'].includes(modeSelect.value) ? 'block' : 'none';
+    document.getElementsByClassName('linedirectionSel')[0].style.display = displayStyleLDselect;
+    document.getElementsByClassName('runningTimesDaysSel')[0].style.display = modeSelect.value === 'runningTimes' ? 'block' : 'none';
+  };
+  // When date is picked, populate the dropdown for the group of lines
+  document.getElementById('day').onchange = () => {
+    populateLinesGroups();
+    populateRunningTimesDays();
+  };
+  // Update available journey patterns when group of line is picked
+  document.getElementById('lines-groups').onchange = loadAvailableLineDirections;
+
+  // Open local files chosen with the file picker or dropped onto the page
+  document.getElementById('local-files').onchange = (event) => {
+    openLocalFiles(event.target.files);
+  };
+  document.body.ondragover = (event) => {
+    event.preventDefault();
+    document.body.classList.add('dragging');
+  };
+  document.body.ondragleave = () => { document.body.classList.remove('dragging'); };
+  document.body.ondrop = (event) => {
+    event.preventDefault();
+    document.body.classList.remove('dragging');
+    openLocalFiles(event.dataTransfer.files);
+  };
 
   // Activate sidebar plugin
   $('#sidebar').simplerSidebar({
@@ -163,6 +542,10 @@ $(document).ready(() => {
   document.getElementById('sidebar').style.visibility = 'visible';
   document.getElementById('navbar').style.visibility = 'visible';
 
+  document.getElementById('export-gtfs').onclick = exportGTFS;
+  document.getElementById('follow-now').onclick = () => { currentPTDS.followNow(); };
+  document.getElementById('toggle-reports').onclick = () => { currentPTDS.reportsPanel.toggle(); };
+
   // Handle new dataset/mode loading
   document.getElementById('viz-options').onsubmit = formSubmit;
 });
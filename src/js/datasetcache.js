@@ -0,0 +1,172 @@
+/**
+ * Offline cache of the downloaded index files and datasets, stored in IndexedDB.
+ * The datasets are identified by the date of their publication and their filename.
+ * Their size and the time of saving are stored apart from the data, so that
+ * the content of the cache can be listed without reading all the datasets.
+ * It can be used both in the main thread and in the Web Workers.
+ */
+export default class DatasetCache {
+  /**
+   * Dataset cache constructor, the database is opened at the first use
+   * @param  {string} [name] - Name of the IndexedDB database
+   */
+  constructor(name = 'ptds-cache') {
+    this.name = name;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open the database, creating its object stores the first time
+   * @return {Promise.<IDBDatabase>} - Promise resolving to the database
+   */
+  open() {
+    if (this.dbPromise === null) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+
+        const request = indexedDB.open(this.name, 1);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          db.createObjectStore('indexes');
+          db.createObjectStore('datasets');
+          db.createObjectStore('datasetsInfo').createIndex('date', 'date');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run some operations within a transaction
+   * @param  {Array.<string>} storeNames - Names of the object stores involved
+   * @param  {string} mode - Mode of the transaction, "readonly" or "readwrite"
+   * @param  {Function} operations - Function receiving the object stores, by name,
+   *   and returning the request whose result is wanted, if any
+   * @return {Promise} - Promise resolving to the result of the request, once the transaction
+   *   is complete
+   */
+  transaction(storeNames, mode, operations) {
+    return this.open().then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, mode);
+      const stores = {};
+      for (const storeName of storeNames) stores[storeName] = transaction.objectStore(storeName);
+      const request = operations(stores);
+
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    }));
+  }
+
+  /**
+   * Key of a dataset in the object stores
+   * @param  {string} date - Date of the publication of the dataset
+   * @param  {string} filename - Filename of the dataset
+   * @return {string} - Key of the dataset
+   */
+  static datasetKey(date, filename) {
+    return `${date}/${filename}`;
+  }
+
+  /**
+   * Get a cached index file
+   * @param  {string} url - URL of the index file
+   * @return {Promise.<(Object|undefined)>} - Promise resolving to the data of the index file,
+   *   undefined if not cached
+   */
+  getIndex(url) {
+    return this.transaction(['indexes'], 'readonly', ({ indexes }) => indexes.get(url))
+      .then(entry => (entry ? entry.data : undefined));
+  }
+
+  /**
+   * Store an index file in the cache, replacing the previous version
+   * @param  {string} url - URL of the index file
+   * @param  {Object} data - Data of the index file
+   * @return {Promise} - Promise resolving once stored
+   */
+  putIndex(url, data) {
+    return this.transaction(['indexes'], 'readwrite', ({ indexes }) => {
+      indexes.put({ data, savedAt: Date.now() }, url);
+    });
+  }
+
+  /**
+   * Get a cached dataset
+   * @param  {string} date - Date of the publication of the dataset
+   * @param  {string} filename - Filename of the dataset
+   * @return {Promise.<(Object|undefined)>} - Promise resolving to the raw data of the dataset,
+   *   undefined if not cached
+   */
+  getDataset(date, filename) {
+    return this.transaction(
+      ['datasets'],
+      'readonly',
+      ({ datasets }) => datasets.get(DatasetCache.datasetKey(date, filename)),
+    );
+  }
+
+  /**
+   * Store a dataset in the cache
+   * @param  {string} date - Date of the publication of the dataset
+   * @param  {string} filename - Filename of the dataset
+   * @param  {Object} data - Raw data of the dataset
+   * @param  {number} size - Size of the dataset, in bytes
+   * @return {Promise} - Promise resolving once stored
+   */
+  putDataset(date, filename, data, size) {
+    const key = DatasetCache.datasetKey(date, filename);
+    return this.transaction(['datasets', 'datasetsInfo'], 'readwrite', ({ datasets, datasetsInfo }) => {
+      datasets.put(data, key);
+      datasetsInfo.put({
+        date,
+        filename,
+        size,
+        savedAt: Date.now(),
+      }, key);
+    });
+  }
+
+  /**
+   * List the days whose datasets are cached
+   * @return {Promise.<Array.<{date: string, filenames: Array.<string>, size: number}>>} - Promise
+   *   resolving to the cached days, from the most recent to the oldest,
+   *   with the filenames of their datasets and their total size in bytes
+   */
+  listDays() {
+    return this.transaction(['datasetsInfo'], 'readonly', ({ datasetsInfo }) => datasetsInfo.getAll())
+      .then((infos) => {
+        const days = {};
+        for (const { date, filename, size } of infos) {
+          if (!Object.prototype.hasOwnProperty.call(days, date)) {
+            days[date] = { date, filenames: [], size: 0 };
+          }
+          days[date].filenames.push(filename);
+          days[date].size += size;
+        }
+        return Object.values(days).sort((a, b) => b.date.localeCompare(a.date));
+      });
+  }
+
+  /**
+   * Remove all the cached datasets of a day
+   * @param  {string} date - Date of the publication
+   * @return {Promise} - Promise resolving once removed
+   */
+  evictDay(date) {
+    return this.transaction(['datasets', 'datasetsInfo'], 'readwrite', ({ datasets, datasetsInfo }) => {
+      const request = datasetsInfo.index('date').getAllKeys(date);
+      request.onsuccess = () => {
+        for (const key of request.result) {
+          datasets.delete(key);
+          datasetsInfo.delete(key);
+        }
+      };
+    });
+  }
+}
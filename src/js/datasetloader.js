@@ -0,0 +1,243 @@
+import JSZip from 'jszip';
+import { flatten } from 'lodash';
+
+import DatasetCache from './datasetcache';
+import DatasetWorker from './workers/dataset.worker';
+import FileUtils from './fileutils';
+import GTFSImporter from './importers/gtfs';
+import GTFSRealtimeImporter from './importers/gtfsrealtime';
+import KV1Importer from './importers/kv1';
+import KV6Importer from './importers/kv6';
+import PTDataset from './ptdataset';
+import TimeUtils from './timeutils';
+
+/**
+ * Class managing the sources of the datasets: the publications listed in the index file,
+ * and the publications made of local files opened by the user.
+ * Every publication is identified by a key: the date for the publications of the index,
+ * an artificial "local-N" key for the local ones.
+ * The index file and the datasets downloaded are kept in an offline cache: the index file is
+ * served from it only when it can't be downloaded, since new publications can be added to it,
+ * while the datasets of a publication never change, so they are always served from the cache
+ * once downloaded.
+ */
+export default class DatasetLoader {
+  /**
+   * Dataset loader constructor
+   * @param  {string} indexURL - URL of the index file, can be relative to the page
+   */
+  constructor(indexURL) {
+    this.indexURL = new URL(indexURL, window.location.href).href;
+    this.remotePublications = [];
+    this.localPublications = [];
+    this.cache = new DatasetCache();
+  }
+
+  /**
+   * Fetch the index file listing the available publications
+   * @return {Promise.<Array.<Object>>} - Promise resolving to the publications in the index
+   */
+  loadIndex() {
+    return fetch(this.indexURL)
+      .then((response) => {
+        if (!response.ok) throw new Error(`Could not download the index file: ${response.status}`);
+        return response.json();
+      })
+      .then((indexData) => {
+        // Keep a copy of the index file, to use it when offline
+        this.cache.putIndex(this.indexURL, indexData).catch(() => {});
+        return indexData;
+      }, error => this.cache.getIndex(this.indexURL)
+        .catch(() => undefined)
+        .then((indexData) => {
+          if (typeof indexData === 'undefined') throw error;
+          return indexData;
+        }))
+      .then((indexData) => {
+        this.remotePublications = indexData.publications.map(publication => Object.assign(
+          {},
+          publication,
+          {
+            key: publication.date,
+            label: publication.date,
+            // The URL of the publication can be relative to the one of the index file
+            url: new URL(publication.url, this.indexURL).href,
+          },
+        ));
+        return this.remotePublications;
+      });
+  }
+
+  /**
+   * All the available publications, the local ones first and then the ones
+   * of the index from the most recent to the oldest
+   * @return {Array.<Object>} - Publications
+   */
+  get publications() {
+    const remotePublications = this.remotePublications.slice()
+      .sort((a, b) => b.date.localeCompare(a.date));
+    return [...this.localPublications, ...remotePublications];
+  }
+
+  /**
+   * Find a publication by its key
+   * @param  {string} key - Key of the publication
+   * @return {Object} - Publication
+   */
+  getPublication(key) {
+    return this.publications.find(publication => publication.key === key);
+  }
+
+  /**
+   * Download multiple datasets of the same publication, unless cached, and build the PTDataset
+   * merging them. Both happen in a Web Worker, so that the page stays responsive.
+   * @param  {string} publicationKey - Key of the publication
+   * @param  {Array.<string>} filenames - Filenames of the datasets within the publication
+   * @param  {Object} options - Options of the PTDataset
+   * @param  {Function} [progressCallback] - Callback receiving the progress of the download
+   *   and of the building of the dataset, as {stage, done, total} objects
+   * @return {Promise.<PTDataset>} - Promise resolving to the dataset
+   */
+  buildDataset(publicationKey, filenames, options, progressCallback = () => {}) {
+    const publication = this.getPublication(publicationKey);
+    const sources = filenames.map((filename) => {
+      const dataset = publication.datasets.find(ds => ds.filename === filename);
+      return publication.local
+        ? { data: dataset.data }
+        : { url: `${publication.url}${dataset.filename}`, date: publication.date, filename };
+    });
+
+    return new Promise((resolve, reject) => {
+      const worker = new DatasetWorker();
+      worker.onmessage = ({ data: message }) => {
+        if (message.type === 'progress') {
+          progressCallback(message);
+        } else {
+          worker.terminate();
+          if (message.type === 'dataset') resolve(PTDataset.revive(message.dataset));
+          else reject(new Error(message.message));
+        }
+      };
+      worker.onerror = (event) => {
+        worker.terminate();
+        reject(new Error(event.message));
+      };
+      worker.postMessage({ sources, referenceDate: publication.date, options });
+    });
+  }
+
+  /**
+   * Add a local publication made of files opened by the user. Supported files are
+   * dataset JSON files, zip files containing dataset JSON files, zipped GTFS feeds,
+   * KV1 exports, zipped or as separate .tmi files, KV6 messages in XML files and
+   * GTFS-Realtime snapshots in .pb files. The KV6 messages and the GTFS-Realtime snapshots
+   * are replayed on the datasets of the other files opened together, e.g. on the KV1 export
+   * or the GTFS feed, filling in their realtime data.
+   * @param  {(FileList|Array.<File>)} files - Files opened by the user
+   * @param  {string} defaultDate - Date to use for the publication, in the "YYYY-MM-DD" format,
+   *   if it can't be derived from the name of the files
+   * @param  {string} [timezone] - IANA timezone name of the agencies, in which the times
+   *   of the realtime data are converted
+   * @return {Promise.<Object>} - Promise resolving to the new publication
+   */
+  addLocalFiles(files, defaultDate, timezone = TimeUtils.defaultTimezone) {
+    const fileList = Array.from(files);
+    // Look for a date in the name of the files, e.g. "2019-03-05" or "20190305",
+    // not to be confused with a POSIX timestamp naming a snapshot
+    const dateMatch = fileList
+      .map(({ name }) => name.match(/(?:^|\D)(\d{4})-?(0[1-9]|1[0-2])-?(0[1-9]|[12]\d|3[01])(?!\d)/))
+      .find(match => match !== null);
+    const date = dateMatch ? `${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}` : defaultDate;
+
+    // The separate KV1 tables make a single dataset together
+    const kv1Files = fileList.filter(({ name }) => /\.tmi$/i.test(name));
+    const kv6Files = fileList.filter(({ name }) => /\.xml$/i.test(name));
+    const gtfsRealtimeFiles = fileList.filter(({ name }) => /\.pb$/i.test(name));
+    const datasetFiles = fileList.filter(file => ![...kv1Files, ...kv6Files, ...gtfsRealtimeFiles]
+      .includes(file));
+    const filesDatasetsPromises = datasetFiles.map(file => DatasetLoader.readLocalFile(file, date));
+    if (kv1Files.length) {
+      filesDatasetsPromises.push(KV1Importer.importFiles(kv1Files, date)
+        .then(data => [DatasetLoader.localDataset(kv1Files[0].name, data)]));
+    }
+
+    return Promise.all([
+      Promise.all(filesDatasetsPromises),
+      KV6Importer.readFiles(kv6Files),
+      GTFSRealtimeImporter.readFiles(gtfsRealtimeFiles),
+    ])
+      .then(([filesDatasets, kv6Texts, gtfsRealtimeSnapshots]) => {
+        let datasets = flatten(filesDatasets);
+        if (!datasets.length) throw new Error('No datasets found in the files opened');
+        if (kv6Texts.length) {
+          datasets = datasets.map(dataset => Object.assign({}, dataset, {
+            data: KV6Importer.import(kv6Texts, dataset.data, date, timezone),
+          }));
+        }
+        if (gtfsRealtimeSnapshots.length) {
+          datasets = datasets.map(dataset => Object.assign({}, dataset, {
+            data: GTFSRealtimeImporter.import(gtfsRealtimeSnapshots, dataset.data, date, timezone),
+          }));
+        }
+
+        const publication = {
+          key: `local-${this.localPublications.length + 1}`,
+          label: `${date} (local: ${fileList.map(({ name }) => name).join(', ')})`,
+          date,
+          local: true,
+          datasets,
+        };
+        this.localPublications.unshift(publication);
+        return publication;
+      });
+  }
+
+  /**
+   * Read the datasets contained in a local file
+   * @param  {File} file - Local file
+   * @param  {string} date - Date of the datasets, in the "YYYY-MM-DD" format
+   * @return {Promise.<Array.<{filename: string, lines: Array.<string>, data: Object}>>} - Promise
+   *   resolving to the datasets contained in the file
+   */
+  static readLocalFile(file, date) {
+    if (!/\.zip$/i.test(file.name)) {
+      return FileUtils.readAsText(file)
+        .then(text => [DatasetLoader.localDataset(file.name, JSON.parse(text))]);
+    }
+
+    return FileUtils.readAsArrayBuffer(file).then(JSZip.loadAsync).then((zip) => {
+      // A zipped GTFS feed always contains the stops.txt file
+      if (zip.file(/(^|\/)stops\.txt$/).length) {
+        return GTFSImporter.readZip(zip)
+          .then(feed => [DatasetLoader.localDataset(file.name, GTFSImporter.convert(feed, date))]);
+      }
+
+      // A zipped KV1 export contains .tmi files
+      const kv1Files = zip.file(/\.tmi$/i);
+      if (kv1Files.length) {
+        return Promise.all(kv1Files.map(kv1File => kv1File.async('string')))
+          .then(texts => [DatasetLoader.localDataset(
+            file.name,
+            KV1Importer.convert(KV1Importer.parseTables(texts), date),
+          )]);
+      }
+
+      // Otherwise, every JSON file in the zip is a dataset
+      const jsonFiles = zip.file(/\.json$/i);
+      return Promise.all(jsonFiles.map(jsonFile => jsonFile.async('string')
+        .then(text => DatasetLoader.localDataset(jsonFile.name, JSON.parse(text)))));
+    });
+  }
+
+  /**
+   * Create the description of a local dataset, listing its lines as in the index file
+   * @param  {string} filename - Name of the file of the dataset
+   * @param  {Object} data - Raw dataset data
+   * @return {{filename: string, lines: Array.<string>, data: Object}} - Dataset description
+   */
+  static localDataset(filename, data) {
+    const lines = Array.from(new Set(Object.values(data.journeyPatterns)
+      .map(({ lineRef }) => lineRef))).sort();
+    return { filename, lines, data };
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * Validation of the raw input data of a PTDataset.
+ * Records that would make the creation of the models fail are reported as errors and left out
+ * of the data, while suspicious records that can still be used are reported as warnings.
+ */
+export default class DatasetValidator {
+  /**
+   * Validate the raw input data, producing a data-quality report and a copy of the data
+   * without the invalid records
+   * @param  {Object} inputData - Raw input data
+   * @return {{
+   *   data: Object,
+   *   report: {
+   *     errors: Array.<{category: string, message: string, code: string}>,
+   *     warnings: Array.<{category: string, message: string, code: string}>
+   *   }
+   * }} - Valid data and data-quality report
+   */
+  static validate(inputData) {
+    const report = { errors: [], warnings: [] };
+    const addError = (category, code, message) => report.errors.push({ category, code, message });
+    const addWarning = (category, code, message) => report.warnings
+      .push({ category, code, message });
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    const isDecreasing = values => values.some((value, index) => index > 0
+      && value < values[index - 1]);
+
+    const scheduledStopPoints = {};
+    for (const [code, stop] of Object.entries(inputData.scheduledStopPoints || {})) {
+      if (!isNumber(stop.x) || !isNumber(stop.y)) {
+        addError('missingCoordinates', code, `Stop ${code} has no valid coordinates`);
+      } else if (!stop.stopAreaRef) {
+        addWarning('missingStopArea', code, `Stop ${code} does not belong to a stop area, it forms one on its own`);
+        scheduledStopPoints[code] = Object.assign({}, stop, { stopAreaRef: code });
+      } else {
+        scheduledStopPoints[code] = stop;
+      }
+    }
+
+    // Journey patterns the vehicle journeys can be checked against, kept only once some of
+    // their vehicle journeys are valid
+    const validJourneyPatterns = {};
+    for (const [code, journeyPattern] of Object.entries(inputData.journeyPatterns || {})) {
+      const { pointsInSequence: stops = [], distances = [] } = journeyPattern;
+      const missingStops = stops
+        .filter(stopCode => !Object.prototype.hasOwnProperty.call(scheduledStopPoints, stopCode));
+
+      if (missingStops.length) {
+        addError('danglingReference', code, `Journey pattern ${code} refers to missing or invalid stop(s) ${missingStops.join(', ')}`);
+      } else if (stops.length < 2) {
+        addError('tooFewStops', code, `Journey pattern ${code} has less than two stops`);
+      } else if (stops.length !== distances.length || !distances.every(isNumber)) {
+        addError('lengthMismatch', code, `Journey pattern ${code} has ${stops.length} stops but ${distances.length} valid distances`);
+      } else {
+        validJourneyPatterns[code] = journeyPattern;
+      }
+    }
+
+    const vehicleJourneys = {};
+    for (const [code, vehicleJourney] of Object.entries(inputData.vehicleJourneys || {})) {
+      const { journeyPatternRef, times = [] } = vehicleJourney;
+      const journeyPattern = validJourneyPatterns[journeyPatternRef];
+
+      if (typeof journeyPattern === 'undefined') {
+        addError('danglingReference', code, `Vehicle journey ${code} refers to missing or invalid journey pattern ${journeyPatternRef}`);
+      } else if (times.length !== journeyPattern.pointsInSequence.length * 2
+        || !times.every(isNumber)) {
+        addError('lengthMismatch', code, `Vehicle journey ${code} has ${times.length} valid times instead of an arrival and departure time for each of its ${journeyPattern.pointsInSequence.length} stops`);
+      } else {
+        if (isDecreasing(times)) {
+          addWarning('decreasingTimes', code, `Vehicle journey ${code} has decreasing scheduled times`);
+        }
+
+        // Validate the realtime data of each vehicle, leaving out only the invalid vehicles
+        const realtime = {};
+        for (const [vehicleKey, rtVehicle] of Object.entries(vehicleJourney.realtime || {})) {
+          const { times: rtTimes = [], distances: rtDistances = [] } = rtVehicle;
+          if (rtTimes.length !== rtDistances.length) {
+            addError('lengthMismatch', code, `Vehicle ${vehicleKey} of vehicle journey ${code} has ${rtTimes.length} realtime times but ${rtDistances.length} distances`);
+          } else {
+            if (isDecreasing(rtDistances)) {
+              addWarning('decreasingDistances', code, `Vehicle ${vehicleKey} of vehicle journey ${code} has decreasing realtime distances`);
+            }
+            realtime[vehicleKey] = rtVehicle;
+          }
+        }
+
+        vehicleJourneys[code] = Object.assign({}, vehicleJourney, { realtime });
+      }
+    }
+
+    const journeyPatternsInUse = new Set(Object.values(vehicleJourneys)
+      .map(({ journeyPatternRef }) => journeyPatternRef));
+    const journeyPatterns = {};
+    for (const [code, journeyPattern] of Object.entries(validJourneyPatterns)) {
+      if (!journeyPatternsInUse.has(code)) {
+        addError('unusedJourneyPattern', code, `Journey pattern ${code} has no valid vehicle journeys`);
+      } else {
+        if (isDecreasing(journeyPattern.distances)) {
+          addWarning('decreasingDistances', code, `Journey pattern ${code} has decreasing stop distances`);
+        }
+        if (typeof journeyPattern.lineRef === 'undefined') {
+          addWarning('missingLine', code, `Journey pattern ${code} does not belong to a line`);
+        }
+        journeyPatterns[code] = journeyPattern;
+      }
+    }
+
+    // The geometry of the links is optional: links with an invalid one are left out,
+    // falling back to the straight line between their stops
+    const stopsLinks = {};
+    const isCoordinatesPair = pair => Array.isArray(pair) && pair.length === 2
+      && pair.every(isNumber);
+    for (const [linkID, stopsLink] of Object.entries(inputData.stopsLinks || {})) {
+      const missingStops = linkID.split('|')
+        .filter(stopCode => !Object.prototype.hasOwnProperty.call(scheduledStopPoints, stopCode));
+      const { geometry } = stopsLink;
+
+      if (missingStops.length) {
+        addError('danglingReference', linkID, `Stops link ${linkID} refers to missing or invalid stop(s) ${missingStops.join(', ')}`);
+      } else if (!Array.isArray(geometry) || geometry.length < 2
+        || !geometry.every(isCoordinatesPair)) {
+        addWarning('invalidGeometry', linkID, `Stops link ${linkID} has no valid geometry, a straight line is used instead`);
+      } else {
+        stopsLinks[linkID] = stopsLink;
+      }
+    }
+
+    return {
+      data: Object.assign({}, inputData, {
+        scheduledStopPoints,
+        journeyPatterns,
+        vehicleJourneys,
+        stopsLinks,
+      }),
+      report,
+    };
+  }
+}
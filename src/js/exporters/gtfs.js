@@ -0,0 +1,147 @@
+import JSZip from 'jszip';
+import { csvFormat } from 'd3-dsv';
+
+import GeoUtils from '../geoutils';
+import RealtimeCleaner from '../realtimecleaner';
+import TimeUtils from '../timeutils';
+
+const d3 = Object.assign({}, {
+  csvFormat,
+});
+
+/**
+ * Exporter of a PTDataset to a GTFS static feed, so that it can be used by other tools.
+ * The feed contains a single service, running on the reference date of the dataset.
+ * Stop areas become parent stations, whose ID is prefixed with "area:" since the codes
+ * of the stop areas can be the same as the ones of their stops.
+ */
+export default class GTFSExporter {
+  /**
+   * Export a dataset to a zipped GTFS feed
+   * @param  {PTDataset} dataset - Dataset to export
+   * @param  {boolean} [includeRealtime] - Whether to add the "realtime_observations.csv" file,
+   *   not part of the GTFS specification, with the realtime observations of the vehicles.
+   *   The positions interpolated by the cleaning are left out, since they were not observed,
+   *   and the clamped ones are flagged
+   * @return {Promise.<Blob>} - Promise resolving to the content of the GTFS zip file
+   */
+  static export(dataset, includeRealtime = false) {
+    const zip = new JSZip();
+    const tables = GTFSExporter.tables(dataset, includeRealtime);
+    for (const [filename, content] of Object.entries(tables)) {
+      zip.file(filename, content);
+    }
+    return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+  }
+
+  /**
+   * Create the tables of the GTFS feed
+   * @param  {PTDataset} dataset - Dataset to export
+   * @param  {boolean} includeRealtime - Whether to add the table of the realtime observations
+   * @return {Object.<string, string>} - Content of each file of the feed, in the CSV format
+   */
+  static tables(dataset, includeRealtime) {
+    const agencyId = 'PTDS';
+    const serviceId = dataset.referenceDate.replace(/-/g, '');
+    const toTimeString = date => TimeUtils.secondsToTimeString(TimeUtils
+      .dateObjectToSeconds(date, dataset.referenceDate, dataset.timezone));
+    const toCoordinates = ({ x, y }) => {
+      const { lat, lon } = GeoUtils.rdToWGS84(x, y);
+      return { stop_lat: lat.toFixed(6), stop_lon: lon.toFixed(6) };
+    };
+    const areaId = stopArea => `area:${stopArea.code}`;
+
+    const agency = [{
+      agency_id: agencyId,
+      agency_name: 'PTDS.js export',
+      agency_url: 'https://github.com/plannerstack/PTDS.js',
+      agency_timezone: dataset.timezone,
+    }];
+
+    // Stop areas don't have a name of their own, they take the one of their first stop
+    const stops = [
+      ...Object.values(dataset.stopAreas).map(stopArea => Object.assign({
+        stop_id: areaId(stopArea),
+        stop_name: stopArea.stops[0].name,
+      }, toCoordinates(stopArea.center), { location_type: 1, parent_station: '' })),
+      ...Object.values(dataset.stops).map(stop => Object.assign({
+        stop_id: stop.code,
+        stop_name: stop.name,
+      }, toCoordinates(stop.position), { location_type: 0, parent_station: areaId(stop.area) })),
+    ];
+
+    // The mode of transport is unknown, the lines are exported as bus routes
+    const routes = Object.values(dataset.lines).map(line => ({
+      route_id: line.code,
+      agency_id: agencyId,
+      route_short_name: line.code,
+      route_long_name: '',
+      route_type: 3,
+    }));
+
+    const calendarDates = [{ service_id: serviceId, date: serviceId, exception_type: 1 }];
+
+    const vehicleJourneys = Object.values(dataset.vehicleJourneys);
+    // GTFS only knows the directions 0 and 1, the other ones are left out
+    const trips = vehicleJourneys.map(({ code, journeyPattern }) => ({
+      route_id: journeyPattern.line.code,
+      service_id: serviceId,
+      trip_id: code,
+      direction_id: [0, 1].includes(journeyPattern.direction) ? journeyPattern.direction : '',
+    }));
+
+    const stopTimes = [];
+    for (const { code, journeyPattern, times } of vehicleJourneys) {
+      for (const [index, stop] of journeyPattern.stops.entries()) {
+        stopTimes.push({
+          trip_id: code,
+          arrival_time: toTimeString(times[index * 2]),
+          departure_time: toTimeString(times[(index * 2) + 1]),
+          stop_id: stop.code,
+          stop_sequence: index + 1,
+          shape_dist_traveled: journeyPattern.distances[index],
+        });
+      }
+    }
+
+    const tables = {
+      'agency.txt': d3.csvFormat(agency),
+      'stops.txt': d3.csvFormat(stops),
+      'routes.txt': d3.csvFormat(routes),
+      'calendar_dates.txt': d3.csvFormat(calendarDates),
+      'trips.txt': d3.csvFormat(trips),
+      'stop_times.txt': d3.csvFormat(stopTimes),
+    };
+
+    if (includeRealtime) {
+      const observations = [];
+      for (const { code, rt } of vehicleJourneys) {
+        for (const {
+          vehicleNumber,
+          times,
+          distances,
+          flags = [],
+        } of Object.values(rt || {})) {
+          for (const [index, time] of times.entries()) {
+            const flag = flags[index] || '';
+            if (flag !== RealtimeCleaner.flags.INTERPOLATED) {
+              observations.push({
+                trip_id: code,
+                vehicle_number: vehicleNumber,
+                time: toTimeString(time),
+                timestamp: time.toISOString(),
+                shape_dist_traveled: distances[index],
+                flag,
+              });
+            }
+          }
+        }
+      }
+      tables['realtime_observations.csv'] = d3.csvFormat(observations, [
+        'trip_id', 'vehicle_number', 'time', 'timestamp', 'shape_dist_traveled', 'flag',
+      ]);
+    }
+
+    return tables;
+  }
+}
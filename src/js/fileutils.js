@@ -0,0 +1,60 @@
+/**
+ * Helper functions to deal with local files selected or dropped by the user,
+ * or saved by the user
+ */
+export default class FileUtils {
+  /**
+   * Read the content of a file as binary data
+   * @param  {File} file - File to read
+   * @return {Promise.<ArrayBuffer>} - Promise resolving to the content of the file
+   */
+  static readAsArrayBuffer(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsArrayBuffer(file);
+    });
+  }
+
+  /**
+   * Read the content of a file as text
+   * @param  {File} file - File to read
+   * @return {Promise.<string>} - Promise resolving to the content of the file
+   */
+  static readAsText(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsText(file);
+    });
+  }
+
+  /**
+   * Sort a list of files by name. Recorded snapshots are usually named after
+   * the time at which they were taken, so this puts them in chronological order.
+   * @param  {(FileList|Array.<File>)} files - Files to sort
+   * @return {Array.<File>} - Sorted files
+   */
+  static sortByName(files) {
+    return Array.from(files).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Let the user download some data as a file
+   * @param  {Blob} blob - Content of the file
+   * @param  {string} filename - Name of the file
+   */
+  static saveAs(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser the time to start the download before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
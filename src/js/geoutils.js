@@ -0,0 +1,159 @@
+import Point from './models/point';
+
+/**
+ * Helper functions to deal with coordinates and geometries
+ */
+export default class GeoUtils {
+  /**
+   * Convert WGS84 coordinates to the Dutch grid (RD New, EPSG:28992),
+   * using the polynomial approximation by Schreutelkamp and Strang van Hees.
+   * The approximation is accurate to less than a meter within the Netherlands.
+   * @param  {number} lat - Latitude in decimal degrees
+   * @param  {number} lon - Longitude in decimal degrees
+   * @return {Point} - Point in Dutch grid coordinates
+   */
+  static wgs84ToRD(lat, lon) {
+    const dLat = 0.36 * (lat - 52.15517440);
+    const dLon = 0.36 * (lon - 5.38720621);
+
+    // Coefficients as [p, q, value], to be multiplied by dLat^p * dLon^q
+    const xCoefficients = [
+      [0, 1, 190094.945], [1, 1, -11832.228], [2, 1, -114.221], [0, 3, -32.391],
+      [1, 0, -0.705], [3, 1, -2.340], [1, 3, -0.608], [0, 2, -0.008], [2, 3, 0.148],
+    ];
+    const yCoefficients = [
+      [1, 0, 309056.544], [0, 2, 3638.893], [2, 0, 73.077], [1, 2, -157.984],
+      [3, 0, 59.788], [0, 1, 0.433], [2, 2, -6.439], [1, 1, -0.032], [0, 4, 0.092],
+      [1, 4, -0.054],
+    ];
+
+    const polynomial = coefficients => coefficients
+      .reduce((sum, [p, q, value]) => sum + (value * (dLat ** p) * (dLon ** q)), 0);
+
+    return new Point(155000 + polynomial(xCoefficients), 463000 + polynomial(yCoefficients));
+  }
+
+  /**
+   * Check if WGS84 coordinates are within the area of use of the Dutch grid (EPSG:28992),
+   * the Netherlands, outside of which wgs84ToRD gives wrong positions
+   * @param  {number} lat - Latitude in decimal degrees
+   * @param  {number} lon - Longitude in decimal degrees
+   * @return {boolean} - Whether the coordinates can be converted to the Dutch grid
+   */
+  static isInRDArea(lat, lon) {
+    return lat >= 50.75 && lat <= 53.7 && lon >= 3.2 && lon <= 7.22;
+  }
+
+  /**
+   * Convert Dutch grid coordinates (RD New, EPSG:28992) to WGS84, inverse of wgs84ToRD,
+   * using the polynomial approximation by Schreutelkamp and Strang van Hees
+   * @param  {number} x - X coordinate in the Dutch grid
+   * @param  {number} y - Y coordinate in the Dutch grid
+   * @return {{lat: number, lon: number}} - Latitude and longitude in decimal degrees
+   */
+  static rdToWGS84(x, y) {
+    const dX = (x - 155000) * 1e-5;
+    const dY = (y - 463000) * 1e-5;
+
+    // Coefficients as [p, q, value], to be multiplied by dX^p * dY^q
+    const latCoefficients = [
+      [0, 1, 3235.65389], [2, 0, -32.58297], [0, 2, -0.24750], [2, 1, -0.84978],
+      [0, 3, -0.06550], [2, 2, -0.01709], [1, 0, -0.00738], [4, 0, 0.00530],
+      [2, 3, -0.00039], [4, 1, 0.00033], [1, 1, -0.00012],
+    ];
+    const lonCoefficients = [
+      [1, 0, 5260.52916], [1, 1, 105.94684], [1, 2, 2.45656], [3, 0, -0.81885],
+      [1, 3, 0.05594], [3, 1, -0.05607], [0, 1, 0.01199], [3, 2, -0.00256],
+      [1, 4, 0.00128], [0, 2, 0.00022], [2, 0, -0.00022], [5, 0, 0.00026],
+    ];
+
+    // The polynomials give the difference from the reference point in arc seconds
+    const polynomial = coefficients => coefficients
+      .reduce((sum, [p, q, value]) => sum + (value * (dX ** p) * (dY ** q)), 0) / 3600;
+
+    return {
+      lat: 52.15517440 + polynomial(latCoefficients),
+      lon: 5.38720621 + polynomial(lonCoefficients),
+    };
+  }
+
+  /**
+   * Euclidean distance between two points
+   * @param  {Point} pointA - First point
+   * @param  {Point} pointB - Second point
+   * @return {number} - Distance between the points
+   */
+  static distance(pointA, pointB) {
+    return Math.hypot(pointB.x - pointA.x, pointB.y - pointA.y);
+  }
+
+  /**
+   * Compute the cumulative length of a polyline at each of its vertices
+   * @param  {Array.<Point>} polyline - Polyline
+   * @return {Array.<number>} - Length of the polyline up to each vertex
+   */
+  static cumulativeLengths(polyline) {
+    const lengths = [0];
+    for (let i = 1; i < polyline.length; i += 1) {
+      lengths.push(lengths[i - 1] + GeoUtils.distance(polyline[i - 1], polyline[i]));
+    }
+    return lengths;
+  }
+
+  /**
+   * Project a point on a polyline, finding the closest point of the polyline
+   * at or after a given segment. Searching from a given segment onward allows
+   * to project a sequence of stops in order along a route, also when the route
+   * passes twice through the same place.
+   * @param  {Point} point - Point to project
+   * @param  {Array.<Point>} polyline - Polyline to project the point on
+   * @param  {number} fromSegment - Index of the first segment to consider
+   * @return {{segmentIndex: number, distanceAlong: number, offset: number, point: Point}} - Index
+   *   of the segment the projection lies on, distance along the polyline of the projection,
+   *   distance between the point and its projection and the projected point itself
+   */
+  static projectOnPolyline(point, polyline, fromSegment = 0) {
+    const lengths = GeoUtils.cumulativeLengths(polyline);
+
+    // Degenerate polyline made of a single vertex
+    if (polyline.length === 1) {
+      return {
+        segmentIndex: 0,
+        distanceAlong: 0,
+        offset: GeoUtils.distance(point, polyline[0]),
+        point: polyline[0],
+      };
+    }
+
+    let best = null;
+    for (let i = Math.min(fromSegment, polyline.length - 2); i < polyline.length - 1; i += 1) {
+      const [start, end] = [polyline[i], polyline[i + 1]];
+      const segmentLength = lengths[i + 1] - lengths[i];
+
+      // Percentage of the segment at which the projection falls, clamped to the segment
+      let percentage = 0;
+      if (segmentLength > 0) {
+        percentage = (((point.x - start.x) * (end.x - start.x))
+                      + ((point.y - start.y) * (end.y - start.y))) / (segmentLength ** 2);
+        percentage = Math.min(Math.max(percentage, 0), 1);
+      }
+
+      const projected = new Point(
+        start.x + ((end.x - start.x) * percentage),
+        start.y + ((end.y - start.y) * percentage),
+      );
+      const offset = GeoUtils.distance(point, projected);
+
+      if (best === null || offset < best.offset) {
+        best = {
+          segmentIndex: i,
+          distanceAlong: lengths[i] + (segmentLength * percentage),
+          offset,
+          point: projected,
+        };
+      }
+    }
+
+    return best;
+  }
+}
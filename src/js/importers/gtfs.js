@@ -0,0 +1,387 @@
+import JSZip from 'jszip';
+import { csvParse } from 'd3-dsv';
+import { groupBy, keyBy, sortBy, zipObject } from 'lodash';
+
+import PTDataset from '../ptdataset';
+import GeoUtils from '../geoutils';
+import TimeUtils from '../timeutils';
+
+const d3 = Object.assign({}, {
+  csvParse,
+});
+
+/**
+ * Importer of GTFS static feeds.
+ * The feed is converted to the same input format used by PTDataset, so that
+ * it can be visualized in the same way as the datasets published on the index.
+ */
+export default class GTFSImporter {
+  /**
+   * Import a zipped GTFS feed, converting it to the PTDataset input format
+   * @param  {(ArrayBuffer|Blob)} zipData - Content of the GTFS zip file
+   * @param  {string} referenceDate - Service date to import, in the "YYYY-MM-DD" format
+   * @return {Promise.<Object>} - Promise resolving to the data in the PTDataset input format
+   */
+  static import(zipData, referenceDate) {
+    return GTFSImporter.readFeed(zipData)
+      .then(feed => GTFSImporter.convert(feed, referenceDate));
+  }
+
+  /**
+   * Import a zipped GTFS feed, directly creating a PTDataset out of it
+   * @param  {(ArrayBuffer|Blob)} zipData - Content of the GTFS zip file
+   * @param  {string} referenceDate - Service date to import, in the "YYYY-MM-DD" format
+   * @return {Promise.<PTDataset>} - Promise resolving to the dataset
+   */
+  static importPTDataset(zipData, referenceDate) {
+    return GTFSImporter.import(zipData, referenceDate)
+      .then(inputData => new PTDataset(inputData, referenceDate));
+  }
+
+  /**
+   * Read the tables of a zipped GTFS feed
+   * @param  {(ArrayBuffer|Blob)} zipData - Content of the GTFS zip file
+   * @return {Promise.<Object.<string, Array.<Object>>>} - Promise resolving to the rows
+   *   of each of the tables, indexed by table name
+   */
+  static readFeed(zipData) {
+    return JSZip.loadAsync(zipData).then(GTFSImporter.readZip);
+  }
+
+  /**
+   * Read the tables of a GTFS feed from an already opened zip file
+   * @param  {JSZip} zip - Opened GTFS zip file
+   * @return {Promise.<Object.<string, Array.<Object>>>} - Promise resolving to the rows
+   *   of each of the tables, indexed by table name
+   */
+  static readZip(zip) {
+    const requiredTables = ['stops', 'routes', 'trips', 'stop_times'];
+    const optionalTables = ['shapes', 'calendar', 'calendar_dates'];
+    const tableNames = [...requiredTables, ...optionalTables];
+
+    const tablesPromises = tableNames.map((tableName) => {
+      // Some feeds are zipped including the folder that contains the files
+      const [file] = zip.file(new RegExp(`(^|/)${tableName}\\.txt$`));
+
+      if (typeof file === 'undefined') {
+        if (requiredTables.includes(tableName)) {
+          return Promise.reject(new Error(`GTFS feed is missing the required file ${tableName}.txt`));
+        }
+        // Optional tables missing from the feed are considered empty
+        return [];
+      }
+
+      return file.async('string').then(GTFSImporter.parseTable);
+    });
+
+    return Promise.all(tablesPromises).then(tables => zipObject(tableNames, tables));
+  }
+
+  /**
+   * Parse the content of a GTFS table
+   * @param  {string} text - Content of the CSV file
+   * @return {Array.<Object>} - Rows of the table
+   */
+  static parseTable(text) {
+    // Remove the byte order mark that some producers add at the beginning of the file
+    return d3.csvParse(text.replace(/^\uFEFF/, ''));
+  }
+
+  /**
+   * Convert the tables of a GTFS feed to the PTDataset input format.
+   * Journey patterns are created from the unique stop sequences of each route and direction.
+   * @param  {Object.<string, Array.<Object>>} feed - Rows of each of the GTFS tables
+   * @param  {string} referenceDate - Service date to import, in the "YYYY-MM-DD" format
+   * @return {{
+   *   scheduledStopPoints: Object,
+   *   journeyPatterns: Object,
+   *   vehicleJourneys: Object,
+   *   stopsLinks: Object
+   * }} - Data in the PTDataset input format
+   */
+  static convert(feed, referenceDate) {
+    const activeServices = GTFSImporter.computeActiveServices(feed, referenceDate);
+    const stopTimesByTrip = groupBy(feed.stop_times, 'trip_id');
+    const shapes = GTFSImporter.computeShapes(feed.shapes);
+    const gtfsStops = keyBy(feed.stops, 'stop_id');
+    const lineCodes = GTFSImporter.computeLineCodes(feed.routes);
+
+    // Keep only the trips running on the reference date and having at least two stops
+    const trips = feed.trips.filter(({ trip_id: tripId, service_id: serviceId }) => (
+      (activeServices === null || activeServices.has(serviceId))
+      && Object.prototype.hasOwnProperty.call(stopTimesByTrip, tripId)
+      && stopTimesByTrip[tripId].length > 1));
+
+    const scheduledStopPoints = {};
+    const journeyPatterns = {};
+    const vehicleJourneys = {};
+    const stopsLinks = {};
+
+    // Journey pattern code of every unique route, direction and stop sequence combination
+    const journeyPatternCodes = {};
+    // Number of journey patterns created so far for every route and direction
+    const journeyPatternsCount = {};
+
+    for (const trip of trips) {
+      const stopTimes = sortBy(
+        stopTimesByTrip[trip.trip_id],
+        ({ stop_sequence: stopSequence }) => parseInt(stopSequence, 10),
+      );
+      const stopIds = stopTimes.map(({ stop_id: stopId }) => stopId);
+      const direction = trip.direction_id ? parseInt(trip.direction_id, 10) : 0;
+      const routeDirection = `${trip.route_id}:${direction}`;
+      const signature = `${routeDirection}|${stopIds.join('|')}`;
+
+      // Create the journey pattern the first time that we find its stop sequence
+      if (!Object.prototype.hasOwnProperty.call(journeyPatternCodes, signature)) {
+        journeyPatternsCount[routeDirection] = (journeyPatternsCount[routeDirection] || 0) + 1;
+        const code = `${routeDirection}:${journeyPatternsCount[routeDirection]}`;
+        journeyPatternCodes[signature] = code;
+        const lineRef = lineCodes[trip.route_id] || trip.route_id;
+        const invalidStops = stopIds
+          .some(stopId => !Object.prototype.hasOwnProperty.call(gtfsStops, stopId)
+            || GTFSImporter.stopPosition(gtfsStops[stopId]) === null);
+        const shape = shapes[trip.shape_id];
+
+        if (invalidStops) {
+          // Journey patterns with stops missing from the feed or outside of the Dutch grid are
+          // left to the validation of the dataset, which reports them and their trips
+          journeyPatterns[code] = {
+            pointsInSequence: stopIds,
+            distances: [],
+            lineRef,
+            direction,
+          };
+        } else {
+          journeyPatterns[code] = {
+            pointsInSequence: stopIds,
+            distances: GTFSImporter.computeDistances(stopTimes, gtfsStops, shape),
+            lineRef,
+            direction,
+          };
+        }
+
+        // The geometry of the links between the stops is taken from the shape of the trip
+        if (!invalidStops && typeof shape !== 'undefined' && shape.length > 1) {
+          const positions = stopIds.map(stopId => GTFSImporter.stopPosition(gtfsStops[stopId]));
+          const geometries = GTFSImporter.computeLinksGeometries(positions, shape);
+          for (const [index, geometry] of geometries.entries()) {
+            const linkID = `${stopIds[index]}|${stopIds[index + 1]}`;
+            if (!Object.prototype.hasOwnProperty.call(stopsLinks, linkID)) {
+              stopsLinks[linkID] = { geometry: geometry.map(({ x, y }) => [x, y]) };
+            }
+          }
+        }
+
+        for (const stopId of stopIds) {
+          if (Object.prototype.hasOwnProperty.call(gtfsStops, stopId)
+            && !Object.prototype.hasOwnProperty.call(scheduledStopPoints, stopId)) {
+            const gtfsStop = gtfsStops[stopId];
+            // Stops outside of the Dutch grid are left without coordinates, to be reported
+            const { x, y } = GTFSImporter.stopPosition(gtfsStop) || { x: null, y: null };
+            scheduledStopPoints[stopId] = {
+              name: gtfsStop.stop_name,
+              x,
+              y,
+              // Stops without a parent station form a stop area on their own
+              stopAreaRef: gtfsStop.parent_station || stopId,
+            };
+          }
+        }
+      }
+
+      const journeyPatternRef = journeyPatternCodes[signature];
+      vehicleJourneys[trip.trip_id] = {
+        times: GTFSImporter.computeTimes(stopTimes, journeyPatterns[journeyPatternRef].distances),
+        journeyPatternRef,
+        realtime: {},
+        cancelled: false,
+      };
+    }
+
+    return {
+      scheduledStopPoints,
+      journeyPatterns,
+      vehicleJourneys,
+      stopsLinks,
+    };
+  }
+
+  /**
+   * Compute the code of the line of each route. The short name of the route is used,
+   * since it is the one known by the public, unless it is shared by multiple routes
+   * of the feed or missing, in which case the route ID is used.
+   * @param  {Array.<Object>} routes - Rows of the routes table
+   * @return {Object.<string, string>} - Line code indexed by route ID
+   */
+  static computeLineCodes(routes) {
+    const routesByShortName = groupBy(routes, 'route_short_name');
+    return Object.assign({}, ...routes.map(({ route_id: routeId, route_short_name: name }) => ({
+      [routeId]: name && routesByShortName[name].length === 1 ? name : routeId,
+    })));
+  }
+
+  /**
+   * Compute the set of services active on the reference date, basing on
+   * the calendar and calendar_dates tables
+   * @param  {Object.<string, Array.<Object>>} feed - Rows of each of the GTFS tables
+   * @param  {string} referenceDate - Service date, in the "YYYY-MM-DD" format
+   * @return {?Set.<string>} - Codes of the active services, null if all the services
+   *   have to be considered active (no calendar information or no reference date)
+   */
+  static computeActiveServices(feed, referenceDate) {
+    if (!referenceDate || (!feed.calendar.length && !feed.calendar_dates.length)) return null;
+
+    const gtfsDate = referenceDate.replace(/-/g, '');
+    const weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    const weekday = weekdays[new Date(`${referenceDate}T12:00:00Z`).getUTCDay()];
+
+    const activeServices = new Set(feed.calendar
+      .filter(service => service.start_date <= gtfsDate && gtfsDate <= service.end_date
+        && service[weekday] === '1')
+      .map(({ service_id: serviceId }) => serviceId));
+
+    // Apply the exceptions: type 1 adds the service, type 2 removes it
+    for (const exception of feed.calendar_dates.filter(({ date }) => date === gtfsDate)) {
+      if (exception.exception_type === '1') activeServices.add(exception.service_id);
+      else if (exception.exception_type === '2') activeServices.delete(exception.service_id);
+    }
+
+    return activeServices;
+  }
+
+  /**
+   * Create the geometry of the shapes, converting their points to the Dutch grid.
+   * The points outside of the area of use of the Dutch grid are left out.
+   * @param  {Array.<Object>} shapePoints - Rows of the shapes table
+   * @return {Object.<string, Array.<Point>>} - Polylines of the shapes, indexed by their ID
+   */
+  static computeShapes(shapePoints) {
+    const shapes = {};
+    for (const [shapeId, points] of Object.entries(groupBy(shapePoints, 'shape_id'))) {
+      shapes[shapeId] = sortBy(points, point => parseInt(point.shape_pt_sequence, 10))
+        .map(point => [parseFloat(point.shape_pt_lat), parseFloat(point.shape_pt_lon)])
+        .filter(([lat, lon]) => GeoUtils.isInRDArea(lat, lon))
+        .map(([lat, lon]) => GeoUtils.wgs84ToRD(lat, lon));
+    }
+    return shapes;
+  }
+
+  /**
+   * Compute the position of a stop in the Dutch grid
+   * @param  {Object} gtfsStop - Row of the stops table
+   * @return {?Point} - Position of the stop, null if it is outside of the area of use
+   *   of the Dutch grid
+   */
+  static stopPosition(gtfsStop) {
+    const lat = parseFloat(gtfsStop.stop_lat);
+    const lon = parseFloat(gtfsStop.stop_lon);
+    return GeoUtils.isInRDArea(lat, lon) ? GeoUtils.wgs84ToRD(lat, lon) : null;
+  }
+
+  /**
+   * Compute the distance of each of the stops of a journey pattern from its first stop.
+   * The distances are taken from the shape_dist_traveled field when it is available
+   * for all the stops. Otherwise the stops are projected on the shape of the trip, or when
+   * there is no shape the straight-line distances between consecutive stops are summed.
+   * @param  {Array.<Object>} stopTimes - Rows of the stop_times table of a trip, in order
+   * @param  {Object.<string, Object>} gtfsStops - Rows of the stops table indexed by stop ID
+   * @param  {Array.<Point>} shape - Polyline of the shape of the trip, if available
+   * @return {Array.<number>} - Distance of each stop
+   */
+  static computeDistances(stopTimes, gtfsStops, shape) {
+    if (stopTimes.every(({ shape_dist_traveled: distance }) => distance)) {
+      return stopTimes.map(({ shape_dist_traveled: distance }) => parseFloat(distance));
+    }
+
+    const positions = stopTimes
+      .map(({ stop_id: stopId }) => GTFSImporter.stopPosition(gtfsStops[stopId]));
+
+    if (typeof shape !== 'undefined' && shape.length > 1) {
+      // Project the stops in order on the shape, so that each stop is matched
+      // with a part of the shape that comes after the one of the previous stop
+      let segmentIndex = 0;
+      let previousDistance = 0;
+      return positions.map((position) => {
+        const projection = GeoUtils.projectOnPolyline(position, shape, segmentIndex);
+        ({ segmentIndex } = projection);
+        // Make sure that the distances are not decreasing
+        previousDistance = Math.max(previousDistance, projection.distanceAlong);
+        return previousDistance;
+      });
+    }
+
+    return GeoUtils.cumulativeLengths(positions);
+  }
+
+  /**
+   * Compute the geometry of the links between consecutive stops of a trip, cutting the shape
+   * of the trip at the projections of the stops on it
+   * @param  {Array.<Point>} positions - Positions of the stops of the trip, in order
+   * @param  {Array.<Point>} shape - Polyline of the shape of the trip
+   * @return {Array.<Array.<Point>>} - Polyline of each link, from a stop to the next one
+   */
+  static computeLinksGeometries(positions, shape) {
+    // Project the stops in order on the shape, as when computing the distances
+    let segmentIndex = 0;
+    const projections = positions.map((position) => {
+      const projection = GeoUtils.projectOnPolyline(position, shape, segmentIndex);
+      ({ segmentIndex } = projection);
+      return projection;
+    });
+
+    const geometries = [];
+    for (let i = 0; i < projections.length - 1; i += 1) {
+      const [start, end] = [projections[i], projections[i + 1]];
+      // The vertices of the shape between the two projections, which lie on the segments
+      // starting at the vertices of the indexes of their segments
+      geometries.push([
+        start.point,
+        ...shape.slice(start.segmentIndex + 1, end.segmentIndex + 1),
+        end.point,
+      ]);
+    }
+    return geometries;
+  }
+
+  /**
+   * Compute the arrival and departure times of a trip at each stop. Missing times,
+   * allowed by GTFS for stops that are not timepoints, are interpolated using the distances.
+   * @param  {Array.<Object>} stopTimes - Rows of the stop_times table of a trip, in order
+   * @param  {Array.<number>} distances - Distance of each stop of the trip
+   * @return {Array.<number>} - Arrival and departure time in seconds since noon minus 12h
+   *   for each stop
+   */
+  static computeTimes(stopTimes, distances) {
+    const times = [];
+    for (const { arrival_time: arrival, departure_time: departure } of stopTimes) {
+      const arrivalSeconds = TimeUtils.timeStringToSeconds(arrival);
+      const departureSeconds = TimeUtils.timeStringToSeconds(departure);
+      // When only one of the two is specified, the other one is assumed to be the same
+      times.push(
+        arrivalSeconds === null ? departureSeconds : arrivalSeconds,
+        departureSeconds === null ? arrivalSeconds : departureSeconds,
+      );
+    }
+
+    // Interpolate the stops without times between the previous departure and the next arrival
+    for (let index = 0; index < distances.length; index += 1) {
+      if (times[index * 2] === null) {
+        const previous = index - 1;
+        let next = index + 1;
+        while (times[next * 2] === null) next += 1;
+
+        const distanceSpan = distances[next] - distances[previous];
+        const percentage = distanceSpan > 0
+          ? (distances[index] - distances[previous]) / distanceSpan
+          : 0;
+        const interpolated = Math.round(times[(previous * 2) + 1]
+          + (percentage * (times[next * 2] - times[(previous * 2) + 1])));
+        times[index * 2] = interpolated;
+        times[(index * 2) + 1] = interpolated;
+      }
+    }
+
+    return times;
+  }
+}
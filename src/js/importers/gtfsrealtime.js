@@ -0,0 +1,316 @@
+import GtfsRealtimeBindings from 'gtfs-realtime-bindings';
+import { sortBy } from 'lodash';
+
+import Point from '../models/point';
+import FileUtils from '../fileutils';
+import GeoUtils from '../geoutils';
+import TimeUtils from '../timeutils';
+
+const { FeedMessage, TripDescriptor, VehiclePosition } = GtfsRealtimeBindings.transit_realtime;
+
+/**
+ * Importer of recorded GTFS-Realtime snapshots (VehiclePosition and TripUpdate messages).
+ * The snapshots are replayed on top of data in the PTDataset input format, filling in
+ * the realtime information of the vehicle journeys, whose codes have to be the GTFS trip IDs
+ * as produced by the GTFS static importer.
+ */
+export default class GTFSRealtimeImporter {
+  /**
+   * Read the recorded snapshots from a list of files, for example the content of a folder
+   * @param  {(FileList|Array.<File>)} files - Files containing one snapshot each
+   * @return {Promise.<Array.<ArrayBuffer>>} - Promise resolving to the content of the files,
+   *   in chronological order
+   */
+  static readFiles(files) {
+    return Promise.all(FileUtils.sortByName(files).map(FileUtils.readAsArrayBuffer));
+  }
+
+  /**
+   * Decode a GTFS-Realtime protobuf snapshot
+   * @param  {(ArrayBuffer|Uint8Array)} snapshot - Encoded feed message
+   * @return {Object} - Decoded feed message
+   */
+  static decode(snapshot) {
+    return FeedMessage.decode(new Uint8Array(snapshot));
+  }
+
+  /**
+   * Convert a protobuf numeric value, which can be a 64-bit Long object, to a number
+   * @param  {(number|Object)} value - Value to convert
+   * @return {number} - Converted value
+   */
+  static toNumber(value) {
+    return (value !== null && typeof value === 'object') ? value.toNumber() : Number(value);
+  }
+
+  /**
+   * Convert a POSIX timestamp of the feed to the number of seconds since the start
+   * of the reference day
+   * @param  {number} timestamp - POSIX timestamp, in seconds
+   * @param  {string} referenceDate - Service date, in the "YYYY-MM-DD" format
+   * @param  {string} timezone - IANA timezone name of the agency
+   * @return {number} - Seconds since the start of the reference day
+   */
+  static toSeconds(timestamp, referenceDate, timezone) {
+    return TimeUtils.dateObjectToSeconds(new Date(timestamp * 1000), referenceDate, timezone);
+  }
+
+  /**
+   * Time of an arrival or departure of a stop time update, given either as an absolute time
+   * or as a delay compared to the schedule
+   * @param  {?Object} event - Stop time event of the feed message
+   * @param  {number} scheduledTime - Scheduled time of the event, in seconds since the start
+   *   of the reference day
+   * @param  {string} referenceDate - Service date, in the "YYYY-MM-DD" format
+   * @param  {string} timezone - IANA timezone name of the agency
+   * @return {?number} - Time of the event in seconds since the start of the reference day,
+   *   null if unknown
+   */
+  static eventTime(event, scheduledTime, referenceDate, timezone) {
+    if (!event) return null;
+    const time = GTFSRealtimeImporter.toNumber(event.time);
+    if (time > 0) return GTFSRealtimeImporter.toSeconds(time, referenceDate, timezone);
+    // Unset fields are not own properties of the decoded message, while a delay of 0 is valid
+    if (Object.prototype.hasOwnProperty.call(event, 'delay')) return scheduledTime + event.delay;
+    return null;
+  }
+
+  /**
+   * Replay the recorded snapshots, building the realtime information of each vehicle journey.
+   * The GPS positions are projected on the journey pattern to get the distance along the route,
+   * while the realised times of the trip updates are placed at the distance of the corresponding
+   * stop. The times of the trip updates still in the future when the snapshot was taken are
+   * predictions, so they are left out.
+   * @param  {Array.<(ArrayBuffer|Uint8Array)>} snapshots - Encoded feed messages
+   * @param  {Object} inputData - Data in the PTDataset input format
+   * @param  {string} referenceDate - Service date, in the "YYYY-MM-DD" format
+   * @param  {string} [timezone] - IANA timezone name of the agency
+   * @return {Object} - Copy of the input data with the realtime information filled in
+   */
+  static import(snapshots, inputData, referenceDate, timezone = TimeUtils.defaultTimezone) {
+    const feedMessages = sortBy(
+      snapshots.map(GTFSRealtimeImporter.decode),
+      ({ header }) => GTFSRealtimeImporter.toNumber(header.timestamp),
+    );
+    const gtfsDate = referenceDate.replace(/-/g, '');
+
+    // Observations collected for each trip
+    const observations = {};
+    const getTripObservations = (tripId) => {
+      if (!Object.prototype.hasOwnProperty.call(observations, tripId)) {
+        observations[tripId] = { positions: {}, stopTimes: {}, vehicleKey: null, cancelled: false };
+      }
+      return observations[tripId];
+    };
+
+    // Check if a trip descriptor refers to a trip of the dataset on the reference date
+    const isKnownTrip = ({ tripId, startDate }) => tripId
+      && Object.prototype.hasOwnProperty.call(inputData.vehicleJourneys, tripId)
+      && (!startDate || startDate === gtfsDate);
+
+    for (const { header, entity: entities } of feedMessages) {
+      const headerTimestamp = GTFSRealtimeImporter.toNumber(header.timestamp);
+      const snapshotTime = GTFSRealtimeImporter.toSeconds(headerTimestamp, referenceDate, timezone);
+
+      for (const { vehicle, tripUpdate } of entities) {
+        // Positions without coordinates are only usable if the vehicle is stopped at a stop
+        const hasLocation = vehicle && (vehicle.position || (vehicle.stopId
+          && vehicle.currentStatus === VehiclePosition.VehicleStopStatus.STOPPED_AT));
+
+        if (hasLocation && vehicle.trip && isKnownTrip(vehicle.trip)) {
+          const tripObservations = getTripObservations(vehicle.trip.tripId);
+          const vehicleKey = GTFSRealtimeImporter.vehicleKey(vehicle.vehicle);
+          // Unset 64-bit fields are decoded as a zero Long object, which is truthy
+          const vehicleTimestamp = GTFSRealtimeImporter.toNumber(vehicle.timestamp);
+          const timestamp = vehicleTimestamp > 0 ? vehicleTimestamp : headerTimestamp;
+
+          if (!Object.prototype.hasOwnProperty.call(tripObservations.positions, vehicleKey)) {
+            tripObservations.positions[vehicleKey] = {};
+          }
+          // Index the positions by timestamp, since the same position is usually
+          // repeated in consecutive snapshots
+          tripObservations.positions[vehicleKey][timestamp] = vehicle;
+        }
+
+        if (tripUpdate && tripUpdate.trip && isKnownTrip(tripUpdate.trip)) {
+          const tripObservations = getTripObservations(tripUpdate.trip.tripId);
+          if (tripUpdate.vehicle) {
+            tripObservations.vehicleKey = GTFSRealtimeImporter.vehicleKey(tripUpdate.vehicle);
+          }
+          tripObservations.cancelled = tripUpdate.trip.scheduleRelationship
+            === TripDescriptor.ScheduleRelationship.CANCELED;
+
+          // Later snapshots overwrite the times of the earlier ones, so that
+          // in the end we are left with the most recent information for every stop
+          const { times, journeyPatternRef } = inputData.vehicleJourneys[tripUpdate.trip.tripId];
+          const { pointsInSequence } = inputData.journeyPatterns[journeyPatternRef];
+          for (const { stopId, arrival, departure } of tripUpdate.stopTimeUpdate) {
+            const stopIndex = pointsInSequence.indexOf(stopId);
+            if (stopIndex !== -1) {
+              for (const [eventIndex, event] of [arrival, departure].entries()) {
+                const time = GTFSRealtimeImporter.eventTime(
+                  event,
+                  times[(stopIndex * 2) + eventIndex],
+                  referenceDate,
+                  timezone,
+                );
+                if (time !== null && (headerTimestamp <= 0 || time <= snapshotTime)) {
+                  tripObservations.stopTimes[stopId] = tripObservations.stopTimes[stopId]
+                    || [null, null];
+                  tripObservations.stopTimes[stopId][eventIndex] = time;
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+
+    const vehicleJourneys = Object.assign({}, inputData.vehicleJourneys);
+    for (const [tripId, tripObservations] of Object.entries(observations)) {
+      const vehicleJourney = inputData.vehicleJourneys[tripId];
+      const journeyPattern = inputData.journeyPatterns[vehicleJourney.journeyPatternRef];
+      const realtime = GTFSRealtimeImporter.computeRealtime(
+        tripObservations,
+        journeyPattern,
+        inputData.scheduledStopPoints,
+        referenceDate,
+        timezone,
+      );
+
+      vehicleJourneys[tripId] = Object.assign({}, vehicleJourney, {
+        realtime,
+        cancelled: vehicleJourney.cancelled || tripObservations.cancelled,
+      });
+    }
+
+    return Object.assign({}, inputData, { vehicleJourneys });
+  }
+
+  /**
+   * Get the key identifying a vehicle from its descriptor
+   * @param  {?Object} vehicleDescriptor - Vehicle descriptor of the feed message
+   * @return {string} - Key of the vehicle
+   */
+  static vehicleKey(vehicleDescriptor) {
+    if (!vehicleDescriptor) return 'unknown';
+    return vehicleDescriptor.id || vehicleDescriptor.label || 'unknown';
+  }
+
+  /**
+   * Compute the realtime information of a vehicle journey from the observations
+   * collected for it in the snapshots
+   * @param  {{
+   *   positions: Object.<string, Object.<number, Object>>,
+   *   stopTimes: Object.<string, Array.<?number>>,
+   *   vehicleKey: ?string
+   * }} tripObservations - Vehicle positions by vehicle and timestamp, realised times of arrival
+   *   and departure by stop, in seconds since the start of the reference day
+   * @param  {Object} journeyPattern - Journey pattern of the trip, in the input format
+   * @param  {Object} scheduledStopPoints - Stops, in the input format
+   * @param  {string} referenceDate - Service date, in the "YYYY-MM-DD" format
+   * @param  {string} timezone - IANA timezone name of the agency
+   * @return {Object.<string, {
+   *   times: Array.<number>,
+   *   distances: Array.<number>,
+   *   vehicleNumber: (number|string)
+   * }>} - Realtime data of the journey for each vehicle
+   */
+  static computeRealtime(
+    tripObservations,
+    journeyPattern,
+    scheduledStopPoints,
+    referenceDate,
+    timezone,
+  ) {
+    const { pointsInSequence, distances: stopDistances } = journeyPattern;
+    const stopPositions = pointsInSequence
+      .map(stopCode => new Point(scheduledStopPoints[stopCode].x, scheduledStopPoints[stopCode].y));
+
+    // Points of each vehicle as (time, distance) pairs
+    const vehiclesPoints = {};
+
+    for (const [vehicleKey, positions] of Object.entries(tripObservations.positions)) {
+      let segmentIndex = 0;
+      const atStop = ({ currentStatus, stopId }) => currentStatus
+        === VehiclePosition.VehicleStopStatus.STOPPED_AT && pointsInSequence.includes(stopId);
+      // Coordinates outside of the area of use of the Dutch grid can't be converted to it
+      const hasPosition = ({ position }) => position
+        && GeoUtils.isInRDArea(position.latitude, position.longitude);
+      const points = sortBy(Object.entries(positions), ([timestamp]) => +timestamp)
+        // Positions without coordinates can't be placed at a stop not in the journey pattern
+        .filter(([, vehicle]) => hasPosition(vehicle) || atStop(vehicle))
+        .map(([timestamp, vehicle]) => {
+          const { position, stopId } = vehicle;
+          const stopIndex = pointsInSequence.indexOf(stopId);
+          let distance;
+
+          // If the vehicle is reported to be at a stop, use the distance of that stop
+          if (atStop(vehicle)) {
+            distance = stopDistances[stopIndex];
+            segmentIndex = Math.max(segmentIndex, Math.min(stopIndex, stopPositions.length - 2));
+          } else {
+            // Otherwise project the GPS position on the line connecting the stops,
+            // starting from the link where the vehicle was last seen
+            const projection = GeoUtils.projectOnPolyline(
+              GeoUtils.wgs84ToRD(position.latitude, position.longitude),
+              stopPositions,
+              segmentIndex,
+            );
+            ({ segmentIndex } = projection);
+            const linkLength = GeoUtils.distance(
+              stopPositions[segmentIndex],
+              stopPositions[segmentIndex + 1],
+            );
+            const percentage = linkLength > 0
+              ? GeoUtils.distance(stopPositions[segmentIndex], projection.point) / linkLength
+              : 0;
+            // Scale the position along the link to the distances of the journey pattern
+            distance = stopDistances[segmentIndex]
+              + (percentage * (stopDistances[segmentIndex + 1] - stopDistances[segmentIndex]));
+          }
+
+          return {
+            time: GTFSRealtimeImporter.toSeconds(+timestamp, referenceDate, timezone),
+            distance,
+          };
+        });
+      if (points.length) vehiclesPoints[vehicleKey] = points;
+    }
+
+    // Trip updates don't always identify the vehicle: in that case, if a single vehicle
+    // was seen serving the trip, the trip update is attributed to it
+    const observedVehicles = Object.keys(tripObservations.positions);
+    let tripUpdateVehicleKey = tripObservations.vehicleKey;
+    if (tripUpdateVehicleKey === null) {
+      tripUpdateVehicleKey = observedVehicles.length === 1 ? observedVehicles[0] : 'unknown';
+    }
+
+    let lastStopIndex = -1;
+    for (const stopIndex of pointsInSequence.keys()) {
+      const stopTimes = tripObservations.stopTimes[pointsInSequence[stopIndex]];
+      // Make sure that a stop visited twice is matched in order
+      if (typeof stopTimes !== 'undefined' && stopIndex > lastStopIndex) {
+        lastStopIndex = stopIndex;
+        if (!Object.prototype.hasOwnProperty.call(vehiclesPoints, tripUpdateVehicleKey)) {
+          vehiclesPoints[tripUpdateVehicleKey] = [];
+        }
+        for (const time of stopTimes.filter(stopTime => stopTime !== null)) {
+          vehiclesPoints[tripUpdateVehicleKey].push({ time, distance: stopDistances[stopIndex] });
+        }
+      }
+    }
+
+    const realtime = {};
+    for (const [vehicleKey, points] of Object.entries(vehiclesPoints)) {
+      const sortedPoints = sortBy(points, ({ time }) => time);
+      realtime[vehicleKey] = {
+        times: sortedPoints.map(({ time }) => time),
+        distances: sortedPoints.map(({ distance }) => distance),
+        vehicleNumber: Number.isNaN(Number(vehicleKey)) ? vehicleKey : Number(vehicleKey),
+      };
+    }
+
+    return realtime;
+  }
+}
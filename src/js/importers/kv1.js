@@ -0,0 +1,335 @@
+import JSZip from 'jszip';
+import { groupBy, keyBy, sortBy } from 'lodash';
+
+import Point from '../models/point';
+import FileUtils from '../fileutils';
+import GeoUtils from '../geoutils';
+import TimeUtils from '../timeutils';
+
+/**
+ * Importer of timetables in the Dutch BISON KV1 format.
+ * The tables are converted to the same input format used by PTDataset.
+ * The codes of the resulting objects are prefixed by the data owner code, since the codes
+ * of KV1 are only unique within a data owner:
+ * - stops: "DataOwnerCode:UserStopCode"
+ * - stop areas: "DataOwnerCode:UserStopAreaCode"
+ * - lines: "DataOwnerCode:LinePlanningNumber"
+ * - journey patterns: "DataOwnerCode:LinePlanningNumber:JourneyPatternCode"
+ * - vehicle journeys: "DataOwnerCode:LinePlanningNumber:JourneyNumber"
+ * The same vehicle journey codes are used by the KV6 importer to match the punctuality messages.
+ */
+export default class KV1Importer {
+  /**
+   * Import a zipped KV1 export, converting it to the PTDataset input format
+   * @param  {(ArrayBuffer|Blob)} zipData - Content of the KV1 zip file
+   * @param  {string} referenceDate - Operating day to import, in the "YYYY-MM-DD" format
+   * @return {Promise.<Object>} - Promise resolving to the data in the PTDataset input format
+   */
+  static import(zipData, referenceDate) {
+    return JSZip.loadAsync(zipData)
+      .then(zip => Promise.all(zip.file(/\.(tmi|csv|txt)$/i).map(file => file.async('string'))))
+      .then(texts => KV1Importer.convert(KV1Importer.parseTables(texts), referenceDate));
+  }
+
+  /**
+   * Import the KV1 tables from a list of local files
+   * @param  {(FileList|Array.<File>)} files - Files containing the KV1 tables
+   * @param  {string} referenceDate - Operating day to import, in the "YYYY-MM-DD" format
+   * @return {Promise.<Object>} - Promise resolving to the data in the PTDataset input format
+   */
+  static importFiles(files, referenceDate) {
+    return Promise.all(Array.from(files).map(FileUtils.readAsText))
+      .then(texts => KV1Importer.convert(KV1Importer.parseTables(texts), referenceDate));
+  }
+
+  /**
+   * Parse the content of KV1 files. Every row starts with the name of its table, and header
+   * rows with the names of the columns between square brackets precede the rows of each table.
+   * Multiple tables can be present in the same file.
+   * @param  {Array.<string>} texts - Content of the files
+   * @return {Object.<string, Array.<Object>>} - Rows of each table, indexed by table name
+   */
+  static parseTables(texts) {
+    const tables = {};
+    const unquote = value => value.trim().replace(/^"(.*)"$/, '$1');
+
+    for (const text of texts) {
+      let columns = null;
+      for (const line of text.split(/\r?\n/).filter(row => row.trim() !== '')) {
+        const fields = line.split('|').map(unquote);
+        if (line.startsWith('[')) {
+          columns = fields.map(field => field.replace(/^\[(.*)\]$/, '$1'));
+        } else if (columns !== null) {
+          const [tableName] = fields;
+          if (!Object.prototype.hasOwnProperty.call(tables, tableName)) tables[tableName] = [];
+          const row = {};
+          columns.forEach((column, index) => { row[column] = fields[index]; });
+          tables[tableName].push(row);
+        }
+      }
+    }
+
+    return tables;
+  }
+
+  /**
+   * Convert the KV1 tables to the PTDataset input format
+   * @param  {Object.<string, Array.<Object>>} tables - Rows of each table, indexed by table name
+   * @param  {string} referenceDate - Operating day to import, in the "YYYY-MM-DD" format
+   * @return {{
+   *   scheduledStopPoints: Object,
+   *   journeyPatterns: Object,
+   *   vehicleJourneys: Object
+   * }} - Data in the PTDataset input format
+   */
+  static convert(tables, referenceDate) {
+    const table = name => tables[name] || [];
+
+    const scheduledStopPoints = KV1Importer.computeStops(table('USRSTOP'), table('POINT'));
+    const journeyPatterns = KV1Importer.computeJourneyPatterns(
+      table('JOPA'),
+      table('JOPATILIX'),
+      table('LINK'),
+      scheduledStopPoints,
+      referenceDate,
+    );
+
+    // Timetables can be provided either with the passing times of each journey at each stop,
+    // or with the departure time of each journey and the running times of its time demand group
+    const vehicleJourneys = table('PUJOPASS').length
+      ? KV1Importer.computeVehicleJourneysFromPassingTimes(
+        table('PUJOPASS'),
+        table('OPERDAY'),
+        journeyPatterns,
+        referenceDate,
+      )
+      : KV1Importer.computeVehicleJourneysFromRunningTimes(tables, journeyPatterns, referenceDate);
+
+    return { scheduledStopPoints, journeyPatterns, vehicleJourneys };
+  }
+
+  /**
+   * Compute the stops, with their position and the (user) stop area they belong to
+   * @param  {Array.<Object>} userStops - Rows of the USRSTOP table
+   * @param  {Array.<Object>} points - Rows of the POINT table
+   * @return {Object} - Stops in the PTDataset input format
+   */
+  static computeStops(userStops, points) {
+    const pointsByCode = keyBy(points, ({ DataOwnerCode, PointCode }) => `${DataOwnerCode}:${PointCode}`);
+    const scheduledStopPoints = {};
+
+    for (const userStop of userStops) {
+      const code = `${userStop.DataOwnerCode}:${userStop.UserStopCode}`;
+      const point = pointsByCode[code];
+      // Stops without a point cannot be placed on the map
+      if (typeof point !== 'undefined') {
+        scheduledStopPoints[code] = {
+          name: userStop.Name,
+          x: parseFloat(point.LocationX_EW),
+          y: parseFloat(point.LocationY_NS),
+          // Stops that don't belong to a user stop area form a stop area on their own
+          stopAreaRef: userStop.UserStopAreaCode
+            ? `${userStop.DataOwnerCode}:${userStop.UserStopAreaCode}`
+            : code,
+        };
+      }
+    }
+
+    return scheduledStopPoints;
+  }
+
+  /**
+   * Compute the journey patterns from their timing links. The distance of each stop is computed
+   * summing the distances of the links, or the straight-line distances between the stops
+   * when the link distance is not available.
+   * @param  {Array.<Object>} jopas - Rows of the JOPA table
+   * @param  {Array.<Object>} timingLinks - Rows of the JOPATILIX table
+   * @param  {Array.<Object>} links - Rows of the LINK table
+   * @param  {Object} scheduledStopPoints - Stops in the PTDataset input format
+   * @param  {string} referenceDate - Operating day, in the "YYYY-MM-DD" format
+   * @return {Object} - Journey patterns in the PTDataset input format
+   */
+  static computeJourneyPatterns(jopas, timingLinks, links, scheduledStopPoints, referenceDate) {
+    // Distance of every link, using the most recent version valid on the reference date
+    const linkDistances = {};
+    for (const link of sortBy(links, 'ValidFrom')) {
+      if (!link.ValidFrom || link.ValidFrom.substr(0, 10) <= referenceDate) {
+        const { DataOwnerCode, UserStopCodeBegin, UserStopCodeEnd } = link;
+        linkDistances[`${DataOwnerCode}:${UserStopCodeBegin}|${DataOwnerCode}:${UserStopCodeEnd}`] = parseFloat(link.Distance);
+      }
+    }
+
+    const journeyPatternCode = ({ DataOwnerCode, LinePlanningNumber, JourneyPatternCode }) => `${DataOwnerCode}:${LinePlanningNumber}:${JourneyPatternCode}`;
+    const timingLinksByJP = groupBy(timingLinks, journeyPatternCode);
+    const stopPosition = stopCode => new Point(
+      scheduledStopPoints[stopCode].x,
+      scheduledStopPoints[stopCode].y,
+    );
+
+    const journeyPatterns = {};
+    for (const jopa of jopas) {
+      const code = journeyPatternCode(jopa);
+      const jpTimingLinks = sortBy(
+        timingLinksByJP[code] || [],
+        ({ TimingLinkOrder }) => parseInt(TimingLinkOrder, 10),
+      );
+      const stopCodes = jpTimingLinks
+        .map(({ UserStopCodeBegin }) => `${jopa.DataOwnerCode}:${UserStopCodeBegin}`);
+      if (jpTimingLinks.length) {
+        stopCodes.push(`${jopa.DataOwnerCode}:${jpTimingLinks[jpTimingLinks.length - 1].UserStopCodeEnd}`);
+      }
+
+      // Journey patterns with stops that can't be placed on the map are left out
+      if (stopCodes.length > 1 && stopCodes
+        .every(stopCode => Object.prototype.hasOwnProperty.call(scheduledStopPoints, stopCode))) {
+        const distances = [0];
+        for (let i = 1; i < stopCodes.length; i += 1) {
+          const linkID = `${stopCodes[i - 1]}|${stopCodes[i]}`;
+          const linkDistance = Object.prototype.hasOwnProperty.call(linkDistances, linkID)
+            ? linkDistances[linkID]
+            : GeoUtils.distance(stopPosition(stopCodes[i - 1]), stopPosition(stopCodes[i]));
+          distances.push(distances[i - 1] + linkDistance);
+        }
+
+        journeyPatterns[code] = {
+          pointsInSequence: stopCodes,
+          distances,
+          lineRef: `${jopa.DataOwnerCode}:${jopa.LinePlanningNumber}`,
+          direction: parseInt(jopa.Direction, 10),
+        };
+      }
+    }
+
+    return journeyPatterns;
+  }
+
+  /**
+   * Compute the vehicle journeys running on the reference date from the passing times
+   * @param  {Array.<Object>} passingTimes - Rows of the PUJOPASS table
+   * @param  {Array.<Object>} operatingDays - Rows of the OPERDAY table
+   * @param  {Object} journeyPatterns - Journey patterns in the PTDataset input format
+   * @param  {string} referenceDate - Operating day, in the "YYYY-MM-DD" format
+   * @return {Object} - Vehicle journeys in the PTDataset input format
+   */
+  static computeVehicleJourneysFromPassingTimes(
+    passingTimes,
+    operatingDays,
+    journeyPatterns,
+    referenceDate,
+  ) {
+    const scheduleKey = ({ DataOwnerCode, OrganizationalUnitCode, ScheduleCode, ScheduleTypeCode }) => `${DataOwnerCode}:${OrganizationalUnitCode}:${ScheduleCode}:${ScheduleTypeCode}`;
+    // Schedules in use on the reference date. If the operating days are not provided,
+    // all the schedules are considered in use.
+    const activeSchedules = new Set(operatingDays
+      .filter(({ ValidDate }) => ValidDate.substr(0, 10) === referenceDate)
+      .map(scheduleKey));
+
+    const journeysPassingTimes = groupBy(
+      passingTimes.filter(passingTime => !operatingDays.length
+        || activeSchedules.has(scheduleKey(passingTime))),
+      ({ DataOwnerCode, LinePlanningNumber, JourneyNumber }) => `${DataOwnerCode}:${LinePlanningNumber}:${JourneyNumber}`,
+    );
+
+    const vehicleJourneys = {};
+    for (const [code, journeyPassingTimes] of Object.entries(journeysPassingTimes)) {
+      const [firstPassingTime] = journeyPassingTimes;
+      const journeyPatternRef = `${firstPassingTime.DataOwnerCode}:${firstPassingTime.LinePlanningNumber}:${firstPassingTime.JourneyPatternCode}`;
+      const journeyPattern = journeyPatterns[journeyPatternRef];
+
+      // Keep only the journeys that match the stops of their journey pattern
+      if (typeof journeyPattern !== 'undefined'
+        && journeyPassingTimes.length === journeyPattern.pointsInSequence.length) {
+        const times = [];
+        const orderedPassingTimes = sortBy(
+          journeyPassingTimes,
+          ({ StopOrder }) => parseInt(StopOrder, 10),
+        );
+        for (const passingTime of orderedPassingTimes) {
+          const arrival = TimeUtils.timeStringToSeconds(passingTime.TargetArrivalTime);
+          const departure = TimeUtils.timeStringToSeconds(passingTime.TargetDepartureTime);
+          times.push(
+            arrival === null ? departure : arrival,
+            departure === null ? arrival : departure,
+          );
+        }
+
+        vehicleJourneys[code] = { times, journeyPatternRef, realtime: {}, cancelled: false };
+      }
+    }
+
+    return vehicleJourneys;
+  }
+
+  /**
+   * Compute the vehicle journeys running on the reference date from their departure times
+   * and the running times of their time demand groups
+   * @param  {Object.<string, Array.<Object>>} tables - Rows of each table, indexed by table name
+   * @param  {Object} journeyPatterns - Journey patterns in the PTDataset input format
+   * @param  {string} referenceDate - Operating day, in the "YYYY-MM-DD" format
+   * @return {Object} - Vehicle journeys in the PTDataset input format
+   */
+  static computeVehicleJourneysFromRunningTimes(tables, journeyPatterns, referenceDate) {
+    const table = name => tables[name] || [];
+    const isValid = ({ ValidFrom, ValidThru }) => (!ValidFrom
+      || ValidFrom.substr(0, 10) <= referenceDate)
+      && (!ValidThru || referenceDate <= ValidThru.substr(0, 10));
+
+    // Timetable versions and period groups valid on the reference date
+    const activeVersions = new Set(table('TIVE').filter(isValid)
+      .map(({ DataOwnerCode, TimetableVersionCode }) => `${DataOwnerCode}:${TimetableVersionCode}`));
+    const activePeriodGroups = new Set(table('PEGRVAL').filter(isValid)
+      .map(({ DataOwnerCode, PeriodGroupCode }) => `${DataOwnerCode}:${PeriodGroupCode}`));
+
+    // Day of the week, as used in the DayType field ("1" Monday ... "7" Sunday),
+    // which can be overruled by an exceptional operating day
+    const weekday = new Date(`${referenceDate}T12:00:00Z`).getUTCDay() || 7;
+    const dayTypeAsOn = {};
+    for (const exception of table('EXCOPDAY')
+      .filter(({ ValidDate }) => ValidDate.substr(0, 10) === referenceDate)) {
+      dayTypeAsOn[exception.DataOwnerCode] = parseInt(exception.DayTypeAsOn, 10);
+    }
+
+    const runningTimes = groupBy(
+      table('TIMDEMRNT'),
+      ({ DataOwnerCode, LinePlanningNumber, JourneyPatternCode, TimeDemandGroupCode }) => `${DataOwnerCode}:${LinePlanningNumber}:${JourneyPatternCode}:${TimeDemandGroupCode}`,
+    );
+
+    const vehicleJourneys = {};
+    for (const journey of table('PUJO')) {
+      const { DataOwnerCode, LinePlanningNumber, JourneyNumber, JourneyPatternCode } = journey;
+      const day = dayTypeAsOn[DataOwnerCode] || weekday;
+      const journeyPatternRef = `${DataOwnerCode}:${LinePlanningNumber}:${JourneyPatternCode}`;
+      const journeyRunningTimes = sortBy(
+        runningTimes[`${journeyPatternRef}:${journey.TimeDemandGroupCode}`] || [],
+        ({ TimingLinkOrder }) => parseInt(TimingLinkOrder, 10),
+      );
+      const journeyPattern = journeyPatterns[journeyPatternRef];
+
+      if ((!activeVersions.size || activeVersions.has(`${DataOwnerCode}:${journey.TimetableVersionCode}`))
+        && (!activePeriodGroups.size || activePeriodGroups.has(`${DataOwnerCode}:${journey.PeriodGroupCode}`))
+        && journey.DayType.includes(day.toString())
+        && typeof journeyPattern !== 'undefined'
+        && journeyRunningTimes.length === journeyPattern.pointsInSequence.length - 1) {
+        // The dwell time at a stop is the stop wait time of the timing link starting there
+        let departure = TimeUtils.timeStringToSeconds(journey.DepartureTime);
+        const times = [departure, departure];
+        for (const [index, runningTime] of journeyRunningTimes.entries()) {
+          const arrival = departure + parseInt(runningTime.TotalDriveTime, 10);
+          const nextRunningTime = journeyRunningTimes[index + 1];
+          departure = arrival + (typeof nextRunningTime === 'undefined'
+            ? 0 : parseInt(nextRunningTime.StopWaitTime || 0, 10));
+          times.push(arrival, departure);
+        }
+
+        vehicleJourneys[`${DataOwnerCode}:${LinePlanningNumber}:${JourneyNumber}`] = {
+          times,
+          journeyPatternRef,
+          realtime: {},
+          cancelled: false,
+        };
+      }
+    }
+
+    return vehicleJourneys;
+  }
+}
@@ -0,0 +1,147 @@
+import { sortBy } from 'lodash';
+
+import FileUtils from '../fileutils';
+import TimeUtils from '../timeutils';
+
+/**
+ * Importer of punctuality messages in the Dutch BISON KV6 format.
+ * The messages are replayed on top of data in the PTDataset input format,
+ * whose vehicle journeys are matched by the "DataOwnerCode:LinePlanningNumber:JourneyNumber"
+ * code as produced by the KV1 importer.
+ */
+export default class KV6Importer {
+  /**
+   * Read the recorded KV6 messages from a list of local files
+   * @param  {(FileList|Array.<File>)} files - Files containing the XML messages
+   * @return {Promise.<Array.<string>>} - Promise resolving to the content of the files
+   */
+  static readFiles(files) {
+    return Promise.all(FileUtils.sortByName(files).map(FileUtils.readAsText));
+  }
+
+  /**
+   * Extract the position messages from the content of KV6 XML documents.
+   * The content is scanned for the position elements directly, so that files with
+   * many concatenated documents, as they are usually archived, can be read too.
+   * @param  {string} text - Content of one or more KV6 XML documents
+   * @return {Array.<Object.<string, string>>} - Messages, as objects containing the type of the
+   *   message (ARRIVAL, DEPARTURE, ONROUTE, ...) and its fields
+   */
+  static parseMessages(text) {
+    const messageTypes = ['ARRIVAL', 'ONSTOP', 'DEPARTURE', 'ONROUTE'];
+    // Elements can be qualified with a namespace prefix, e.g. <tmi8:ARRIVAL>
+    const messageRegExp = new RegExp(`<(?:\\w+:)?(${messageTypes.join('|')})>([\\s\\S]*?)</(?:\\w+:)?\\1>`, 'g');
+    const fieldRegExp = /<(?:\w+:)?([\w-]+)>([^<]*)<\/(?:\w+:)?\1>/g;
+
+    const messages = [];
+    let messageMatch = messageRegExp.exec(text);
+    while (messageMatch !== null) {
+      const message = { type: messageMatch[1] };
+      let fieldMatch = fieldRegExp.exec(messageMatch[2]);
+      while (fieldMatch !== null) {
+        message[fieldMatch[1]] = fieldMatch[2].trim();
+        fieldMatch = fieldRegExp.exec(messageMatch[2]);
+      }
+      messages.push(message);
+      messageMatch = messageRegExp.exec(text);
+    }
+
+    return messages;
+  }
+
+  /**
+   * Replay the KV6 messages, building the realtime information of each vehicle journey.
+   * Arrivals and departures place the vehicle at the distance of the stop, while the positions
+   * on route add the distance since the last user stop to the distance of that stop.
+   * @param  {Array.<string>} texts - Content of the KV6 XML documents
+   * @param  {Object} inputData - Data in the PTDataset input format
+   * @param  {string} referenceDate - Operating day, in the "YYYY-MM-DD" format
+   * @param  {string} [timezone] - IANA timezone name of the agency
+   * @return {Object} - Copy of the input data with the realtime information filled in
+   */
+  static import(texts, inputData, referenceDate, timezone = TimeUtils.defaultTimezone) {
+    // Points of each vehicle of each trip, as (time, distance) pairs
+    const tripsPoints = {};
+
+    const messages = texts.map(KV6Importer.parseMessages)
+      .reduce((allMessages, fileMessages) => allMessages.concat(fileMessages), [])
+      .filter(({ operatingday: operatingDay }) => operatingDay === referenceDate);
+
+    for (const message of messages) {
+      const tripCode = `${message.dataownercode}:${message.lineplanningnumber}:${message.journeynumber}`;
+      const vehicleJourney = inputData.vehicleJourneys[tripCode];
+
+      if (typeof vehicleJourney !== 'undefined') {
+        const journeyPattern = inputData.journeyPatterns[vehicleJourney.journeyPatternRef];
+        const stopIndex = KV6Importer.findStopIndex(
+          journeyPattern,
+          `${message.dataownercode}:${message.userstopcode}`,
+          parseInt(message.passagesequencenumber || 0, 10),
+        );
+
+        if (stopIndex !== -1) {
+          let distance = journeyPattern.distances[stopIndex];
+          if (message.type === 'ONROUTE' && message.distancesincelastuserstop) {
+            // Don't go beyond the next stop, which would have been reported with an arrival
+            const maxDistance = journeyPattern.distances[Math.min(
+              stopIndex + 1,
+              journeyPattern.distances.length - 1,
+            )];
+            distance = Math.min(
+              distance + parseFloat(message.distancesincelastuserstop),
+              maxDistance,
+            );
+          }
+
+          const vehicleKey = message.vehiclenumber || 'unknown';
+          if (!Object.prototype.hasOwnProperty.call(tripsPoints, tripCode)) {
+            tripsPoints[tripCode] = {};
+          }
+          if (!Object.prototype.hasOwnProperty.call(tripsPoints[tripCode], vehicleKey)) {
+            tripsPoints[tripCode][vehicleKey] = [];
+          }
+          tripsPoints[tripCode][vehicleKey].push({
+            time: TimeUtils
+              .dateObjectToSeconds(new Date(message.timestamp), referenceDate, timezone),
+            distance,
+          });
+        }
+      }
+    }
+
+    const vehicleJourneys = Object.assign({}, inputData.vehicleJourneys);
+    for (const [tripCode, vehiclesPoints] of Object.entries(tripsPoints)) {
+      const realtime = {};
+      for (const [vehicleKey, points] of Object.entries(vehiclesPoints)) {
+        const sortedPoints = sortBy(points, ({ time }) => time);
+        realtime[vehicleKey] = {
+          times: sortedPoints.map(({ time }) => time),
+          distances: sortedPoints.map(({ distance }) => distance),
+          vehicleNumber: Number.isNaN(Number(vehicleKey)) ? vehicleKey : Number(vehicleKey),
+        };
+      }
+      vehicleJourneys[tripCode] = Object.assign({}, vehicleJourneys[tripCode], { realtime });
+    }
+
+    return Object.assign({}, inputData, { vehicleJourneys });
+  }
+
+  /**
+   * Find the index of a stop within a journey pattern. A journey pattern can pass multiple times
+   * through the same stop, in that case the passage sequence number tells which passage is meant.
+   * @param  {Object} journeyPattern - Journey pattern, in the input format
+   * @param  {string} stopCode - Code of the stop
+   * @param  {number} passageSequenceNumber - Number of the passage through the stop, from 0
+   * @return {number} - Index of the stop, -1 if not found
+   */
+  static findStopIndex(journeyPattern, stopCode, passageSequenceNumber) {
+    let passage = -1;
+    for (const [index, code] of journeyPattern.pointsInSequence.entries()) {
+      if (code === stopCode) {
+        passage += 1;
+        if (passage === passageSequenceNumber) return index;
+      }
+    }
+    return -1;
+  }
+}
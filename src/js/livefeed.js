@@ -0,0 +1,90 @@
+import * as log from 'loglevel';
+
+/**
+ * Live feed of realtime data, polled periodically from an HTTP endpoint.
+ *
+ * The endpoint returns JSON in the same format of the input data, limited to the realtime
+ * data of the vehicle journeys: {vehicleJourneys: {code: {realtime: {key: {times, distances,
+ * vehicleNumber}}}}}, times being expressed in seconds since noon minus 12h.
+ * The endpoint can return either only the latest positions or all the positions of the day,
+ * since the positions that are already known are ignored. In every request the time of the
+ * previous successful response is sent in the "since" query parameter, as an ISO string,
+ * so that the endpoint can restrict the response to the newer positions.
+ */
+export default class LiveFeed {
+  /**
+   * Live feed constructor, the polling starts with start()
+   * @param  {string} url - URL of the realtime endpoint
+   * @param  {PTDataset} dataset - Dataset which the new realtime positions are appended to
+   * @param  {number} interval - Time between two requests, in seconds
+   * @param  {Function} updateCallback - Callback receiving the list of the vehicle journeys
+   *   that received new positions and the time of the update, called after every request
+   *   even if no vehicle journey was updated
+   */
+  constructor(url, dataset, interval, updateCallback) {
+    this.url = url;
+    this.dataset = dataset;
+    this.interval = interval;
+    this.updateCallback = updateCallback;
+
+    this.timeout = null;
+    this.since = null;
+    this.running = false;
+  }
+
+  /**
+   * Start polling the endpoint
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.poll();
+  }
+
+  /**
+   * Stop polling the endpoint. A request already sent is still completed,
+   * but its data is discarded
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timeout);
+    this.timeout = null;
+  }
+
+  /**
+   * URL of the next request
+   * @return {string} - URL of the endpoint with the "since" query parameter, if known
+   */
+  requestURL() {
+    if (this.since === null) return this.url;
+    const url = new URL(this.url, window.location.href);
+    url.searchParams.set('since', this.since.toISOString());
+    return url.toString();
+  }
+
+  /**
+   * Request the latest data from the endpoint, apply it to the dataset
+   * and schedule the next request. Failed requests are just logged, the
+   * polling goes on
+   */
+  poll() {
+    const requestTime = new Date();
+    fetch(this.requestURL(), { cache: 'no-store' })
+      .then((response) => {
+        if (!response.ok) throw new Error(`${response.status}`);
+        return response.json();
+      })
+      .then(({ vehicleJourneys = {} }) => {
+        if (!this.running) return;
+        this.since = requestTime;
+        const updatedVehicleJourneys = this.dataset.applyRealtimeUpdate(vehicleJourneys);
+        this.updateCallback(updatedVehicleJourneys, requestTime);
+      })
+      .catch((error) => {
+        log.warn(`Could not update the live data from ${this.url}: ${error.message}`);
+      })
+      .then(() => {
+        if (this.running) this.timeout = setTimeout(() => this.poll(), this.interval * 1000);
+      });
+  }
+}
@@ -91,4 +91,20 @@ export default class JourneyPattern {
     // If no shared link was found, return false
     return foundSharedLink ? { referenceSequences, otherSequences } : false;
   }
+
+  /**
+   * Finds the stops of the journey pattern and of another one in the same stop area,
+   * as shared sequences made of a single stop, e.g. where a trip of another line connects
+   * @param  {JourneyPattern} otherJP - The other journey pattern
+   * @param  {StopArea} stopArea - Stop area
+   * @return {boolean|{referenceSequences: Array.<Array.<number>>,
+   *                   otherSequences: Array.<Array.<number>>}} - Same as sharedSequences,
+   *  false if one of the journey patterns doesn't serve the stop area
+   */
+  sharedStopAreaSequences(otherJP, stopArea) {
+    const refIndex = this.stops.findIndex(({ area }) => area === stopArea);
+    const otherIndex = otherJP.stops.findIndex(({ area }) => area === stopArea);
+    if (refIndex === -1 || otherIndex === -1) return false;
+    return { referenceSequences: [[refIndex]], otherSequences: [[otherIndex]] };
+  }
 }
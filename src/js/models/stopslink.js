@@ -1,4 +1,5 @@
 import Point from './point';
+import GeoUtils from '../geoutils';
 
 /**
  * Class to represent a link between two stops
@@ -9,11 +10,27 @@ export default class StopsLink {
    * Creates an "artificial" reference code concatenating the stop codes.
    * @param  {Stop} stop1 - First stop
    * @param  {Stop} stop2 - Second stop
+   * @param  {Array.<Point>} [geometry] - Polyline followed by the vehicles from the first
+   *   to the second stop, if known
    */
-  constructor(stop1, stop2) {
+  constructor(stop1, stop2, geometry) {
     this.linkID = `${stop1.code}|${stop2.code}`;
     this.stop1 = stop1;
     this.stop2 = stop2;
+
+    if (typeof geometry !== 'undefined') {
+      this.geometry = geometry;
+      // Length of the geometry up to each of its vertices, to interpolate along it
+      this.geometryLengths = GeoUtils.cumulativeLengths(geometry);
+    }
+  }
+
+  /**
+   * Check if the geometry of the link is known
+   * @return {boolean} - True if the geometry is known, false otherwise
+   */
+  get hasGeometry() {
+    return typeof this.geometry !== 'undefined';
   }
 
   /**
@@ -42,4 +59,30 @@ export default class StopsLink {
         + ((this.stop2.area.center.y - this.stop1.area.center.y) * percentage),
     );
   }
+
+  /**
+   * Get a point along the geometry of the link given a certain percentage of its length,
+   * by interpolation between the vertices of the geometry
+   * @param  {number} percentage - Percentage of "completion" of the link
+   * @return {Point} - Point representing the requested position
+   */
+  getPointAlongGeometryByPercentage(percentage) {
+    const lengths = this.geometryLengths;
+    const length = percentage * lengths[lengths.length - 1];
+
+    // Find the segment of the geometry containing the requested position
+    let i = 0;
+    while (i < lengths.length - 2 && lengths[i + 1] < length) i += 1;
+
+    const [start, end] = [this.geometry[i], this.geometry[i + 1]];
+    const segmentLength = lengths[i + 1] - lengths[i];
+    const segmentPercentage = segmentLength > 0
+      ? Math.min(Math.max((length - lengths[i]) / segmentLength, 0), 1)
+      : 0;
+
+    return new Point(
+      start.x + ((end.x - start.x) * segmentPercentage),
+      start.y + ((end.y - start.y) * segmentPercentage),
+    );
+  }
 }
@@ -1,3 +1,5 @@
+import Punctuality from '../punctuality';
+import RealtimeCleaner from '../realtimecleaner';
 import VehicleStatus from '../vehiclestatus';
 
 /**
@@ -15,13 +17,15 @@ export default class VehicleJourney {
    *   vehicleNumber: number
    *  }>} realtime - Realtime data of the journey for each vehicle
    * @param  {boolean} cancelled - Whether the journey was cancelled
+   * @param  {Punctuality} [punctuality] - Model deciding the status of the vehicles
    */
-  constructor(code, journeyPattern, times, realtime, cancelled) {
+  constructor(code, journeyPattern, times, realtime, cancelled, punctuality = new Punctuality()) {
     this.code = code;
     this.journeyPattern = journeyPattern;
     this.times = times;
     this.rt = realtime;
     this.cancelled = cancelled;
+    this.punctuality = punctuality;
 
     // Compute static schedule as (time, distance) object pairs array
     this.staticSchedule = this.journeyPattern.distances
@@ -41,6 +45,70 @@ export default class VehicleJourney {
     return typeof this.rt !== 'undefined' && Object.keys(this.rt).length !== 0;
   }
 
+  /**
+   * Append new realtime positions of a vehicle of the journey, cleaning them.
+   * Positions that are not newer than the last known one of the vehicle are ignored,
+   * so that the same positions can be received more than once.
+   * @param  {string} vehicleKey - Key of the vehicle in the realtime data
+   * @param  {{
+   *   distances: Array.<number>,
+   *   times: Array.<Date>,
+   *   vehicleNumber: number
+   *  }} positions - New positions of the vehicle
+   * @param  {Object} [cleaningConfig] - Configuration of the cleaning of the positions,
+   *   see RealtimeCleaner
+   * @return {number} - Number of positions appended
+   */
+  appendRealtimePositions(vehicleKey, { distances, times, vehicleNumber }, cleaningConfig = {}) {
+    if (typeof this.rt === 'undefined') this.rt = {};
+    if (!Object.prototype.hasOwnProperty.call(this.rt, vehicleKey)) {
+      this.rt[vehicleKey] = {
+        distances: [],
+        times: [],
+        flags: [],
+        removed: 0,
+        vehicleNumber,
+      };
+    }
+
+    const vehicleData = this.rt[vehicleKey];
+    const lastIndex = vehicleData.times.length - 1;
+    const last = lastIndex === -1
+      ? null
+      : { time: vehicleData.times[lastIndex], distance: vehicleData.distances[lastIndex] };
+    const newPositions = { distances: [], times: [] };
+    for (const [index, time] of times.entries()) {
+      if (last === null || time > last.time) {
+        newPositions.times.push(time);
+        newPositions.distances.push(distances[index]);
+      }
+    }
+
+    const cleaned = RealtimeCleaner.clean(newPositions, cleaningConfig, last);
+    vehicleData.times.push(...cleaned.times);
+    vehicleData.distances.push(...cleaned.distances);
+    vehicleData.flags.push(...cleaned.flags);
+    vehicleData.removed += cleaned.removed;
+    return cleaned.times.length;
+  }
+
+  /**
+   * Count the realtime positions of the vehicles of the journey changed by the cleaning
+   * @return {{removed: number, clamped: number, interpolated: number}} - Number of positions
+   *   removed, of the ones clamped to make the distances non-decreasing, and of the ones
+   *   interpolated to fill the gaps
+   */
+  get realtimeCleaning() {
+    const counts = { removed: 0, clamped: 0, interpolated: 0 };
+    for (const { flags = [], removed = 0 } of Object.values(this.rt || {})) {
+      counts.removed += removed;
+      counts.clamped += flags.filter(flag => flag === RealtimeCleaner.flags.CLAMPED).length;
+      counts.interpolated += flags
+        .filter(flag => flag === RealtimeCleaner.flags.INTERPOLATED).length;
+    }
+    return counts;
+  }
+
   /**
    * Compute the minimum and maximum time of the trip
    * @return {{first: Date, last: Date}} - First and last times of this journey
@@ -89,12 +157,27 @@ export default class VehicleJourney {
   }
 
   /**
-   * Given a distance and a time, decided the status of the vehicle compared to the static schedule
+   * Given a distance and a time, decide the status of the vehicle compared to the static
+   * schedule, i.e. the punctuality band of its delay
    * @param  {Date} time - Time
    * @param  {number} distance - Distance along route
    * @return {string} - Status of the vehicle
    */
   vehicleStatusComparedToSchedule(time, distance) {
+    return this.punctuality.status(
+      this.delayComparedToSchedule(time, distance),
+      this.journeyPattern.line.code,
+    );
+  }
+
+  /**
+   * Given a distance and a time, compute the delay of the vehicle compared to the static schedule
+   * @param  {Date} time - Time
+   * @param  {number} distance - Distance along route
+   * @return {?number} - Delay in seconds, negative if early, null if the distance is not
+   *   along the route
+   */
+  delayComparedToSchedule(time, distance) {
     // Go over all the segments that make up the trip, looking for the segment in which
     // the vehicle is currently in in terms of distance traveled
     for (let i = 0; i < this.staticSchedule.length - 1; i += 1) {
@@ -113,19 +196,14 @@ export default class VehicleJourney {
         const theoreticalTime = (((timeStop2Seconds - timeStop1Seconds)
                                   / (distanceStop2 - distanceStop1)) * (distance - distanceStop1))
                                 + timeStop1Seconds;
-        // Compare theoretical time with actual time and decide the status of the vehicle
-        if (timeSeconds < theoreticalTime - 15) {
-          return VehicleStatus.EARLY;
-        } if (theoreticalTime - 15 <= timeSeconds && timeSeconds <= theoreticalTime + 120) {
-          return VehicleStatus.ONTIME;
-        }
-        return VehicleStatus.LATE;
+        // The delay is the difference between the actual time and the theoretical one
+        return timeSeconds - theoreticalTime;
       }
     }
 
     // It could be that we don't find a segment that includes the position of the
     // vehicle in terms of distance. In that case signal it
-    return VehicleStatus.UNDEFINED;
+    return null;
   }
 
   /**
@@ -133,7 +211,7 @@ export default class VehicleJourney {
    * @return {Array.<{
    *           vehicleNumber: number,
    *           positions: {time: Date, distanceSinceLastStop: number, distanceFromStart: number,
-   *           status: string, prognosed: boolean}
+   *           delay: ?number, status: string, prognosed: boolean, flag: ?string}
    *          }>} - List of enriched realtime position info
    */
   get realTimeData() {
@@ -142,10 +220,10 @@ export default class VehicleJourney {
     // Extract array of static schedule distances at each stop
     const staticDistances = this.journeyPattern.distances;
 
-    return Object.values(this.rt).map(({ vehicleNumber, times, distances }) => ({
+    return Object.values(this.rt).map(({ vehicleNumber, times, distances, flags = [] }) => ({
       vehicleNumber,
       // Enrich the vehicles position data with the distance since the last stop
-      // and the index of that stop, as well as the status compared to the schedule
+      // and the index of that stop, as well as the delay and status compared to the schedule
       positions: times.map((time, index) => {
         const distance = distances[index];
         let lastStopIndex;
@@ -175,13 +253,88 @@ export default class VehicleJourney {
           }
         }
 
+        const delay = this.delayComparedToSchedule(time, distance);
         return {
           time,
           distanceSinceLastStop,
           distanceFromStart: distance,
           lastStopIndex,
-          status: this.vehicleStatusComparedToSchedule(time, distance),
+          delay,
+          status: this.punctuality.status(delay, this.journeyPattern.line.code),
           prognosed: time > new Date(),
+          // Flag of the positions changed or added by the cleaning, see RealtimeCleaner
+          flag: flags[index] || null,
+        };
+      }),
+    }));
+  }
+
+  /**
+   * Computes the scheduled times of arrival at and departure from each stop of the journey
+   * @return {Array.<{arrival: Date, departure: Date, dwell: number}>} - Times at each stop of
+   *   the journey pattern, with the dwell time in seconds
+   */
+  get scheduledStopTimes() {
+    return this.journeyPattern.distances.map((distance, index) => {
+      const arrival = this.times[index * 2];
+      const departure = this.times[(index * 2) + 1];
+      return { arrival, departure, dwell: (departure - arrival) / 1000 };
+    });
+  }
+
+  /**
+   * Computes the realtime times of arrival at and departure from each stop of the journey,
+   * for each vehicle, without tolerance on the distance of the stops.
+   * See getRealtimeStopTimes
+   * @return {Array.<{
+   *   vehicleNumber: number,
+   *   stopTimes: Array.<{arrival: ?Date, departure: ?Date, dwell: ?number}>
+   *  }>} - Times at each stop of the journey pattern, for each vehicle
+   */
+  get realtimeStopTimes() {
+    return this.getRealtimeStopTimes();
+  }
+
+  /**
+   * Computes the realtime times of arrival at and departure from each stop of the journey,
+   * for each vehicle. The vehicle arrives at a stop when it reaches the distance of the stop,
+   * and departs from it when it goes beyond that distance, the time in between being the
+   * dwell time. Since the positions of the vehicles are not exact, the stop can be considered
+   * as extending for a tolerance before and after its distance.
+   * Times between two positions are interpolated, and are unknown if the vehicle was not
+   * observed before and after them.
+   * @param  {number} [tolerance] - Tolerance on the distance of the stops, in meters
+   * @return {Array.<{
+   *   vehicleNumber: number,
+   *   stopTimes: Array.<{arrival: ?Date, departure: ?Date, dwell: ?number}>
+   *  }>} - Times at each stop of the journey pattern, for each vehicle, with the dwell time
+   *   in seconds
+   */
+  getRealtimeStopTimes(tolerance = 0) {
+    if (!this.isRealTime) return [];
+
+    // Time at which the vehicle reaches (or goes beyond, if strict) a given distance
+    const timeAtDistance = (times, distances, distance, strict) => {
+      const index = distances.findIndex(positionDistance => (strict
+        ? positionDistance > distance
+        : positionDistance >= distance));
+      if (index <= 0) return null;
+
+      const percentage = (distance - distances[index - 1])
+                         / (distances[index] - distances[index - 1]);
+      return new Date(times[index - 1].getTime()
+                      + (percentage * (times[index] - times[index - 1])));
+    };
+
+    return Object.values(this.rt).map(({ vehicleNumber, times, distances }) => ({
+      vehicleNumber,
+      stopTimes: this.journeyPattern.distances.map((stopDistance) => {
+        const arrival = timeAtDistance(times, distances, stopDistance - tolerance, false);
+        const departure = timeAtDistance(times, distances, stopDistance + tolerance, true);
+        return {
+          arrival,
+          departure,
+          dwell: arrival !== null && departure !== null ? (departure - arrival) / 1000 : null,
         };
       }),
     }));
@@ -300,6 +453,9 @@ export default class VehicleJourney {
     // Get segment of the network on which the vehicle is now
     const stopsLink = stopsLinks[`${previousStop.code}|${nextStop.code}`];
 
+    // Follow the actual route when its geometry is known,
+    // otherwise the straight line between the stop areas
+    if (stopsLink.hasGeometry) return stopsLink.getPointAlongGeometryByPercentage(percentage);
     return stopsLink.getPointAlongStopAreasSegmenyByPercentage(percentage);
   }
 }
@@ -9,23 +9,131 @@ import VehicleJourney from './models/vehiclejourney';
 import Point from './models/point';
 
 import TimeUtils from './timeutils';
+import DatasetValidator from './datasetvalidator';
+import Punctuality from './punctuality';
+import RealtimeCleaner from './realtimecleaner';
 
 /**
  * Class representing a public transport dataset
  */
 export default class PTDataset {
-  constructor(inputData, referenceDate) {
+  /**
+   * Dataset constructor, throwing an error if none of the vehicle journeys of the input data
+   * is valid
+   * @param  {(Object|Array.<Object>)} inputData - Raw input data, or list of raw input data
+   *   of multiple datasets of the same day to merge
+   * @param  {string} referenceDate - Reference date of the dataset
+   * @param  {{
+   *   timezone: string,
+   *   punctuality: Object,
+   *   realtimeCleaning: Object
+   * }} [options] - Options of the dataset: the IANA timezone name of the agency, in which
+   *   the times of the dataset are expressed, the configuration of the punctuality bands of the
+   *   vehicles (see Punctuality) and of the cleaning of their realtime positions
+   *   (see RealtimeCleaner)
+   * @param  {Function} [progressCallback] - Callback receiving the progress of the building
+   *   of the models, as {stage, done, total} objects
+   */
+  constructor(inputData, referenceDate, options = {}, progressCallback = () => {}) {
     this.referenceDate = referenceDate;
-    Object.assign(this, PTDataset.computeStopsAndStopAreas(inputData.scheduledStopPoints));
-    Object.assign(this, this.computeLinesJourneyPatterns(inputData.journeyPatterns));
-    this.vehicleJourneys = this.computeVehicleJourneys(inputData.vehicleJourneys);
-    this.stopsLinks = this.computeLinks();
+    this.timezone = options.timezone || TimeUtils.defaultTimezone;
+    this.punctuality = new Punctuality(options.punctuality);
+    this.realtimeCleaning = options.realtimeCleaning || {};
+    this.progressCallback = progressCallback;
+
+    const mergedInputData = Array.isArray(inputData)
+      ? PTDataset.mergeInputData(inputData)
+      : inputData;
+
+    // Validate the input data before building the models, leaving out the invalid records
+    const { data, report } = DatasetValidator.validate(mergedInputData);
+    this.report = report;
+    if (!Object.keys(data.vehicleJourneys).length) {
+      const [firstError] = report.errors;
+      throw new Error(`The dataset has no valid vehicle journeys${firstError ? `, e.g. ${firstError.message}` : ''}`);
+    }
+
+    this.progressCallback({ stage: 'stops', done: 0, total: 1 });
+    Object.assign(this, PTDataset.computeStopsAndStopAreas(data.scheduledStopPoints));
+    this.progressCallback({ stage: 'journeyPatterns', done: 0, total: 1 });
+    Object.assign(this, this.computeLinesJourneyPatterns(data.journeyPatterns));
+    this.vehicleJourneys = this.computeVehicleJourneys(data.vehicleJourneys);
+    this.progressCallback({ stage: 'links', done: 0, total: 1 });
+    this.stopsLinks = this.computeLinks(data.stopsLinks);
 
     // Compute times of the first and last stop of any journey in the dataset
     this.earliestTime = Math.min(...Object.values(this.journeyPatterns)
       .map(jp => jp.firstAndLastTimes.first));
     this.latestTime = Math.max(...Object.values(this.journeyPatterns)
       .map(jp => jp.firstAndLastTimes.last));
+
+    // The callback is only needed while building, and it couldn't be sent to another thread
+    delete this.progressCallback;
+  }
+
+  /**
+   * Restore the classes of a dataset built in another thread, such as a Web Worker.
+   * Passing the dataset between threads keeps its data and the references among its
+   * objects, but turns the rich objects into plain ones.
+   * @param  {Object} dataset - Plain copy of a PTDataset
+   * @return {PTDataset} - The same object, with the classes of it and its objects restored
+   */
+  static revive(dataset) {
+    Object.setPrototypeOf(dataset, PTDataset.prototype);
+    Object.setPrototypeOf(dataset.punctuality, Punctuality.prototype);
+
+    const collectionsClasses = [
+      [dataset.stops, Stop],
+      [dataset.stopAreas, StopArea],
+      [dataset.lines, Line],
+      [dataset.journeyPatterns, JourneyPattern],
+      [dataset.vehicleJourneys, VehicleJourney],
+      [dataset.stopsLinks, StopsLink],
+    ];
+    for (const [collection, CollectionClass] of collectionsClasses) {
+      for (const object of Object.values(collection)) {
+        Object.setPrototypeOf(object, CollectionClass.prototype);
+      }
+    }
+    for (const stop of Object.values(dataset.stops)) {
+      Object.setPrototypeOf(stop.position, Point.prototype);
+    }
+    for (const stopArea of Object.values(dataset.stopAreas)) {
+      Object.setPrototypeOf(stopArea.center, Point.prototype);
+    }
+    for (const stopsLink of Object.values(dataset.stopsLinks).filter(link => link.hasGeometry)) {
+      for (const point of stopsLink.geometry) Object.setPrototypeOf(point, Point.prototype);
+    }
+
+    return dataset;
+  }
+
+  /**
+   * Merge the raw input data of multiple datasets, such as the datasets of different groups
+   * of lines of the same day. Records shared by the datasets, like the stops served by lines
+   * of different groups, are identified by their code and kept only once.
+   * Stop areas are derived from the merged stops, so they are deduplicated as well.
+   * @param  {Array.<Object>} inputDataList - Raw input data of each dataset
+   * @return {Object} - Merged raw input data
+   */
+  static mergeInputData(inputDataList) {
+    const merged = {
+      scheduledStopPoints: {},
+      journeyPatterns: {},
+      vehicleJourneys: {},
+      stopsLinks: {},
+    };
+
+    for (const inputData of inputDataList) {
+      for (const [collectionName, collection] of Object.entries(merged)) {
+        for (const [code, record] of Object.entries(inputData[collectionName] || {})) {
+          // In case of duplicates, the first occurrence is kept
+          if (!Object.prototype.hasOwnProperty.call(collection, code)) collection[code] = record;
+        }
+      }
+    }
+
+    return merged;
   }
 
   /**
@@ -138,16 +246,22 @@ export default class PTDataset {
    * Create rich StopsLink objects representing the existing links between
    * the stops, basing on the journeypatterns. The links are stored in an object
    * indexed by their ID ("stop1code|stop2code") for fast lookup and return that object
+   * @param  {Object.<string, {geometry: Array.<Array.<number>>}>} [_stopsLinks] - Raw links data,
+   *   with the geometry of the links whose route is known
    * @return {Object.<string, StopsLink>} - Network definition object
    */
-  computeLinks() {
+  computeLinks(_stopsLinks = {}) {
     // Create the list of rich StopsLink objects, stored in an object
     // with the linkID ("stop1code|stop2code") key for fast lookup
     const stopsLinks = {};
     for (const { stops } of Object.values(this.journeyPatterns)) {
       for (let i = 0; i < stops.length - 1; i += 1) {
         const [stop1, stop2] = [stops[i], stops[i + 1]];
-        stopsLinks[`${stop1.code}|${stop2.code}`] = new StopsLink(stop1, stop2);
+        const linkID = `${stop1.code}|${stop2.code}`;
+        const geometry = Object.prototype.hasOwnProperty.call(_stopsLinks, linkID)
+          ? _stopsLinks[linkID].geometry.map(([x, y]) => new Point(x, y))
+          : undefined;
+        stopsLinks[linkID] = new StopsLink(stop1, stop2, geometry);
       }
     }
 
@@ -162,21 +276,31 @@ export default class PTDataset {
    * @return {Object.<string, VehicleJourney>} - Enriched vehicle journey data
    */
   computeVehicleJourneys(_vehicleJourneys) {
+    const vehicleJourneysEntries = Object.entries(_vehicleJourneys);
+    const total = vehicleJourneysEntries.length;
+
     return keyBy(
-      Object.entries(_vehicleJourneys)
-        .map(([code, { times, journeyPatternRef, realtime, cancelled }]) => {
-          // Convert time in seconds since noon minus 12h to Date object
+      vehicleJourneysEntries
+        .map(([code, { times, journeyPatternRef, realtime, cancelled }], index) => {
+          // Report the progress every 500 vehicle journeys, not to flood the callback
+          if (index % 500 === 0) this.progressCallback({ stage: 'vehicleJourneys', done: index, total });
+
+          // Convert time in seconds since noon minus 12h to Date object,
+          // then clean the positions of the vehicles
           for (const rtVehicle of Object.values(realtime)) {
             rtVehicle.times = rtVehicle.times.map(time => TimeUtils
-              .secondsToDateObject(time, this.referenceDate));
+              .secondsToDateObject(time, this.referenceDate, this.timezone));
+            Object.assign(rtVehicle, RealtimeCleaner.clean(rtVehicle, this.realtimeCleaning));
           }
 
           const vehicleJourney = new VehicleJourney(
             code,
             this.journeyPatterns[journeyPatternRef],
-            times.map(time => TimeUtils.secondsToDateObject(time, this.referenceDate)),
+            times.map(time => TimeUtils
+              .secondsToDateObject(time, this.referenceDate, this.timezone)),
             realtime,
             cancelled,
+            this.punctuality,
           );
 
           if (typeof this.journeyPatterns[journeyPatternRef].vehicleJourneys === 'undefined') {
@@ -185,9 +309,51 @@ export default class PTDataset {
             this.journeyPatterns[journeyPatternRef].vehicleJourneys.push(vehicleJourney);
           }
 
+          const { removed } = vehicleJourney.realtimeCleaning;
+          if (removed > 0) {
+            this.report.warnings.push({
+              category: 'removedPositions',
+              code,
+              message: `Vehicle journey ${code} has ${removed} realtime positions removed by the cleaning`,
+            });
+          }
+
           return vehicleJourney;
         }),
       vehicleJourney => vehicleJourney.code,
     );
   }
+
+  /**
+   * Apply an update of the realtime data, appending the new positions of the vehicles
+   * to the vehicle journeys of the dataset. Updates of unknown vehicle journeys are ignored.
+   * @param  {Object.<string, {
+   *   realtime: Object.<string, {
+   *     distances: Array.<number>,
+   *     times: Array.<number>,
+   *     vehicleNumber: number
+   *   }>
+   * }>} vehicleJourneysUpdate - Realtime data by vehicle journey code, in the same format of
+   *   the input data, times being expressed in seconds since noon minus 12h
+   * @return {Array.<VehicleJourney>} - Vehicle journeys that received new positions
+   */
+  applyRealtimeUpdate(vehicleJourneysUpdate) {
+    const updatedVehicleJourneys = [];
+    for (const [code, { realtime }] of Object.entries(vehicleJourneysUpdate)) {
+      if (Object.prototype.hasOwnProperty.call(this.vehicleJourneys, code)) {
+        const vehicleJourney = this.vehicleJourneys[code];
+        let appended = 0;
+        for (const [vehicleKey, { distances, times, vehicleNumber }] of Object.entries(realtime)) {
+          appended += vehicleJourney.appendRealtimePositions(vehicleKey, {
+            distances,
+            times: times.map(time => TimeUtils
+              .secondsToDateObject(time, this.referenceDate, this.timezone)),
+            vehicleNumber,
+          }, this.realtimeCleaning);
+        }
+        if (appended > 0) updatedVehicleJourneys.push(vehicleJourney);
+      }
+    }
+    return updatedVehicleJourneys;
+  }
 }
@@ -1,15 +1,35 @@
 import { select } from 'd3-selection';
-import { timeFormat } from 'd3-time-format';
 import { timer } from 'd3-timer';
 import dat from 'dat.gui';
+import { flatten, keyBy } from 'lodash';
 
+import LiveFeed from './livefeed';
 import PTDataset from './ptdataset';
+import TimeUtils from './timeutils';
+import Cancellations from './analysis/cancellations';
+import DelayHeatmap from './analysis/delayheatmap';
+import DelayProfile from './analysis/delayprofile';
+import DwellTimes from './analysis/dwelltimes';
+import Headways from './analysis/headways';
+import LinkFrequency from './analysis/linkfrequency';
+import PunctualityKPIs from './analysis/punctualitykpis';
+import RunningTimes from './analysis/runningtimes';
+import Transfers from './analysis/transfers';
+import VehicleBlocks from './analysis/vehicleblocks';
+import CancellationsDashboard from './viz_components/cancellationsdashboard';
+import DelayHeatmapChart from './viz_components/delayheatmapchart';
+import DelayProfileChart from './viz_components/delayprofilechart';
 import InteractiveMap from './viz_components/interactivemap';
+import LinkFrequencyLegend from './viz_components/linkfrequencylegend';
 import MareyDiagram from './viz_components/mareydiagram';
+import PunctualityDashboard from './viz_components/punctualitydashboard';
+import ReportsPanel from './viz_components/reportspanel';
+import RunningTimesDashboard from './viz_components/runningtimesdashboard';
+import TransfersDashboard from './viz_components/transfersdashboard';
+import VehicleBlocksGantt from './viz_components/vehicleblocksgantt';
 
 const d3 = Object.assign({}, {
   select,
-  timeFormat,
   timer,
 });
 
@@ -17,18 +37,32 @@ const d3 = Object.assign({}, {
  * Main class
  */
 export default class PTDS {
+  /**
+   * Create the visualization of a dataset
+   * @param  {(PTDataset|Object|Array.<Object>)} inputData - Dataset already built, or raw input
+   *   data of one or more datasets of the same day to build it from
+   * @param  {Object} options - Options of the visualization
+   */
   constructor(inputData, options) {
-    this.data = new PTDataset(inputData, options.selectedDate);
+    this.data = inputData instanceof PTDataset
+      ? inputData
+      : new PTDataset(inputData, options.selectedDate, options);
     this.options = options;
+    // Callback showing trips in the Marey diagram of the line and direction of the first one,
+    // receiving the trips and the connection between them, if any. Set by the application,
+    // since it creates a new visualization
+    this.showTripsCallback = () => {};
 
     if (['dual', 'marey'].includes(options.mode)) {
       this.journeyPatternMix = this.computeJourneyPatternMix();
     } else if (options.mode === 'spiralSimulation') {
-      this.widgetTimeFormat = d3.timeFormat('%Y-%m-%d %H:%M:%S');
+      this.widgetTimeFormat = TimeUtils.timeFormat('%Y-%m-%d %H:%M:%S', this.data.timezone);
       this.createSimulationWidget();
     }
 
     this.createVisualizations();
+
+    if (options.live && options.live.url) this.startLive(options.live.url, options.live.interval);
   }
 
   /**
@@ -184,8 +218,8 @@ export default class PTDS {
       };
     }
 
-    // If we're either in simulation or dual mode, create the map SVG element
-    if (['dual', 'spiralSimulation'].includes(this.options.mode)) {
+    // If we're in simulation, dual or frequency mode, create the map SVG element
+    if (['dual', 'spiralSimulation', 'frequency'].includes(this.options.mode)) {
       this.mapSVG = d3.select('div.main').append('div')
         .attr('id', 'map-container')
         .append('svg')
@@ -258,8 +292,77 @@ export default class PTDS {
    * Create the Marey and/or Map visualization(s) invoking the respective constructor(s)
    */
   createVisualizations() {
+    // The punctuality dashboard is made of tables only
+    if (this.options.mode === 'punctuality') {
+      this.dashboard = new PunctualityDashboard(
+        d3.select('div.main'),
+        PunctualityKPIs.compute(this.data),
+        this.data.punctuality,
+      );
+      return;
+    }
+
+    // The running times dashboard too, using the realised running times of the day shown
+    // and of the other days added later
+    if (this.options.mode === 'runningTimes') {
+      const runningTimesOptions = this.options.runningTimes || {};
+      const { percentile: initialPercentile = 85 } = runningTimesOptions;
+      this.runningTimesDatasets = [this.data];
+      this.dashboard = new RunningTimesDashboard(
+        d3.select('div.main'),
+        initialPercentile,
+        percentile => RunningTimes.compute(
+          this.data,
+          this.runningTimesDatasets,
+          Object.assign({}, runningTimesOptions, { percentile }),
+        ),
+        `running-times-${this.data.referenceDate}.csv`,
+      );
+      return;
+    }
+
+    // The cancellations dashboard too
+    if (this.options.mode === 'cancellations') {
+      this.dashboard = new CancellationsDashboard(
+        d3.select('div.main'),
+        Cancellations.compute(this.data),
+        this.data.timezone,
+      );
+      return;
+    }
+
+    // The transfers dashboard too, showing the trips of a connection when clicked
+    if (this.options.mode === 'transfers') {
+      this.dashboard = new TransfersDashboard(
+        d3.select('div.main'),
+        Transfers.compute(this.data, this.options.transfers),
+        this.data.timezone,
+        connection => this.showTripsCallback(
+          [connection.feeder, connection.connection],
+          connection,
+        ),
+      );
+      return;
+    }
+
+    // The Gantt chart of the vehicle blocks, showing a trip when clicked
+    if (this.options.mode === 'blocks') {
+      this.applyPunctualityStyles();
+      this.dashboard = new VehicleBlocksGantt(
+        d3.select('div.main'),
+        VehicleBlocks.compute(this.data),
+        this.data.punctuality,
+        this.data.timezone,
+        vehicleJourney => this.showTripsCallback([vehicleJourney]),
+      );
+      return;
+    }
+
     // First, create the SVG objects
     this.createSVGObjects();
+    // Color the vehicles according to the punctuality bands, and explain them in a legend
+    this.applyPunctualityStyles();
+    if (this.options.mode !== 'frequency') this.createPunctualityLegend();
 
     if (this.options.mode !== 'marey') {
       // Create the map
@@ -274,28 +377,14 @@ export default class PTDS {
     // If we are in "dual" mode, draw the Marey diagram of the chosen journey pattern
     if (this.options.mode === 'dual') {
       // Callback that updates the map when the timeline is moved in the Marey diagram
-      const timelineChangeCallback = (time) => {
-        // Extract the codes of all the journey patterns shown (reference + others sharing >1 link)
-        const selectedJPcodes = [
-          this.journeyPatternMix.referenceJP.code,
-          ...this.journeyPatternMix.otherJPs.map(({ journeyPattern }) => journeyPattern.code),
-        ];
-
-        this.map.updateData({
-          trips: this.getTripsAtTime(
-            time,
-            // Display on the map only the trips that we're showing in the diagram
-            trip => selectedJPcodes.includes(trip.journeyPattern.code),
-          ),
-        });
-        this.map.drawTrips();
-      };
+      const timelineChangeCallback = (time) => { this.updateMapTrips(time); };
 
       // Creation of the Marey diagram
       this.marey = new MareyDiagram(
         this.journeyPatternMix,
         this.mareySVGgroups,
         this.dims,
+        this.data.timezone,
         timelineChangeCallback,
       );
     } else if (this.options.mode === 'marey') {
@@ -304,10 +393,356 @@ export default class PTDS {
         this.journeyPatternMix,
         this.mareySVGgroups,
         this.dims,
+        this.data.timezone,
+      );
+    }
+
+    // Frequency of the service over the links of the map, in a window of hours of the day,
+    // with the reports of the busiest corridors and stop areas
+    if (this.options.mode === 'frequency') {
+      const { fromHour: from = 7, toHour: to = 9 } = this.options.frequency || {};
+      const frequencyWindow = { fromHour: from, toHour: to };
+      this.linkFrequency = LinkFrequency.compute(this.data);
+      this.reportsPanel = new ReportsPanel(d3.select('div.main'));
+      this.frequencyReports = {
+        corridors: this.reportsPanel.addReport('Busiest corridors'),
+        stopAreas: this.reportsPanel.addReport('Busiest stop areas'),
+      };
+      this.frequencyLegend = new LinkFrequencyLegend(
+        d3.select('div.main'),
+        frequencyWindow,
+        (fromHour, toHour) => this.showLinksFrequency(fromHour, toHour),
       );
+      this.showLinksFrequency(frequencyWindow.fromHour, frequencyWindow.toHour);
+    }
+
+    // Reports of the analyses of the journey patterns shown in the Marey diagram
+    if (this.marey) {
+      this.reportsPanel = new ReportsPanel(d3.select('div.main'));
+      this.addHeadwaysReport();
+      this.addDwellReport();
+      this.addDelayProfileReport();
+      this.addDelayHeatmapReport();
     }
   }
 
+  /**
+   * Show on the map the frequency of the service over the links in a window of hours of the day,
+   * and list the busiest corridors and stop areas in the reports
+   * @param  {number} fromHour - First hour of the window, included
+   * @param  {number} toHour - Last hour of the window, excluded
+   */
+  showLinksFrequency(fromHour, toHour) {
+    this.frequencyWindow = { fromHour, toHour };
+    const { links, corridors, stopAreas } = LinkFrequency.inWindow(
+      this.linkFrequency,
+      fromHour,
+      toHour,
+    );
+    this.frequencyLegend.update(this.map.setLinksFrequency(keyBy(
+      links,
+      ({ stopsLink }) => stopsLink.linkID,
+    )));
+
+    const { corridors: maxRows = 20 } = this.options.frequency || {};
+    const serviceColumns = [
+      { title: 'Lines', value: ({ lines }) => lines.join(', ') },
+      { title: 'Scheduled/h', value: ({ scheduledPerHour }) => scheduledPerHour.toFixed(1) },
+      { title: 'Operated/h', value: ({ operatedPerHour }) => operatedPerHour.toFixed(1) },
+      { title: 'Operated', value: ({ operatedShare }) => `${Math.round(operatedShare * 100)}%` },
+    ];
+    const { corridors: corridorsReport, stopAreas: stopAreasReport } = this.frequencyReports;
+    corridorsReport.selectAll('*').remove();
+    ReportsPanel.drawTable(corridorsReport, [
+      { title: 'From', value: ({ fromName }) => fromName },
+      { title: 'To', value: ({ toName }) => toName },
+      ...serviceColumns,
+    ], corridors.slice(0, maxRows));
+    stopAreasReport.selectAll('*').remove();
+    ReportsPanel.drawTable(stopAreasReport, [
+      { title: 'Stop area', value: ({ name }) => name },
+      ...serviceColumns,
+    ], stopAreas.slice(0, maxRows));
+  }
+
+  /**
+   * Analyze the headways at the stops of the reference journey pattern, adding their report
+   * and highlighting the bunching events in the Marey diagram
+   */
+  addHeadwaysReport() {
+    const { bunchingThreshold } = this.options.headways || {};
+    const { stops, overall, bunchingEvents } = Headways.compute(
+      this.journeyPatternMix,
+      bunchingThreshold,
+    );
+    this.marey.setBunchingEvents(bunchingEvents);
+
+    const formatCV = cv => (typeof cv === 'undefined' ? '' : cv.toFixed(2));
+    const report = this.reportsPanel.addReport(
+      'Headways',
+      `CV ${formatCV(overall.cv)}, excess wait ${ReportsPanel.formatDuration(overall.excessWaitTime)}, `
+      + `${overall.bunchingCount} bunching events`,
+    );
+    report.append('p').text('Headways between the actual departures of the trips from each stop, '
+      + 'compared to the scheduled ones. The bunching events are marked in red in the diagram.');
+    ReportsPanel.drawTable(report, [
+      { title: 'Stop', value: ({ stop }) => stop.name },
+      { title: 'Headways', value: ({ count }) => count },
+      { title: 'Scheduled', value: ({ scheduledMean }) => ReportsPanel.formatDuration(scheduledMean) },
+      { title: 'Actual', value: ({ actualMean }) => ReportsPanel.formatDuration(actualMean) },
+      { title: 'CV', value: ({ cv }) => formatCV(cv) },
+      { title: 'Excess wait', value: ({ excessWaitTime }) => ReportsPanel.formatDuration(excessWaitTime) },
+      { title: 'Bunching', value: ({ bunchingCount }) => bunchingCount },
+    ], stops);
+  }
+
+  /**
+   * Analyze the dwells of the trips at the stops of the reference journey pattern, adding their
+   * report and drawing them in the Marey diagram
+   */
+  addDwellReport() {
+    const { tolerance, longDwellThreshold } = this.options.dwell || {};
+    const { stops, overall, dwells } = DwellTimes.compute(this.journeyPatternMix, tolerance);
+    this.marey.setDwellTimes(dwells, longDwellThreshold);
+
+    const report = this.reportsPanel.addReport(
+      'Dwell times',
+      `scheduled ${ReportsPanel.formatDuration(overall.scheduledMean)}, `
+      + `realised ${ReportsPanel.formatDuration(overall.actualMean)} on average`,
+    );
+    report.append('p').text('Scheduled and realised dwell times of the trips at the intermediate '
+      + 'stops. The realised dwells are drawn at the stops in the diagram, the long ones '
+      + 'highlighted.');
+    ReportsPanel.drawTable(report, [
+      { title: 'Stop', value: ({ stop }) => stop.name },
+      { title: 'Dwells', value: ({ count }) => count },
+      { title: 'Scheduled', value: ({ scheduledMean }) => ReportsPanel.formatDuration(scheduledMean) },
+      { title: 'Realised', value: ({ actualMean }) => ReportsPanel.formatDuration(actualMean) },
+      { title: 'Median', value: ({ actualMedian }) => ReportsPanel.formatDuration(actualMedian) },
+      { title: 'P90', value: ({ actualP90 }) => ReportsPanel.formatDuration(actualP90) },
+      { title: 'Excess', value: ({ excessMean }) => ReportsPanel.formatDuration(excessMean) },
+    ], stops.filter(({ count }) => count > 0));
+  }
+
+  /**
+   * Add the report of the delay profiles of the trips of the reference journey pattern,
+   * showing either all of them with the distribution of their delays or a single one
+   */
+  addDelayProfileReport() {
+    const { referenceJP } = this.journeyPatternMix;
+    const profiles = DelayProfile.aggregate(referenceJP, this.options.delayProfile);
+    const vehicleJourneys = [...new Set(profiles.trips.map(({ vehicleJourney }) => vehicleJourney))]
+      .sort((a, b) => a.firstAndLastTimes.first - b.firstAndLastTimes.first);
+
+    const report = this.reportsPanel.addReport(
+      'Delay profile',
+      `${vehicleJourneys.length} realtime trips of journey pattern ${referenceJP.code}`,
+    );
+    report.append('p').text('Delay of the trips against the distance along the journey pattern, '
+      + 'with its stops on top. All the trips are drawn with their median delay over the bands '
+      + 'between the percentiles, or a single trip can be chosen.');
+    const tripSelect = report.append('select');
+    tripSelect.selectAll('option')
+      .data([null, ...vehicleJourneys])
+      .enter()
+      .append('option')
+      .attr('value', vehicleJourney => (vehicleJourney === null ? '' : vehicleJourney.code))
+      .text(vehicleJourney => (vehicleJourney === null ? 'All trips' : vehicleJourney.code));
+
+    const chart = new DelayProfileChart(report, referenceJP);
+    chart.draw(profiles);
+    tripSelect.on('change', () => {
+      const tripCode = tripSelect.property('value');
+      chart.draw(tripCode === ''
+        ? profiles
+        : { trips: DelayProfile.trip(this.data.vehicleJourneys[tripCode]) });
+    });
+  }
+
+  /**
+   * Add the report of the delays at the stops of the reference journey pattern per hour,
+   * zooming the Marey diagram on the stop and the hour of a cell when clicked
+   */
+  addDelayHeatmapReport() {
+    const { percentile } = this.options.delayHeatmap || {};
+    const heatmap = DelayHeatmap.compute(this.journeyPatternMix, this.data, percentile);
+    const report = this.reportsPanel.addReport(
+      'Delay heatmap',
+      `${heatmap.stops.length} stops, ${heatmap.hours.length} hours`,
+    );
+    report.append('p').text('Delays when leaving the stops of the journey pattern per hour of '
+      + 'the day, from early in blue to late in red. Click a cell to show the stop and the hour '
+      + 'in the diagram.');
+    if (!heatmap.cells.length) return;
+
+    const statisticSelect = report.append('select');
+    statisticSelect.selectAll('option')
+      .data([
+        { value: 'mean', text: 'Mean delay' },
+        { value: 'percentile', text: `P${heatmap.percentile} delay` },
+      ])
+      .enter()
+      .append('option')
+      .attr('value', ({ value }) => value)
+      .text(({ text }) => text);
+
+    const lastStopIndex = heatmap.stops.length - 1;
+    const { referenceDate, timezone } = this.data;
+    const chart = new DelayHeatmapChart(report, heatmap, ({ stopIndex, hour }) => {
+      // The stop is shown with the links before and after it
+      this.marey.selectStops(Math.max(stopIndex - 1, 0), Math.min(stopIndex + 1, lastStopIndex));
+      this.marey.selectTimeRange(
+        TimeUtils.secondsToDateObject(hour * 3600, referenceDate, timezone),
+        TimeUtils.secondsToDateObject((hour + 1) * 3600, referenceDate, timezone),
+      );
+    });
+    chart.draw(statisticSelect.property('value'));
+    statisticSelect.on('change', () => chart.draw(statisticSelect.property('value')));
+  }
+
+  /**
+   * Add the datasets of other days to the ones providing the realised running times
+   * of the running times dashboard
+   * @param {Array.<PTDataset>} datasets - Datasets of other days
+   */
+  addRunningTimesDatasets(datasets) {
+    this.runningTimesDatasets.push(...datasets);
+    this.dashboard.setDays(this.runningTimesDatasets.map(({ referenceDate }) => referenceDate));
+  }
+
+  /**
+   * Show trips in the Marey diagram, highlighting them, and the connection between them if any
+   * @param  {Array.<VehicleJourney>} vehicleJourneys - Trips to show
+   * @param  {Object} [connection] - Connection between the trips, see Transfers.compute
+   */
+  focusOnTrips(vehicleJourneys, connection) {
+    // The trips of a journey pattern not shown, typically the connecting trip of another line,
+    // are added at the stop area of the connection
+    if (connection) {
+      const { referenceJP, otherJPs } = this.journeyPatternMix;
+      for (const { journeyPattern } of vehicleJourneys) {
+        if (journeyPattern !== referenceJP
+          && !otherJPs.some(otherJP => otherJP.journeyPattern === journeyPattern)) {
+          const sharedSequences = referenceJP
+            .sharedStopAreaSequences(journeyPattern, connection.stopArea);
+          if (sharedSequences) {
+            this.marey.addOtherJourneyPattern({ journeyPattern, sharedSequences });
+          }
+        }
+      }
+    }
+
+    // Show the time around the connection, or the whole trips if there's no connection
+    const times = connection
+      ? [
+        connection.scheduledArrival,
+        connection.scheduledDeparture,
+        connection.realisedArrival,
+        connection.realisedDeparture,
+      ].filter(time => time !== null)
+      : flatten(vehicleJourneys.map(({ firstAndLastTimes: { first, last } }) => [first, last]));
+    const margin = 10 * 60 * 1000;
+    this.marey.focusOnTrips(
+      new Set(vehicleJourneys.map(({ code }) => code)),
+      new Date(Math.min(...times) - margin),
+      new Date(Math.max(...times) + margin),
+    );
+
+    // The connection is drawn at its stop area, if served by the reference journey pattern
+    if (connection) {
+      const { referenceJP } = this.journeyPatternMix;
+      const index = referenceJP.stops.findIndex(({ area }) => area === connection.stopArea);
+      const realised = connection.realisedArrival !== null && connection.realisedDeparture !== null;
+      this.marey.setConnection(index === -1 ? null : {
+        distance: referenceJP.distances[index],
+        from: realised ? connection.realisedArrival : connection.scheduledArrival,
+        to: realised ? connection.realisedDeparture : connection.scheduledDeparture,
+        made: connection.status === Transfers.status.MADE,
+        label: `Connection at ${connection.feederStop.name} from `
+          + `${connection.feeder.code} to ${connection.connection.code}: ${connection.status}`,
+      });
+    }
+  }
+
+  /**
+   * Add the CSS rules coloring the vehicles according to their punctuality band,
+   * replacing the ones of a previous visualization
+   */
+  applyPunctualityStyles() {
+    let style = document.getElementById('punctuality-styles');
+    if (style === null) {
+      style = document.createElement('style');
+      style.id = 'punctuality-styles';
+      document.head.appendChild(style);
+    }
+    style.textContent = this.data.punctuality.styleSheet;
+  }
+
+  /**
+   * Add the legend of the punctuality bands in the bottom right of the screen. When a Marey
+   * diagram is shown, only the bands of its line are listed
+   */
+  createPunctualityLegend() {
+    const { punctuality } = this.data;
+    let sections;
+    if (['dual', 'marey'].includes(this.options.mode)) {
+      const lineCode = this.journeyPatternMix.referenceJP.line.code;
+      sections = [{ title: `Line ${lineCode}`, bands: punctuality.describeBands(lineCode) }];
+    } else {
+      const linesCodes = Object.keys(punctuality.lines);
+      sections = [
+        {
+          title: linesCodes.length ? 'Other lines' : 'Punctuality',
+          bands: punctuality.describeBands(),
+        },
+        ...linesCodes.map(lineCode => ({
+          title: `Line ${lineCode}`,
+          bands: punctuality.describeBands(lineCode),
+        })),
+      ];
+    }
+
+    const sectionsSel = d3.select('div.main')
+      .append('div')
+      .attr('class', 'punctuality-legend')
+      .selectAll('div')
+      .data(sections)
+      .enter()
+      .append('div');
+    sectionsSel.append('strong').text(({ title }) => title);
+    const bandsSel = sectionsSel.append('ul')
+      .selectAll('li')
+      .data(({ bands }) => bands)
+      .enter()
+      .append('li');
+    bandsSel.append('span')
+      .attr('class', 'swatch')
+      .style('background', ({ color }) => color);
+    bandsSel.append('span').text(({ label, range }) => `${label} (${range})`);
+  }
+
+  /**
+   * Show on the map the trips active at a given time. In "dual" mode, only the trips
+   * shown in the Marey diagram are displayed
+   * @param  {Date} time - Time
+   * @param  {Set.<string>} [tripsCodes] - Codes of the trips to draw again, if only some of them
+   *   changed
+   */
+  updateMapTrips(time, tripsCodes = null) {
+    let filterFunc;
+    if (this.options.mode === 'dual') {
+      // Extract the codes of all the journey patterns shown (reference + others sharing >1 link)
+      const selectedJPcodes = [
+        this.journeyPatternMix.referenceJP.code,
+        ...this.journeyPatternMix.otherJPs.map(({ journeyPattern }) => journeyPattern.code),
+      ];
+      filterFunc = trip => selectedJPcodes.includes(trip.journeyPattern.code);
+    }
+
+    this.map.updateData({ trips: this.getTripsAtTime(time, filterFunc) });
+    this.map.drawTrips(tripsCodes);
+  }
+
   /**
    * Get the data needed to draw the initial version of the map,
    * including: stops, stop areas and stops links.
@@ -334,7 +769,7 @@ export default class PTDS {
         }
       }
     } else {
-      // If we're in spiralSimulation mode, we're interested only in the data connected
+      // Otherwise, e.g. in spiralSimulation mode, we're interested only in the data connected
       // with the journey patterns present in the dataset. So we extract the stops
       // that appear at least in one journey pattern.
       for (const { stops } of Object.values(this.data.journeyPatterns)) {
@@ -353,8 +788,9 @@ export default class PTDS {
         .filter(stopArea => stopArea.stops.some(stop => validStops.includes(stop)))
       : [];
 
-    // Get the links that have both stops in the valid stop list
-    const links = this.options.showLinks
+    // Get the links that have both stops in the valid stop list.
+    // The frequency mode is all about them, so they are always shown
+    const links = this.options.showLinks || this.options.mode === 'frequency'
       ? Object.values(this.data.stopsLinks)
         .filter(stopsLink => validStops.includes(stopsLink.stop1)
           && validStops.includes(stopsLink.stop2))
@@ -375,17 +811,21 @@ export default class PTDS {
    *     distance: number,
    *     status: string,
    *     prognosed: boolean,
-   *    }>
+   *    }>,
+   *   cancelled: boolean
    *  }>} - Active trips information
    */
   getTripsAtTime(time, filterFunc = () => true) {
-    // Filter all the trips, keeping only those that are active and satisfy the optional filterFunc
+    // Filter all the trips, keeping only those that are active and satisfy the optional filterFunc.
+    // Cancelled trips are hidden, unless shown as ghosts
     const filteredTrips = Object.values(this.data.vehicleJourneys)
-      .filter(trip => trip.isActive(time) && filterFunc(trip));
+      .filter(trip => trip.isActive(time) && filterFunc(trip)
+        && (!trip.cancelled || this.options.cancelledTrips !== 'hide'));
 
     return filteredTrips.map(trip => ({
       code: trip.code,
       vehiclePositions: trip.getPositionsAtTime(time, this.data.stopsLinks),
+      cancelled: trip.cancelled,
     }));
   }
 
@@ -440,4 +880,74 @@ export default class PTDS {
       this.spiralTimer.stop();
     }
   }
+
+  /**
+   * Start the live mode: the realtime data is periodically requested from an endpoint and
+   * appended to the dataset, and the visualizations are updated to show the current time.
+   * The Marey diagram follows the current time until the user pans or zooms it.
+   * @param  {string} url - URL of the realtime endpoint, see LiveFeed
+   * @param  {number} [interval] - Time between two requests, in seconds
+   */
+  startLive(url, interval = 10) {
+    this.stopLive();
+    this.liveFeed = new LiveFeed(url, this.data, interval, (vehicleJourneys, now) => {
+      this.liveUpdate(vehicleJourneys, now);
+    });
+    this.liveFeed.start();
+    this.followNow();
+  }
+
+  /**
+   * Stop the live mode
+   */
+  stopLive() {
+    if (this.liveFeed) {
+      this.liveFeed.stop();
+      this.liveFeed = null;
+    }
+  }
+
+  /**
+   * Make the visualizations follow the current time again, in live mode
+   */
+  followNow() {
+    const now = new Date();
+    if (this.marey) this.marey.followNow(now);
+    if (this.map && this.options.mode === 'dual') this.updateMapTrips(now);
+  }
+
+  /**
+   * Update the visualizations after an update of the realtime data, drawing again
+   * only the trips that changed
+   * @param  {Array.<VehicleJourney>} vehicleJourneys - Vehicle journeys with new positions
+   * @param  {Date} now - Time of the update
+   */
+  liveUpdate(vehicleJourneys, now) {
+    // More trips may have been operated
+    if (this.options.mode === 'frequency') {
+      this.linkFrequency = LinkFrequency.compute(this.data);
+      this.showLinksFrequency(this.frequencyWindow.fromHour, this.frequencyWindow.toHour);
+    }
+
+    if (this.marey) {
+      this.marey.updateTrips(vehicleJourneys, now);
+      this.marey.updateNow(now);
+    }
+
+    // The map shows the current time unless the user is looking at another time,
+    // moving the timeline of the Marey diagram or running the simulation
+    if (this.map && !this.simulationRunning
+        && (this.options.mode !== 'dual' || this.marey.followingNow)) {
+      // Besides the trips with new positions, the ones without realtime data and
+      // the ones with prognosed positions move with time
+      const tripsCodes = new Set(vehicleJourneys.map(({ code }) => code));
+      for (const vehicleJourney of Object.values(this.data.vehicleJourneys)) {
+        if (!vehicleJourney.isRealTime || Object.values(vehicleJourney.rt)
+          .some(({ times }) => times[times.length - 1] > now)) {
+          tripsCodes.add(vehicleJourney.code);
+        }
+      }
+      this.updateMapTrips(now, tripsCodes);
+    }
+  }
 }
@@ -0,0 +1,174 @@
+import VehicleStatus from './vehiclestatus';
+
+/**
+ * Model deciding the punctuality status of the vehicles, basing on their delay compared
+ * to the schedule. The delay is divided in bands, ordered from the earliest to the latest:
+ * a vehicle belongs to the first band whose "max" (in seconds of delay, negative when early)
+ * is not exceeded, the last band having no maximum. A delay equal to a maximum belongs to the
+ * band closer to the schedule, so that with the default bands -15 and 120 s are on time.
+ * The name of a band is used as status of the vehicles, and as CSS class in the visualizations.
+ * Lines can have their own bands, e.g. when they are operated under a different contract.
+ * Bands with the same name share their color and label, taken from the first band defining them.
+ */
+export default class Punctuality {
+  /**
+   * Punctuality model constructor
+   * @param  {{
+   *   bands: Array.<{name: string, label: string, color: string, max: number}>,
+   *   lines: Object.<string, Array.<{name: string, label: string, color: string, max: number}>>
+   * }} [config] - Default bands, and bands of specific lines by line code
+   */
+  constructor({ bands = Punctuality.defaultBands, lines = {} } = {}) {
+    for (const lineBands of [bands, ...Object.values(lines)]) Punctuality.checkBands(lineBands);
+    this.bands = bands;
+    this.lines = lines;
+  }
+
+  /**
+   * Default bands: early if more than 15 seconds ahead of the schedule,
+   * late if more than 2 minutes behind it
+   * @return {Array.<{name: string, label: string, color: string, max: number}>} - Default bands
+   */
+  static get defaultBands() {
+    return [
+      { name: 'early', label: 'Early', color: 'red', max: -15 },
+      { name: 'ontime', label: 'On time', color: 'green', max: 120 },
+      { name: 'late', label: 'Late', color: 'orange' },
+    ];
+  }
+
+  /**
+   * Check that a list of bands is valid, throwing an error otherwise
+   * @param  {Array.<{name: string, max: number}>} bands - Bands to check
+   */
+  static checkBands(bands) {
+    if (!Array.isArray(bands) || bands.length === 0) {
+      throw new Error('Punctuality bands must be a non-empty list');
+    }
+    for (const [index, { name, max }] of bands.entries()) {
+      const last = index === bands.length - 1;
+      // The name is used as CSS class, and can't be confused with the undefined status
+      if (!/^[A-Za-z][\w-]*$/.test(name) || name === VehicleStatus.UNDEFINED) {
+        throw new Error(`Invalid name of punctuality band: ${name}`);
+      }
+      if (!last && (typeof max !== 'number' || (index > 0 && max <= bands[index - 1].max))) {
+        throw new Error(`The maximum delay of punctuality band ${name} must be a number greater than the previous one`);
+      }
+    }
+  }
+
+  /**
+   * Bands that apply to a line
+   * @param  {string} [lineCode] - Code of the line
+   * @return {Array.<{name: string, label: string, color: string, max: number}>} - Bands of the
+   *   line, or the default ones
+   */
+  bandsOf(lineCode) {
+    return Object.prototype.hasOwnProperty.call(this.lines, lineCode)
+      ? this.lines[lineCode]
+      : this.bands;
+  }
+
+  /**
+   * Names of the bands used by any line, with the default bands first
+   * @return {Array.<string>} - Names of the bands
+   */
+  get bandNames() {
+    const names = [];
+    for (const lineBands of [this.bands, ...Object.values(this.lines)]) {
+      for (const { name } of lineBands) {
+        if (!names.includes(name)) names.push(name);
+      }
+    }
+    return names;
+  }
+
+  /**
+   * Property of the bands used by any line, by name of the band, taken from the first band
+   * defining it
+   * @param  {string} property - Name of the property
+   * @return {Object.<string, *>} - Values of the property, by name of the band
+   */
+  bandsProperty(property) {
+    const values = {};
+    for (const lineBands of [this.bands, ...Object.values(this.lines)]) {
+      for (const band of lineBands) {
+        if (!Object.prototype.hasOwnProperty.call(values, band.name)
+            && typeof band[property] !== 'undefined') {
+          values[band.name] = band[property];
+        }
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Colors of the bands used by any line, by name of the band
+   * @return {Object.<string, string>} - Colors of the bands
+   */
+  get colors() {
+    return this.bandsProperty('color');
+  }
+
+  /**
+   * Labels of the bands used by any line, by name of the band, defaulting to the name
+   * @return {Object.<string, string>} - Labels of the bands
+   */
+  get labels() {
+    return Object.assign(
+      {},
+      ...this.bandNames.map(name => ({ [name]: name })),
+      this.bandsProperty('label'),
+    );
+  }
+
+  /**
+   * Status of a vehicle given its delay
+   * @param  {?number} delay - Delay compared to the schedule in seconds, null if unknown
+   * @param  {string} [lineCode] - Code of the line of the vehicle
+   * @return {string} - Name of the band of the delay
+   */
+  status(delay, lineCode) {
+    if (delay === null) return VehicleStatus.UNDEFINED;
+    const bands = this.bandsOf(lineCode);
+    const band = bands.find(({ max }, index) => index === bands.length - 1
+      || delay < max || (delay === max && max >= 0));
+    return band.name;
+  }
+
+  /**
+   * Describe the delays of each band of a line, e.g. for a legend
+   * @param  {string} [lineCode] - Code of the line
+   * @return {Array.<{name: string, label: string, color: string, range: string}>} - Bands with
+   *   the description of the range of their delays
+   */
+  describeBands(lineCode) {
+    const bands = this.bandsOf(lineCode);
+    const { colors, labels } = this;
+    return bands.map(({ name, max }, index) => {
+      let range;
+      const previousMax = index > 0 ? bands[index - 1].max : null;
+      if (bands.length === 1) range = 'any delay';
+      else if (index === 0) range = `${max < 0 ? '<' : '≤'} ${max} s`;
+      else if (index === bands.length - 1) range = `${previousMax < 0 ? '≥' : '>'} ${previousMax} s`;
+      else range = `${previousMax} s to ${max} s`;
+      return { name, label: labels[name], color: colors[name], range };
+    });
+  }
+
+  /**
+   * CSS rules coloring the vehicles of each band in the Marey diagram and in the map,
+   * and the trips in the vehicle blocks chart
+   * @return {string} - CSS rules
+   */
+  get styleSheet() {
+    return Object.entries(this.colors)
+      .map(([name, color]) => [
+        `#marey g.vehicle circle.rt-position.${name} { fill: ${color}; }`,
+        `#marey g.vehicle path.rt-sequence.${name} { stroke: ${color}; }`,
+        `#map g.vehicle.${name} circle { fill: ${color}; }`,
+        `#blocks rect.trip.${name} { fill: ${color}; }`,
+      ].join('\n'))
+      .join('\n');
+  }
+}
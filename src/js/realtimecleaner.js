@@ -0,0 +1,154 @@
+import { range } from 'lodash';
+
+/**
+ * Cleaning of the realtime positions of the vehicles, applied when building the vehicle journeys.
+ * The positions implying a speed no vehicle can reach, such as spikes of the distance, are
+ * removed, the first one if it implies such a speed to reach most of the next ones, while the
+ * exact duplicates, such as an arrival and a departure reported at once, are silently dropped.
+ * The distance is then made non-decreasing, clamping the small steps backwards of the vehicles
+ * to the last distance reached. Finally, the gaps between the positions are filled with positions
+ * interpolated in time and distance. Clamped and interpolated positions are flagged, so that
+ * they can be drawn differently.
+ */
+export default class RealtimeCleaner {
+  /**
+   * Flags of the positions changed or added by the cleaning
+   * @return {{CLAMPED: string, INTERPOLATED: string}} - Flags
+   */
+  static get flags() {
+    return {
+      CLAMPED: 'clamped',
+      INTERPOLATED: 'interpolated',
+    };
+  }
+
+  /**
+   * Default configuration of the cleaning
+   * @return {{
+   *   enabled: boolean,
+   *   maxSpeed: ?number,
+   *   monotonic: boolean,
+   *   maxGap: ?number,
+   *   interpolationStep: number
+   * }} - Whether the positions are cleaned at all, maximum speed of the vehicles in meters per
+   *   second (null not to remove any position), whether the distances are made non-decreasing,
+   *   longest time between two positions in seconds before the gap is filled (null not to fill
+   *   the gaps) and time between the interpolated positions in seconds
+   */
+  static get defaultConfig() {
+    return {
+      enabled: true,
+      maxSpeed: 40,
+      monotonic: true,
+      maxGap: 120,
+      interpolationStep: 30,
+    };
+  }
+
+  /**
+   * Clean the realtime positions of a vehicle
+   * @param  {{distances: Array.<number>, times: Array.<Date>}} positions - Positions of the
+   *   vehicle, in order of time
+   * @param  {Object} [config] - Configuration of the cleaning, see defaultConfig
+   * @param  {?{distance: number, time: Date}} [last] - Last position of the vehicle before the
+   *   ones to clean, e.g. when new positions are received in live mode
+   * @return {{
+   *   distances: Array.<number>,
+   *   times: Array.<Date>,
+   *   flags: Array.<?string>,
+   *   removed: number
+   * }} - Cleaned positions, with the flag of each of them (null if unchanged) and the number
+   *   of positions removed
+   */
+  static clean({ distances, times }, config = {}, last = null) {
+    const {
+      enabled,
+      maxSpeed,
+      monotonic,
+      maxGap,
+      interpolationStep,
+    } = Object.assign({}, RealtimeCleaner.defaultConfig, config);
+    if (!enabled) {
+      return {
+        distances,
+        times,
+        flags: times.map(() => null),
+        removed: 0,
+      };
+    }
+
+    // The positions repeating the previous one, such as an arrival and a departure reported
+    // at once, are dropped without being counted as removed
+    const indexes = range(times.length).filter((index) => {
+      const before = index > 0 ? { time: times[index - 1], distance: distances[index - 1] } : last;
+      return before === null || times[index].getTime() !== before.time.getTime()
+        || distances[index] !== before.distance;
+    });
+
+    // Whether the vehicle can go from a position to another one without moving too fast
+    const plausible = (from, to) => {
+      const elapsed = (times[to] - times[from]) / 1000;
+      return elapsed > 0 && Math.abs(distances[to] - distances[from]) / elapsed <= maxSpeed;
+    };
+    // The first position has no previous one to be checked against, while the next ones are
+    // checked against it: it is removed if it is too far from most of the next few positions
+    let start = 0;
+    if (last === null && maxSpeed !== null) {
+      const isSpike = (position) => {
+        const nextIndexes = indexes.slice(position + 1, position + 4);
+        return nextIndexes.length > 1 && nextIndexes
+          .filter(next => !plausible(indexes[position], next)).length > nextIndexes.length / 2;
+      };
+      while (start < indexes.length && isSpike(start)) start += 1;
+    }
+
+    const cleaned = {
+      distances: [],
+      times: [],
+      flags: [],
+      removed: start,
+    };
+    let previous = last;
+    const addPosition = (time, distance, flag) => {
+      cleaned.times.push(time);
+      cleaned.distances.push(distance);
+      cleaned.flags.push(flag);
+      previous = { time, distance };
+    };
+
+    for (const index of indexes.slice(start)) {
+      const time = times[index];
+      let distance = distances[index];
+      let flag = null;
+      const elapsed = previous === null ? null : (time - previous.time) / 1000;
+
+      // Positions that are not after the previous one, or that would require the vehicle
+      // to move too fast to reach them, are removed
+      if (elapsed !== null && (elapsed <= 0 || (maxSpeed !== null
+        && Math.abs(distance - previous.distance) / elapsed > maxSpeed))) {
+        cleaned.removed += 1;
+      } else {
+        if (elapsed !== null) {
+          if (monotonic && distance < previous.distance) {
+            ({ distance } = previous);
+            flag = RealtimeCleaner.flags.CLAMPED;
+          }
+
+          if (maxGap !== null && elapsed > maxGap) {
+            const { time: gapStart, distance: gapStartDistance } = previous;
+            for (let step = interpolationStep; step < elapsed; step += interpolationStep) {
+              addPosition(
+                new Date(gapStart.getTime() + (step * 1000)),
+                gapStartDistance + (((distance - gapStartDistance) * step) / elapsed),
+                RealtimeCleaner.flags.INTERPOLATED,
+              );
+            }
+          }
+        }
+        addPosition(time, distance, flag);
+      }
+    }
+
+    return cleaned;
+  }
+}
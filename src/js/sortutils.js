@@ -0,0 +1,15 @@
+/**
+ * Helper functions to sort the records of the datasets and of the analyses
+ */
+export default class SortUtils {
+  /**
+   * Compare two values, e.g. codes of lines or stops, in their natural order, where the numbers
+   * they contain are compared by value ("2" before "10")
+   * @param  {string|number} a - First value
+   * @param  {string|number} b - Second value
+   * @return {number} - Negative if a comes first, positive if b comes first, 0 if equal
+   */
+  static naturalOrder(a, b) {
+    return `${a}`.localeCompare(`${b}`, undefined, { numeric: true });
+  }
+}
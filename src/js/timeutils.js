@@ -1,28 +1,168 @@
+import { utcFormat } from 'd3-time-format';
+
+const d3 = Object.assign({}, {
+  utcFormat,
+});
+
+// Formatters giving the wall-clock time of a date in each timezone, created lazily
+const wallClockFormats = {};
+// Start of the service day of each date in each timezone, memoized since it is needed
+// for the conversion of every time of a dataset
+const serviceDayStarts = {};
+
 /**
- * Helper functions to deal with time
+ * Helper functions to deal with time.
+ * Times of the datasets are expressed as seconds since noon minus 12h of the service day,
+ * as in GTFS, so that they can exceed 24 hours for the trips running past midnight.
+ * Noon minus 12h is midnight, except on the days of the DST changes, where it is one hour
+ * earlier or later, and it is always evaluated in the timezone of the agency.
  */
 export default class TimeUtils {
+  /**
+   * Default timezone of the agencies of the datasets
+   * @return {string} - IANA timezone name
+   */
+  static get defaultTimezone() {
+    return 'Europe/Amsterdam';
+  }
+
+  /**
+   * Offset of a timezone from UTC at a given instant
+   * @param  {Date} date - Instant
+   * @param  {string} timezone - IANA timezone name
+   * @return {number} - Offset in milliseconds, positive east of Greenwich
+   */
+  static timezoneOffset(date, timezone) {
+    if (!Object.prototype.hasOwnProperty.call(wallClockFormats, timezone)) {
+      wallClockFormats[timezone] = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      });
+    }
+
+    const parts = {};
+    for (const { type, value } of wallClockFormats[timezone].formatToParts(date)) {
+      parts[type] = parseInt(value, 10);
+    }
+    // Wall-clock time in the timezone, read as if it were UTC. Some engines write midnight as 24
+    const wallClockTime = Date.UTC(
+      parts.year, parts.month - 1, parts.day,
+      parts.hour % 24, parts.minute, parts.second,
+    );
+    return wallClockTime - (Math.floor(date.getTime() / 1000) * 1000);
+  }
+
+  /**
+   * Start of the service day, that is noon minus 12h of the reference date in the given timezone
+   * @param  {string} referenceDate - Reference date, in the "YYYY-MM-DD" format
+   * @param  {string} timezone - IANA timezone name
+   * @return {number} - Start of the service day, in milliseconds since the epoch
+   */
+  static serviceDayStart(referenceDate, timezone) {
+    const key = `${referenceDate}|${timezone}`;
+    if (!Object.prototype.hasOwnProperty.call(serviceDayStarts, key)) {
+      const [year, month, day] = referenceDate.split('-').map(part => parseInt(part, 10));
+      const wallClockNoon = Date.UTC(year, month - 1, day, 12);
+      // The offset is first estimated at the wall-clock noon read as UTC, and then evaluated
+      // at the noon found with it. DST changes never happen around noon, so this is exact
+      const estimatedOffset = TimeUtils.timezoneOffset(new Date(wallClockNoon), timezone);
+      const noon = wallClockNoon
+        - TimeUtils.timezoneOffset(new Date(wallClockNoon - estimatedOffset), timezone);
+      serviceDayStarts[key] = noon - (12 * 3600 * 1000);
+    }
+    return serviceDayStarts[key];
+  }
+
   /**
    * Convert the time in the proprietary format (seconds since noon minus 12h)
    * to a standardized time object
    * @param  {number} time - Time in seconds since noon minus 12h
    * @param  {string} referenceDate - Reference date contextualizing the time
+   * @param  {string} [timezone] - IANA timezone name of the agency
    * @return {Date} - Date object representing the time
    */
-  static secondsToDateObject(time, referenceDate) {
-    // Compute days, hours, minutes and seconds from the proprietary format
-    let hours = Math.floor(time / 3600);
-    const minutes = Math.floor((time % 3600) / 60);
-    const seconds = time % 60;
+  static secondsToDateObject(time, referenceDate, timezone = TimeUtils.defaultTimezone) {
+    return new Date(TimeUtils.serviceDayStart(referenceDate, timezone) + (time * 1000));
+  }
 
-    const date = new Date(referenceDate);
-    if (hours >= 24) {
-      date.setDate(date.getDate() + 1);
-      hours -= 24;
-    }
-    date.setHours(hours);
-    date.setMinutes(minutes);
-    date.setSeconds(seconds);
-    return date;
+  /**
+   * Convert a time object to the proprietary format (seconds since noon minus 12h),
+   * inverse of secondsToDateObject
+   * @param  {Date} date - Date object representing the time
+   * @param  {string} referenceDate - Reference date contextualizing the time
+   * @param  {string} [timezone] - IANA timezone name of the agency
+   * @return {number} - Time in seconds since noon minus 12h
+   */
+  static dateObjectToSeconds(date, referenceDate, timezone = TimeUtils.defaultTimezone) {
+    return Math.round((date.getTime() - TimeUtils.serviceDayStart(referenceDate, timezone)) / 1000);
+  }
+
+  /**
+   * Time of the service day of a time object, in hours since noon minus 12h
+   * @param  {Date} date - Date object representing the time
+   * @param  {string} referenceDate - Reference date contextualizing the time
+   * @param  {string} [timezone] - IANA timezone name of the agency
+   * @return {number} - Hours since noon minus 12h, with their fraction
+   */
+  static serviceHours(date, referenceDate, timezone = TimeUtils.defaultTimezone) {
+    return TimeUtils.dateObjectToSeconds(date, referenceDate, timezone) / 3600;
+  }
+
+  /**
+   * Hour of the service day of a time object, exceeding 23 past midnight
+   * @param  {Date} date - Date object representing the time
+   * @param  {string} referenceDate - Reference date contextualizing the time
+   * @param  {string} [timezone] - IANA timezone name of the agency
+   * @return {number} - Hour of the service day, e.g. 25 for 1 o'clock of the next day
+   */
+  static serviceHour(date, referenceDate, timezone = TimeUtils.defaultTimezone) {
+    return Math.floor(TimeUtils.serviceHours(date, referenceDate, timezone));
+  }
+
+  /**
+   * Convert a time string in the "HH:MM:SS" format, where the hours can exceed 24
+   * for trips that run past midnight, to the proprietary format (seconds since noon minus 12h)
+   * @param  {string} timeString - Time in the "HH:MM:SS" format
+   * @return {?number} - Time in seconds since noon minus 12h, null if the string is empty
+   */
+  static timeStringToSeconds(timeString) {
+    if (typeof timeString !== 'string' || timeString.trim() === '') return null;
+
+    const [hours, minutes, seconds = 0] = timeString.trim().split(':')
+      .map(part => parseInt(part, 10));
+    return (hours * 3600) + (minutes * 60) + seconds;
+  }
+
+  /**
+   * Convert a time in the proprietary format (seconds since noon minus 12h) to a time string
+   * in the "HH:MM:SS" format, inverse of timeStringToSeconds
+   * @param  {number} time - Time in seconds since noon minus 12h
+   * @return {string} - Time in the "HH:MM:SS" format, with hours exceeding 24 past midnight
+   */
+  static secondsToTimeString(time) {
+    const pad = value => String(value).padStart(2, '0');
+    const roundedTime = Math.round(time);
+    const hours = Math.floor(roundedTime / 3600);
+    const minutes = Math.floor((roundedTime % 3600) / 60);
+    const seconds = roundedTime % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+  }
+
+  /**
+   * Create a time formatter showing the wall-clock time in the given timezone,
+   * regardless of the timezone of the browser
+   * @param  {string} specifier - Format specifier, as in d3-time-format
+   * @param  {string} [timezone] - IANA timezone name
+   * @return {Function} - Time formatter, taking a Date object
+   */
+  static timeFormat(specifier, timezone = TimeUtils.defaultTimezone) {
+    const format = d3.utcFormat(specifier);
+    return date => format(new Date(date.getTime() + TimeUtils.timezoneOffset(date, timezone)));
   }
 }
@@ -0,0 +1,208 @@
+import * as log from 'loglevel';
+import { geoPath, geoTransform } from 'd3-geo';
+import Pbf from 'pbf';
+import { VectorTile } from '@mapbox/vector-tile';
+
+const d3 = Object.assign({}, {
+  geoPath,
+  geoTransform,
+});
+
+/**
+ * This class manages the basemap shown under the map visualization, made of the
+ * web-mercator tiles served from a local directory.
+ * Raster tiles are shown as images, vector tiles (Mapbox Vector Tiles) are drawn as paths.
+ * The basemap is drawn with the same projection used for the map elements, and the tiles
+ * are chosen basing on the current zoom transform of the map.
+ */
+export default class Basemap {
+  /**
+   * Basemap constructor
+   * @param  {Object} group - SVG group where the basemap is drawn, which the zoom
+   *   transform of the map is applied to
+   * @param  {Function} projection - Web-mercator projection of the map, unzoomed
+   * @param  {{innerWidth: number, innerHeight: number}} dims - Dimensions of the map
+   * @param  {{
+   *   type: string,
+   *   url: string,
+   *   minZoom: number,
+   *   maxZoom: number
+   * }} options - Basemap options: the type of the tiles ('raster' or 'vector'), the URL
+   *   template of the tiles containing the {z}, {x} and {y} placeholders, and the range
+   *   of zoom levels available. Beyond the maximum zoom level, its tiles are enlarged.
+   */
+  constructor(group, projection, dims, options) {
+    this.group = group;
+    this.projection = projection;
+    this.dims = dims;
+    this.options = Object.assign({ type: 'raster', minZoom: 0, maxZoom: 18 }, options);
+
+    // Features of the vector tiles by tile ID, null while loading or if missing
+    this.vectorTiles = {};
+    // The features of the tiles are drawn projecting their vertices one by one, since the
+    // spherical geometry of d3 would need a winding order of the polygons that tiles don't follow
+    this.path = d3.geoPath(d3.geoTransform({
+      point(lon, lat) {
+        this.stream.point(...projection([lon, lat]));
+      },
+    }));
+  }
+
+  /**
+   * Compute the tiles covering the visible part of the map
+   * @param  {Object} transform - Current zoom transform of the map
+   * @return {Array.<{id: string, x: number, y: number, z: number, position: Object}>} - Tiles,
+   *   with their position and size in the unzoomed coordinates of the map
+   */
+  visibleTiles(transform) {
+    // Size and position of the whole world in the unzoomed coordinates of the map
+    const worldSize = 2 * Math.PI * this.projection.scale();
+    const [translateX, translateY] = this.projection.translate();
+    const worldX = translateX - (worldSize / 2);
+    const worldY = translateY - (worldSize / 2);
+
+    // Zoom level whose 256px tiles best fit the current scale of the map
+    const z = Math.max(
+      this.options.minZoom,
+      Math.min(
+        this.options.maxZoom,
+        Math.round(Math.log2((worldSize * transform.k) / 256)),
+      ),
+    );
+    const tilesPerSide = 2 ** z;
+    const tileSize = worldSize / tilesPerSide;
+
+    // Visible part of the map in its unzoomed coordinates
+    const [minX, minY] = transform.invert([0, 0]);
+    const [maxX, maxY] = transform.invert([this.dims.innerWidth, this.dims.innerHeight]);
+    const clamp = value => Math.max(0, Math.min(tilesPerSide - 1, value));
+
+    const tiles = [];
+    for (let x = clamp(Math.floor((minX - worldX) / tileSize));
+      x <= clamp(Math.floor((maxX - worldX) / tileSize)); x += 1) {
+      for (let y = clamp(Math.floor((minY - worldY) / tileSize));
+        y <= clamp(Math.floor((maxY - worldY) / tileSize)); y += 1) {
+        tiles.push({
+          id: `${z}/${x}/${y}`,
+          x,
+          y,
+          z,
+          position: {
+            x: worldX + (x * tileSize),
+            y: worldY + (y * tileSize),
+            size: tileSize,
+          },
+        });
+      }
+    }
+    return tiles;
+  }
+
+  /**
+   * URL of a tile
+   * @param  {{x: number, y: number, z: number}} tile - Tile
+   * @return {string} - URL of the tile
+   */
+  tileURL({ x, y, z }) {
+    return this.options.url
+      .replace('{z}', z)
+      .replace('{x}', x)
+      .replace('{y}', y);
+  }
+
+  /**
+   * Draw the tiles needed for the current zoom transform of the map
+   * @param  {Object} transform - Current zoom transform of the map
+   */
+  update(transform) {
+    const tiles = this.visibleTiles(transform);
+    if (this.options.type === 'vector') {
+      this.drawVectorTiles(tiles);
+    } else {
+      this.drawRasterTiles(tiles);
+    }
+  }
+
+  /**
+   * Draw the raster tiles as images
+   * @param  {Array.<Object>} tiles - Tiles to draw
+   */
+  drawRasterTiles(tiles) {
+    const tilesSel = this.group.selectAll('image.tile')
+      .data(tiles, ({ id }) => id);
+
+    tilesSel.exit().remove();
+
+    tilesSel.enter().append('image')
+      .attr('class', 'tile')
+      .attr('href', tile => this.tileURL(tile))
+      // The tiles slightly overlap, to avoid seams between them
+      .attr('x', ({ position }) => position.x)
+      .attr('y', ({ position }) => position.y)
+      .attr('width', ({ position }) => position.size * 1.002)
+      .attr('height', ({ position }) => position.size * 1.002);
+  }
+
+  /**
+   * Draw the vector tiles as paths, loading the ones not loaded yet
+   * @param  {Array.<Object>} tiles - Tiles to draw
+   */
+  drawVectorTiles(tiles) {
+    this.currentTiles = tiles;
+
+    const tilesSel = this.group.selectAll('g.tile')
+      .data(tiles.filter(({ id }) => Array.isArray(this.vectorTiles[id])), ({ id }) => id);
+
+    tilesSel.exit().remove();
+
+    tilesSel.enter().append('g')
+      .attr('class', 'tile')
+      .selectAll('path')
+      .data(({ id }) => this.vectorTiles[id])
+      .enter()
+      .append('path')
+      .attr('class', ({ layer, geometry }) => `${layer} ${geometry.type}`)
+      .attr('d', this.path);
+
+    // Load the missing tiles, drawing them again once loaded if still visible
+    for (const tile of tiles.filter(({ id }) => typeof this.vectorTiles[id] === 'undefined')) {
+      this.vectorTiles[tile.id] = null;
+      this.loadVectorTile(tile)
+        .then((features) => {
+          this.vectorTiles[tile.id] = features;
+          if (this.currentTiles.some(({ id }) => id === tile.id)) {
+            this.drawVectorTiles(this.currentTiles);
+          }
+        })
+        .catch((error) => {
+          // Tiles can be missing, e.g. over the sea
+          log.warn(`Could not load tile ${tile.id}: ${error.message}`);
+        });
+    }
+  }
+
+  /**
+   * Load a vector tile, converting its features to GeoJSON
+   * @param  {{x: number, y: number, z: number}} tile - Tile to load
+   * @return {Promise.<Array.<Object>>} - Promise resolving to the GeoJSON features of the tile,
+   *   each one with the name of its layer in the layer property
+   */
+  loadVectorTile(tile) {
+    return fetch(this.tileURL(tile))
+      .then((response) => {
+        if (!response.ok) throw new Error(`${response.status}`);
+        return response.arrayBuffer();
+      })
+      .then((buffer) => {
+        const vectorTile = new VectorTile(new Pbf(buffer));
+        const features = [];
+        for (const [layerName, layer] of Object.entries(vectorTile.layers)) {
+          for (let i = 0; i < layer.length; i += 1) {
+            const feature = layer.feature(i).toGeoJSON(tile.x, tile.y, tile.z);
+            features.push(Object.assign(feature, { layer: layerName }));
+          }
+        }
+        return features;
+      });
+  }
+}
@@ -0,0 +1,76 @@
+import TimeUtils from '../timeutils';
+import ReportsPanel from './reportspanel';
+
+/**
+ * This class manages the cancellations dashboard, made of tables reporting the cancelled trips
+ * per line and per line and hour of the day, and the gaps in the service they caused at the stops.
+ */
+export default class CancellationsDashboard {
+  /**
+   * Cancellations dashboard constructor
+   * @param  {Object} container - D3 selection of the HTML element containing the dashboard
+   * @param  {Object} cancellations - Cancellations, see Cancellations.compute
+   * @param  {string} timezone - IANA timezone name in which the times are displayed
+   */
+  constructor(container, cancellations, timezone) {
+    this.container = container.append('div')
+      .attr('class', 'dashboard cancellations');
+    this.cancellations = cancellations;
+    this.timeFormat = TimeUtils.timeFormat('%H:%M', timezone);
+
+    const { overall } = this.cancellations;
+    this.container.append('h3').text('Cancelled trips');
+    if (overall.cancelled === 0) {
+      this.container.append('p').text('There are no cancelled trips in the dataset.');
+      return;
+    }
+    this.container.append('p')
+      .text(`${overall.cancelled} of ${overall.scheduled} trips cancelled.`);
+
+    const formatShare = share => `${(share * 100).toFixed(1)}%`;
+    const hourString = hour => `${hour}`.padStart(2, '0');
+    const countColumns = [
+      { title: 'Scheduled', value: ({ scheduled }) => scheduled },
+      { title: 'Cancelled', value: ({ cancelled }) => cancelled },
+      { title: 'Share', value: ({ share }) => formatShare(share) },
+    ];
+
+    this.container.append('h5').text('Per line');
+    ReportsPanel.drawTable(this.container, [
+      { title: 'Line', value: ({ line }) => line.code },
+      ...countColumns,
+    ], this.cancellations.byLine);
+
+    this.container.append('h5').text('Per line and hour of the day');
+    ReportsPanel.drawTable(this.container, [
+      { title: 'Line', value: ({ line }) => line.code },
+      { title: 'Hour', value: ({ hour }) => `${hourString(hour)}:00 - ${hourString(hour + 1)}:00` },
+      ...countColumns,
+    ], this.cancellations.byLineHour);
+
+    this.drawGaps();
+  }
+
+  /**
+   * Draw the table of the gaps in the service at the stops, from the longest
+   */
+  drawGaps() {
+    const formatTime = time => (time === null ? 'no service' : this.timeFormat(time));
+    this.container.append('h5').text('Gaps in the service at the stops');
+    this.container.append('p').text('Time between the departures operated before and after '
+      + 'the cancelled ones, compared to the longest scheduled headway.');
+    ReportsPanel.drawTable(this.container, [
+      { title: 'Stop', value: ({ stop }) => `${stop.name} (${stop.code})` },
+      { title: 'Line', value: ({ line, direction }) => `${line.code} - ${direction}` },
+      { title: 'From', value: ({ from }) => formatTime(from) },
+      { title: 'To', value: ({ to }) => formatTime(to) },
+      { title: 'Cancelled', value: ({ cancelledTrips }) => cancelledTrips.length },
+      { title: 'Gap', value: ({ gap }) => ReportsPanel.formatDuration(gap) },
+      {
+        title: 'Scheduled headway',
+        value: ({ scheduledHeadway }) => ReportsPanel.formatDuration(scheduledHeadway),
+      },
+    ], this.cancellations.gaps)
+      .attr('title', ({ cancelledTrips }) => `Cancelled: ${cancelledTrips.map(({ code }) => code).join(', ')}`);
+  }
+}
@@ -0,0 +1,99 @@
+import { axisLeft, axisTop } from 'd3-axis';
+import { scaleBand, scaleLinear } from 'd3-scale';
+
+import ReportsPanel from './reportspanel';
+
+const d3 = Object.assign({}, {
+  axisLeft,
+  axisTop,
+  scaleBand,
+  scaleLinear,
+});
+
+// Hours of the service day, possibly beyond 24
+const hourString = hour => `${hour}`.padStart(2, '0');
+
+/**
+ * This class manages the heatmap of the delays at the stops of a journey pattern per hour
+ * of the day, with a row per stop and a column per hour. The cells are colored from blue
+ * (early) to red (late) by either the mean or a percentile of the delays.
+ */
+export default class DelayHeatmapChart {
+  /**
+   * Delay heatmap chart constructor
+   * @param  {Object} container - D3 selection of the HTML element containing the chart
+   * @param  {Object} heatmap - Delays per stop and hour, see DelayHeatmap.compute
+   * @param  {Function} cellClickCallback - Callback receiving the cell clicked
+   */
+  constructor(container, heatmap, cellClickCallback) {
+    this.heatmap = heatmap;
+    const rowHeight = 14;
+    // Width in the units of the viewBox, the height following from the number of stops
+    this.dims = {
+      width: 600,
+      margin: {
+        top: 25,
+        right: 10,
+        bottom: 5,
+        left: 140,
+      },
+    };
+    this.dims.innerWidth = this.dims.width - this.dims.margin.left - this.dims.margin.right;
+    this.dims.innerHeight = this.heatmap.stops.length * rowHeight;
+    this.dims.height = this.dims.innerHeight + this.dims.margin.top + this.dims.margin.bottom;
+
+    const svg = container.append('svg')
+      .attr('class', 'delay-heatmap')
+      .attr('viewBox', `0 0 ${this.dims.width} ${this.dims.height}`);
+    const g = svg.append('g')
+      .attr('transform', `translate(${this.dims.margin.left},${this.dims.margin.top})`);
+
+    this.xScale = d3.scaleBand()
+      .domain(this.heatmap.hours)
+      .range([0, this.dims.innerWidth])
+      .padding(0.05);
+    this.yScale = d3.scaleBand()
+      .domain(this.heatmap.stops.map((_, stopIndex) => stopIndex))
+      .range([0, this.dims.innerHeight])
+      .padding(0.05);
+    g.append('g')
+      .attr('class', 'hours-axis')
+      .call(d3.axisTop(this.xScale).tickFormat(hourString));
+    g.append('g')
+      .attr('class', 'stops-axis')
+      .call(d3.axisLeft(this.yScale).tickFormat(stopIndex => this.heatmap.stops[stopIndex].name));
+
+    this.cellsSel = g.append('g')
+      .attr('class', 'cells')
+      .selectAll('rect')
+      .data(this.heatmap.cells)
+      .enter()
+      .append('rect')
+      .attr('x', ({ hour }) => this.xScale(hour))
+      .attr('y', ({ stopIndex }) => this.yScale(stopIndex))
+      .attr('width', this.xScale.bandwidth())
+      .attr('height', this.yScale.bandwidth())
+      .on('click', cell => cellClickCallback(cell));
+    this.cellsSel.append('title');
+  }
+
+  /**
+   * Color the cells according to a statistic of their delays
+   * @param  {string} statistic - Either "mean" or "percentile"
+   */
+  draw(statistic) {
+    // Colors symmetric around the delay 0, up to the largest delay
+    const maxDelay = Math.max(1, ...this.heatmap.cells.map(cell => Math.abs(cell[statistic])));
+    const colorScale = d3.scaleLinear()
+      .domain([-maxDelay, 0, maxDelay])
+      .range(['steelblue', 'white', 'crimson']);
+    const statisticName = statistic === 'mean' ? 'Mean' : `P${this.heatmap.percentile}`;
+
+    this.cellsSel
+      .attr('fill', cell => colorScale(cell[statistic]))
+      .select('title')
+      .text(cell => `${cell.stop.name}, ${hourString(cell.hour)}:00 - ${hourString(cell.hour + 1)}:00\n`
+        + `${statisticName} delay: ${ReportsPanel.formatDuration(cell[statistic])}\n`
+        + `${cell.count} vehicles`);
+  }
+}
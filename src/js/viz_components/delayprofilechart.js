@@ -0,0 +1,140 @@
+import { axisBottom, axisLeft, axisTop } from 'd3-axis';
+import { scaleLinear } from 'd3-scale';
+import { area, line } from 'd3-shape';
+import { flatten } from 'lodash';
+
+import ReportsPanel from './reportspanel';
+
+const d3 = Object.assign({}, {
+  area,
+  axisBottom,
+  axisLeft,
+  axisTop,
+  line,
+  scaleLinear,
+});
+
+/**
+ * This class manages the chart of the delay profiles of the trips of a journey pattern:
+ * the delay against the distance along the journey pattern, with the stops marked on top.
+ * It shows either the profiles of a single trip, or the profiles of all the trips in the
+ * background with their median delay over the percentile bands.
+ */
+export default class DelayProfileChart {
+  /**
+   * Delay profile chart constructor
+   * @param  {Object} container - D3 selection of the HTML element containing the chart
+   * @param  {JourneyPattern} journeyPattern - Journey pattern of the trips
+   */
+  constructor(container, journeyPattern) {
+    this.journeyPattern = journeyPattern;
+    // Dimensions in the units of the viewBox, the stylesheet fitting the chart to the width
+    // of the report while keeping its aspect ratio
+    this.dims = {
+      width: 600,
+      height: 300,
+      margin: {
+        top: 30,
+        right: 15,
+        bottom: 25,
+        left: 45,
+      },
+    };
+    this.dims.innerWidth = this.dims.width - this.dims.margin.left - this.dims.margin.right;
+    this.dims.innerHeight = this.dims.height - this.dims.margin.top - this.dims.margin.bottom;
+
+    const svg = container.append('svg')
+      .attr('class', 'delay-profile')
+      .attr('viewBox', `0 0 ${this.dims.width} ${this.dims.height}`);
+    const g = svg.append('g')
+      .attr('transform', `translate(${this.dims.margin.left},${this.dims.margin.top})`);
+    this.g = {
+      stopsAxis: g.append('g').attr('class', 'stops-axis'),
+      distanceAxis: g.append('g')
+        .attr('class', 'distance-axis')
+        .attr('transform', `translate(0,${this.dims.innerHeight})`),
+      delayAxis: g.append('g').attr('class', 'delay-axis'),
+      bands: g.append('g').attr('class', 'bands'),
+      trips: g.append('g').attr('class', 'trips'),
+      median: g.append('g').attr('class', 'median'),
+    };
+
+    const { distances, stops } = this.journeyPattern;
+    this.xScale = d3.scaleLinear()
+      .domain([distances[0], distances[distances.length - 1]])
+      .range([0, this.dims.innerWidth]);
+    this.yScale = d3.scaleLinear()
+      .range([this.dims.innerHeight, 0]);
+
+    this.g.stopsAxis.call(d3.axisTop(this.xScale)
+      .tickSize(-this.dims.innerHeight)
+      .tickValues(distances)
+      .tickFormat((_, index) => stops[index].code));
+    this.g.stopsAxis.selectAll('.tick')
+      .append('title')
+      .text((_, index) => stops[index].name);
+    this.g.distanceAxis.call(d3.axisBottom(this.xScale)
+      .ticks(5)
+      .tickFormat(distance => `${distance / 1000} km`));
+  }
+
+  /**
+   * Draw delay profiles
+   * @param  {{
+   *   trips: Array.<{points: Array.<{distance: number, delay: number}>}>,
+   *   samples: Array.<{median: number, bands: Array.<{lower: number, upper: number}>}>
+   * }} profiles - Profiles of the trips, see DelayProfile.trip, and the samples of their
+   *   distribution, see DelayProfile.aggregate. Without samples, the trips are highlighted
+   */
+  draw({ trips, samples = [] }) {
+    const delays = [
+      0,
+      ...flatten(trips.map(({ points }) => points.map(({ delay }) => delay))),
+    ];
+    this.yScale
+      .domain([Math.min(...delays), Math.max(...delays)])
+      .nice();
+    this.g.delayAxis.call(d3.axisLeft(this.yScale)
+      .ticks(6)
+      .tickSize(-this.dims.innerWidth)
+      .tickFormat(ReportsPanel.formatDuration));
+    this.g.delayAxis.selectAll('.tick')
+      .classed('zero', delay => delay === 0);
+
+    const tripLine = d3.line()
+      .x(({ distance }) => this.xScale(distance))
+      .y(({ delay }) => this.yScale(delay));
+    const tripsSel = this.g.trips.selectAll('path')
+      .data(trips);
+    tripsSel.exit().remove();
+    tripsSel.enter()
+      .append('path')
+      .merge(tripsSel)
+      .attr('class', samples.length ? 'trip background' : 'trip')
+      .attr('d', ({ points }) => tripLine(points));
+
+    const bandArea = index => d3.area()
+      .x(({ distance }) => this.xScale(distance))
+      .y0(({ bands }) => this.yScale(bands[index].lower))
+      .y1(({ bands }) => this.yScale(bands[index].upper));
+    const bandsSel = this.g.bands.selectAll('path')
+      .data(samples.length ? samples[0].bands : []);
+    bandsSel.exit().remove();
+    bandsSel.enter()
+      .append('path')
+      .attr('class', 'band')
+      .merge(bandsSel)
+      .attr('d', (_, index) => bandArea(index)(samples));
+
+    const medianLine = d3.line()
+      .x(({ distance }) => this.xScale(distance))
+      .y(({ median }) => this.yScale(median));
+    const medianSel = this.g.median.selectAll('path')
+      .data(samples.length ? [samples] : []);
+    medianSel.exit().remove();
+    medianSel.enter()
+      .append('path')
+      .merge(medianSel)
+      .attr('d', medianLine);
+  }
+}
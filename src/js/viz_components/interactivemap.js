@@ -1,12 +1,22 @@
 import * as log from 'loglevel';
-import { zoom } from 'd3-zoom';
+import { zoom, zoomIdentity } from 'd3-zoom';
 import { select, event as d3event } from 'd3-selection';
+import { geoMercator } from 'd3-geo';
+import { line } from 'd3-shape';
+import { scaleLinear, scaleSqrt } from 'd3-scale';
 
 import Point from '../models/point';
+import GeoUtils from '../geoutils';
+import Basemap from './basemap';
 
 const d3 = Object.assign({}, {
   zoom,
+  zoomIdentity,
   select,
+  geoMercator,
+  line,
+  scaleLinear,
+  scaleSqrt,
 });
 
 /**
@@ -30,9 +40,20 @@ export default class InteractiveMap {
     this.mapGroup.attr('clip-path', 'url(#clip-path-map)');
 
     this.createGroups();
-    this.computeCoordinatesMapping();
+    this.computeProjection();
     this.setupZoom();
 
+    // Optional basemap made of the tiles of a local directory
+    if (this.options.basemap) {
+      this.basemap = new Basemap(
+        this.basemapGroup,
+        this.projection,
+        this.dims,
+        this.options.basemap,
+      );
+      this.basemap.update(d3.zoomIdentity);
+    }
+
     this.draw();
   }
 
@@ -51,8 +72,12 @@ export default class InteractiveMap {
       // Keep a 20px margin
       .extent([[-20, -20], [this.dims.innerWidth + 20, this.dims.innerHeight + 20]])
       .translateExtent([[-20, -20], [this.dims.innerWidth + 20, this.dims.innerHeight + 20]])
-      // Zoom only the elements group
-      .on('zoom', () => { this.elementsGroup.attr('transform', d3event.transform); });
+      // Zoom only the elements and basemap groups, loading the tiles needed for the new zoom
+      .on('zoom', () => {
+        this.elementsGroup.attr('transform', d3event.transform);
+        this.basemapGroup.attr('transform', d3event.transform);
+        if (this.basemap) this.basemap.update(d3event.transform);
+      });
 
     overlay.call(zoomBehaviour);
   }
@@ -83,6 +108,9 @@ export default class InteractiveMap {
     // one that will be affected by the zoom behaviour.
     // The idea is that the overlay that listens to the zoom events should
     // be separated from the elements on which the zoom is applied, to avoid a feedback loop.
+    // The basemap, if any, is drawn under all the elements.
+    this.basemapGroup = this.mapGroup.append('g')
+      .attr('class', 'basemap');
     this.elementsGroup = this.mapGroup.append('g');
 
     this.linksGroup = this.elementsGroup.append('g')
@@ -97,70 +125,31 @@ export default class InteractiveMap {
 
 
   /**
-   * Computes the information needed to map a point in the Dutch grid to a point in the canvas
+   * Computes the web-mercator projection that fits the stops in the canvas
    */
-  computeCoordinatesMapping() {
-    // First, we find the minimum and maximum coordinates of the stops in the grid
-    this.stopsMinX = Number.MAX_VALUE;
-    this.stopsMinY = Number.MAX_VALUE;
-    this.stopsMaxX = Number.MIN_VALUE;
-    this.stopsMaxY = Number.MIN_VALUE;
-
-    // Iterate over all the stops first to find stopsMinX, stopsMinY, stopsMaxX, stopsMaxY
-    for (const { position } of this.data.stops) {
-      if (position.x < this.stopsMinX) this.stopsMinX = position.x;
-      if (position.y < this.stopsMinY) this.stopsMinY = position.y;
-      if (position.x > this.stopsMaxX) this.stopsMaxX = position.x;
-      if (position.y > this.stopsMaxY) this.stopsMaxY = position.y;
-    }
-
-    // Find out the aspect ratio of the rectangle containing all the stops
-    // and of the canvas
-    this.stopsGridAspectRatio = (this.stopsMaxX - this.stopsMinX)
-                                / (this.stopsMaxY - this.stopsMinY);
-    this.mapAspectRatio = this.dims.innerWidth / this.dims.innerHeight;
+  computeProjection() {
+    const stopsCoordinates = this.data.stops.map(({ position }) => {
+      const { lat, lon } = GeoUtils.rdToWGS84(position.x, position.y);
+      return [lon, lat];
+    });
+
+    this.projection = d3.geoMercator()
+      .fitExtent(
+        [[0, 0], [this.dims.innerWidth, this.dims.innerHeight]],
+        { type: 'MultiPoint', coordinates: stopsCoordinates },
+      );
   }
 
   /**
-   * Maps a position in the Dutch grid to a position in the canvas
-   * maximizing the dimension of the rectangle containing the stops but maintaining
-   * the original aspect ratio.
+   * Maps a position in the Dutch grid to a position in the canvas,
+   * converting it to WGS84 and projecting it with the web-mercator projection of the map
    * @param  {Point} point - The point in Dutch grid coordinates to map to the canvas coordinates
    * @return {Point} The point with coordinates in the canvas
    */
   mapToCanvas(point) {
-    if (this.stopsGridAspectRatio > this.mapAspectRatio) {
-      // Width is constrained to fit in the width of the canvas
-      // Height is adapted consequently, keeping the same aspect ratio
-      const verticalCenteringAdjustment = (this.dims.innerHeight
-                                          - (this.dims.innerWidth / this.stopsGridAspectRatio))
-                                          / 2;
-      const mappedPoint = new Point(
-        ((point.x - this.stopsMinX) * this.dims.innerWidth)
-        / (this.stopsMaxX - this.stopsMinX),
-        (((point.y - this.stopsMinY) * (this.dims.innerWidth / this.stopsGridAspectRatio))
-        / (this.stopsMaxY - this.stopsMinY)) + verticalCenteringAdjustment,
-      );
-
-      // Mirror along horizontal axis
-      mappedPoint.y = this.dims.innerHeight - mappedPoint.y;
-      return mappedPoint;
-    }
-
-    // Height is constrained to fit the height of the canvas
-    // Width is adapted consequently, keeping the same aspect ratio
-    const horizontalCenteringAdjustment = (this.dims.innerWidth
-                                          - (this.dims.innerHeight * this.stopsGridAspectRatio))
-                                          / 2;
-    const mappedPoint = new Point(
-      (((point.x - this.stopsMinX) * (this.dims.innerHeight * this.stopsGridAspectRatio))
-      / (this.stopsMaxX - this.stopsMinX)) + horizontalCenteringAdjustment,
-      ((point.y - this.stopsMinY) * this.dims.innerHeight)
-      / (this.stopsMaxY - this.stopsMinY),
-    );
-
-    mappedPoint.y = this.dims.innerHeight - mappedPoint.y;
-    return mappedPoint;
+    const { lat, lon } = GeoUtils.rdToWGS84(point.x, point.y);
+    const [x, y] = this.projection([lon, lat]);
+    return new Point(x, y);
   }
 
   /**
@@ -252,19 +241,26 @@ export default class InteractiveMap {
   }
 
   /**
-   * Draws the links
+   * Draws the links, following their geometry when known,
+   * otherwise as straight lines between the centers of the stop areas
    */
   drawLinks() {
+    const linkPathGenerator = d3.line()
+      .x(({ x }) => x)
+      .y(({ y }) => y);
+
     // Link selection
-    const linkSel = this.linksGroup.selectAll('line.link')
+    const linkSel = this.linksGroup.selectAll('path.link')
       .data(
         // Similarly to what we did for stops and stopAreas, we
-        // transform the segment to canvas position from Dutch grid
+        // transform the points of the link to canvas position from Dutch grid
         // before binding it to the selection (and therefore drawing it)
-        this.data.links.map(({ linkID, stop1, stop2 }) => ({
-          linkID,
-          stopArea1center: this.mapToCanvas(stop1.area.center),
-          stopArea2center: this.mapToCanvas(stop2.area.center),
+        this.data.links.map(stopsLink => ({
+          linkID: stopsLink.linkID,
+          points: (stopsLink.hasGeometry
+            ? stopsLink.geometry
+            : [stopsLink.stop1.area.center, stopsLink.stop2.area.center])
+            .map(point => this.mapToCanvas(point)),
         })),
         ({ linkID }) => linkID,
       );
@@ -273,22 +269,78 @@ export default class InteractiveMap {
     linkSel.exit().remove();
 
     // Link enter
-    linkSel.enter().append('line')
+    linkSel.enter().append('path')
       .attr('class', 'link')
       .attr('data-link-id', ({ linkID }) => linkID)
       .on('click', (link) => { log.info(link); })
       // Link enter + update
       .merge(linkSel)
-      .attr('x1', ({ stopArea1center }) => stopArea1center.x)
-      .attr('y1', ({ stopArea1center }) => stopArea1center.y)
-      .attr('x2', ({ stopArea2center }) => stopArea2center.x)
-      .attr('y2', ({ stopArea2center }) => stopArea2center.y);
+      .attr('d', ({ points }) => linkPathGenerator(points));
+  }
+
+  /**
+   * Show the frequency of the service over the links: the more trips are scheduled per hour
+   * over a link, the thicker it is, and the more of them are operated, the darker it is
+   * @param  {?Object.<string, {
+   *   stopsLink: StopsLink,
+   *   scheduledPerHour: number,
+   *   operatedPerHour: number
+   * }>} linksFrequency - Trips per hour over the links with service, by link ID, see
+   *   LinkFrequency.inWindow. The other links are drawn as usual, and all of them if null
+   * @return {?{widthScale: Function, colorScale: Function}} - Scales of the width and color
+   *   of the links from their number of trips per hour
+   */
+  setLinksFrequency(linksFrequency) {
+    const linksSel = this.linksGroup.selectAll('path.link');
+    if (linksFrequency === null) {
+      linksSel
+        .style('stroke', null)
+        .style('stroke-width', null)
+        .selectAll('title')
+        .remove();
+      return null;
+    }
+
+    // Same domain for the scheduled and operated trips, so that a link thick but light
+    // has much of its service not operated
+    const maxPerHour = Math.max(
+      1,
+      ...Object.values(linksFrequency).map(({ scheduledPerHour }) => scheduledPerHour),
+    );
+    const widthScale = d3.scaleSqrt()
+      .domain([0, maxPerHour])
+      .range([0.5, 4]);
+    const colorScale = d3.scaleLinear()
+      .domain([0, maxPerHour])
+      .range(['lightsteelblue', 'midnightblue']);
+    const frequencyOf = ({ linkID }) => linksFrequency[linkID];
+
+    linksSel
+      .style('stroke', link => (frequencyOf(link)
+        ? colorScale(frequencyOf(link).operatedPerHour)
+        : null))
+      .style('stroke-width', link => (frequencyOf(link)
+        ? `${widthScale(frequencyOf(link).scheduledPerHour)}px`
+        : null));
+
+    const titlesSel = linksSel.selectAll('title')
+      .data(link => (frequencyOf(link) ? [frequencyOf(link)] : []));
+    titlesSel.exit().remove();
+    titlesSel.enter()
+      .append('title')
+      .merge(titlesSel)
+      .text(({ stopsLink, scheduledPerHour, operatedPerHour }) => `${stopsLink.stop1.name} - ${stopsLink.stop2.name}\n`
+        + `${scheduledPerHour.toFixed(1)} trips per hour scheduled, ${operatedPerHour.toFixed(1)} operated`);
+
+    return { widthScale, colorScale };
   }
 
   /**
    * Draw the trips
+   * @param {Set.<string>} [tripsCodes] - Codes of the trips to draw again, if only some of them
+   *   changed. The trips that appear are drawn anyway
    */
-  drawTrips() {
+  drawTrips(tripsCodes = null) {
     // Trip selection
     const tripsSel = this.tripsGroup.selectAll('g.trip')
       .data(this.data.trips, ({ code }) => code);
@@ -297,12 +349,19 @@ export default class InteractiveMap {
     tripsSel.exit().remove();
 
     // Trip enter
-    tripsSel.enter().append('g')
+    const tripsEnterSel = tripsSel.enter().append('g')
       .attr('class', 'trip')
-      .attr('data-code', ({ code }) => code);
+      .attr('data-code', ({ code }) => code)
+      // Cancelled trips are drawn as ghosts, see the style sheet
+      .classed('cancelled', ({ cancelled }) => cancelled);
+
+    // Trip enter + update, limited to the trips to draw again
+    const tripsEnterUpdateSel = tripsCodes === null
+      ? tripsEnterSel.merge(tripsSel)
+      : tripsEnterSel.merge(tripsSel.filter(({ code }) => tripsCodes.has(code)));
 
     // Trip > vehicle selection
-    const vehicles = tripsSel.selectAll('g.vehicle')
+    const vehicles = tripsEnterUpdateSel.selectAll('g.vehicle')
       .data(({ vehiclePositions }) => vehiclePositions
         .map(({ vehicleNumber, position, status }) => ({
           vehicleNumber,
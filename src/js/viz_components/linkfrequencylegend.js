@@ -0,0 +1,63 @@
+/**
+ * This class manages the legend of the frequency of the service over the links of the map,
+ * in the bottom right of the screen, with the window of hours of the day it is computed for.
+ * Changing the window calls back to show the frequency in the new one.
+ */
+export default class LinkFrequencyLegend {
+  /**
+   * Link frequency legend constructor
+   * @param  {Object} container - D3 selection of the HTML element containing the legend
+   * @param  {{fromHour: number, toHour: number}} window - Initial window of hours of the
+   *   service day, the last hour excluded
+   * @param  {Function} windowChangeCallback - Callback receiving the first and last hours
+   *   of the new window
+   */
+  constructor(container, { fromHour, toHour }, windowChangeCallback) {
+    this.legend = container.append('div')
+      .attr('class', 'frequency-legend');
+    this.legend.append('strong').text('Trips per hour');
+
+    const windowSel = this.legend.append('div')
+      .attr('class', 'frequency-window');
+    const hourInput = (label, value) => windowSel.append('label')
+      .text(label)
+      .append('input')
+      .attr('type', 'number')
+      .attr('min', 0)
+      .attr('max', 30)
+      .property('value', value);
+    const fromInput = hourInput('From ', fromHour);
+    const toInput = hourInput(' to ', toHour);
+    const windowChanged = () => {
+      const from = parseInt(fromInput.property('value'), 10);
+      const to = parseInt(toInput.property('value'), 10);
+      if (!Number.isNaN(from) && !Number.isNaN(to) && from < to) windowChangeCallback(from, to);
+    };
+    fromInput.on('change', windowChanged);
+    toInput.on('change', windowChanged);
+
+    this.legend.append('p')
+      .text('Thicker links have more trips scheduled, darker ones more trips operated');
+    this.colorsSel = this.legend.append('ul');
+  }
+
+  /**
+   * Update the legend with the scales of the links drawn on the map
+   * @param  {{colorScale: Function}} scales - Scales of the links, see
+   *   InteractiveMap.setLinksFrequency
+   */
+  update({ colorScale }) {
+    const [, maxPerHour] = colorScale.domain();
+    const itemsSel = this.colorsSel.selectAll('li')
+      .data([0, maxPerHour / 2, maxPerHour]);
+    const itemsEnterSel = itemsSel.enter().append('li');
+    itemsEnterSel.append('span').attr('class', 'swatch');
+    itemsEnterSel.append('span').attr('class', 'value');
+
+    const itemsEnterUpdateSel = itemsEnterSel.merge(itemsSel);
+    itemsEnterUpdateSel.select('span.swatch')
+      .style('background', perHour => colorScale(perHour));
+    itemsEnterUpdateSel.select('span.value')
+      .text(perHour => `${perHour.toFixed(1)} operated`);
+  }
+}
@@ -1,4 +1,4 @@
-import { timeParse, timeFormat } from 'd3-time-format';
+import { timeParse } from 'd3-time-format';
 import { scaleLinear, scaleTime } from 'd3-scale';
 import { axisLeft, axisTop, axisRight } from 'd3-axis';
 import { timeMinute, timeSecond } from 'd3-time';
@@ -8,9 +8,11 @@ import { zoom, zoomIdentity } from 'd3-zoom';
 import { brushY } from 'd3-brush';
 import { flatten } from 'lodash';
 
+import RealtimeCleaner from '../realtimecleaner';
+import TimeUtils from '../timeutils';
+
 const d3 = Object.assign({}, {
   timeParse,
-  timeFormat,
   scaleLinear,
   scaleTime,
   axisLeft,
@@ -36,12 +38,18 @@ export default class MareyDiagram {
    * @param {{diagram: Object, scroll: Object, stopSelection: Object}} svgGroups - SVG groups
    *   for the diagram, the scroll and the stop selection
    * @param {Object} dims - Dimensions of the diagram
+   * @param {string} timezone - IANA timezone name in which the times are displayed
    * @param {Function} changeCallback - Callback for the time change
    */
-  constructor(journeyPatternMix, svgGroups, dims, changeCallback) {
+  constructor(journeyPatternMix, svgGroups, dims, timezone, changeCallback) {
     this.journeyPatternMix = journeyPatternMix;
     this.g = svgGroups;
     this.dims = dims;
+    this.timezone = timezone;
+    // Whether the diagram follows the current time, in live mode
+    this.followingNow = false;
+    // Codes of the trips highlighted, see focusOnTrips
+    this.focusedTripsCodes = new Set();
 
     // Compute information needed to draw the trips
     this.trips = this.computeTrips();
@@ -81,7 +89,7 @@ export default class MareyDiagram {
    */
   initialSetup(changeCallback) {
     // Time formatter for the timeline tooltip
-    this.timelineTimeFormat = d3.timeFormat('%H:%M:%S');
+    this.timelineTimeFormat = TimeUtils.timeFormat('%H:%M:%S', this.timezone);
 
     this.computeTimeBoundaries();
 
@@ -140,8 +148,10 @@ export default class MareyDiagram {
    * @return {Function} - Time formatter
    */
   get yAxisTimeFormatter() {
-    if (this.secondsInSelectedDomain < 15 * 60) return d3.timeFormat('%H:%M:%S');
-    return d3.timeFormat('%H:%M');
+    if (this.secondsInSelectedDomain < 15 * 60) {
+      return TimeUtils.timeFormat('%H:%M:%S', this.timezone);
+    }
+    return TimeUtils.timeFormat('%H:%M', this.timezone);
   }
 
   /**
@@ -168,8 +178,7 @@ export default class MareyDiagram {
       .on('brush end', () => { this.brushed(); });
 
     // Select the first two hours in the domain in the beginning
-    let [initialEndTime] = this.yScrollScale.domain();
-    initialEndTime.setHours(initialEndTime.getHours() + 2);
+    let initialEndTime = d3.timeMinute.offset(this.yScrollScale.domain()[0], 120);
     // If the total domain is less than two hours, select the entire domain
     if (initialEndTime > this.yScrollScale.domain()[1]) {
       [, initialEndTime] = this.yScrollScale.domain();
@@ -197,6 +206,9 @@ export default class MareyDiagram {
     // the two parts, but we don't want to handle the brush as usual in that case
     if (d3event.sourceEvent && d3event.sourceEvent.type === 'zoom') return;
 
+    // A selection made by the user stops following the current time
+    if (d3event.sourceEvent) this.followingNow = false;
+
     // Get the brush selection
     const { selection } = d3event;
 
@@ -289,16 +301,26 @@ export default class MareyDiagram {
       }
     }
 
+    this.selectStops(newDomain[0].index, newDomain[1].index, transitionDuration);
+  }
+
+  /**
+   * Show a range of stops of the reference journey pattern, updating the stop selection
+   * @param {number} firstStopIndex - Index of the first stop of the range
+   * @param {number} lastStopIndex - Index of the last stop of the range
+   * @param {number} transitionDuration - Duration of the transition
+   */
+  selectStops(firstStopIndex, lastStopIndex, transitionDuration = 500) {
+    const { distances } = this.journeyPatternMix.referenceJP;
+    const newDomain = [distances[firstStopIndex], distances[lastStopIndex]];
+
     // Update the selection
     this.g.stopSelection
       .transition().duration(transitionDuration)
-      .call(
-        this.stopSelectionBehavior.move,
-        newDomain.map(({ distance }) => distance).map(this.yStopSelScale),
-      );
+      .call(this.stopSelectionBehavior.move, newDomain.map(this.yStopSelScale));
 
     // Update the Marey x scale domain
-    this.xScale.domain(newDomain.map(({ distance }) => distance));
+    this.xScale.domain(newDomain);
 
     // Update the x axis
     this.drawXAxis(transitionDuration);
@@ -327,6 +349,9 @@ export default class MareyDiagram {
       // but we don't want to handle the zoom in that case.
       if (['brush', 'end'].includes(d3event.sourceEvent.type)) return;
 
+      // Panning or zooming stops following the current time
+      this.followingNow = false;
+
       // If the event is triggered by the scroll of the mouse wheel and the shift key
       // is not pressed, we interpret it as PAN
       if (d3event.sourceEvent.type === 'wheel' && !d3event.sourceEvent.shiftKey) {
@@ -446,6 +471,15 @@ export default class MareyDiagram {
     this.tripsG = this.g.diagram.append('g')
       .attr('class', 'trips')
       .attr('clip-path', 'url(#clip-path-trips)');
+    this.bunchingG = this.g.diagram.append('g')
+      .attr('class', 'bunching-events')
+      .attr('clip-path', 'url(#clip-path-trips)');
+    this.connectionG = this.g.diagram.append('g')
+      .attr('class', 'connection')
+      .attr('clip-path', 'url(#clip-path-trips)');
+    this.dwellG = this.g.diagram.append('g')
+      .attr('class', 'dwell-times')
+      .attr('clip-path', 'url(#clip-path-trips)');
     this.timelineG = this.g.diagram.append('g')
       .attr('class', 'timeline');
   }
@@ -597,17 +631,62 @@ export default class MareyDiagram {
   }
 
   /**
-   * Given a sequence of realtime positions, finds groups of positions that share status
-   * and prognosis
+   * Start following the current time: the selected domain is moved so that the current time
+   * is shown, and the timeline is kept on the current time at every update,
+   * until the user pans or zooms the diagram
+   * @param  {Date} now - Current time
+   */
+  followNow(now) {
+    this.followingNow = true;
+    this.updateNow(now, true);
+  }
+
+  /**
+   * Update the current time shown by the diagram, if following it.
+   * To avoid redrawing all the trips at every update, the selected domain is moved only
+   * when the current time gets past three quarters of it, so that it is then at one quarter
+   * @param  {Date} now - Current time
+   * @param  {boolean} [moveDomain] - Whether to move the selected domain in any case
+   */
+  updateNow(now, moveDomain = false) {
+    if (!this.followingNow) return;
+
+    const [minShownTime, maxShownTime] = this.yScale.domain();
+    const shownDuration = maxShownTime - minShownTime;
+    if (moveDomain || now < minShownTime || now > minShownTime.getTime() + (shownDuration * 0.75)) {
+      // Keep the selected domain within the original domain
+      const [minTime, maxTime] = this.yScrollScale.domain();
+      const start = Math.max(
+        minTime.getTime(),
+        Math.min(now - (shownDuration * 0.25), maxTime - shownDuration),
+      );
+      this.g.scroll.call(
+        this.brushBehaviour.move,
+        [new Date(start), new Date(start + shownDuration)].map(this.yScrollScale),
+      );
+    }
+
+    const [newMinShownTime, newMaxShownTime] = this.yScale.domain();
+    if (newMinShownTime <= now && now <= newMaxShownTime) {
+      this.timelineG.attr('transform', `translate(0,${this.yScale(now)})`);
+      this.timelineG.select('text').text(this.timelineTimeFormat(now));
+    }
+  }
+
+  /**
+   * Given a sequence of realtime positions, finds groups of positions that share status,
+   * prognosis and cleaning flag
    * @param {Array.<{
    *  time: Date,
    *  distance: number,
    *  status: string,
-   *  prognosed: boolean}
+   *  prognosed: boolean,
+   *  flag: ?string}
    * >} sequence - Sequence of positions
    * @returns {Array.<{
    *  status: string,
    *  prognosis: boolean,
+   *  flag: ?string,
    *  positions: Array.<{time: Date, distance: number}>}
    * >} - Positions grouped by similarity
    */
@@ -615,22 +694,38 @@ export default class MareyDiagram {
     const realtimePaths = {
       pathsList: [],
       startNewSequence: function f(position) {
-        const { status, prognosed, ...barePosition } = position;
-        this.pathsList.push({ status, prognosed, positions: [barePosition] });
+        const {
+          status,
+          prognosed,
+          flag,
+          ...barePosition
+        } = position;
+        this.pathsList.push({
+          status,
+          prognosed,
+          flag,
+          positions: [barePosition],
+        });
       },
       addToLastSequence: function f(position) {
-        const { status, prognosed, ...barePosition } = position;
+        const {
+          status,
+          prognosed,
+          flag,
+          ...barePosition
+        } = position;
         this.pathsList[this.pathsList.length - 1].positions.push(barePosition);
       },
       addPosition: function f(newPosition) {
         // If this is the first position we see, start a new sequence
         if (this.pathsList.length === 0) this.startNewSequence(newPosition);
         else {
-          // If the status or prognosis of the new position are different from the
-          // ones of the last sequence added, start a new sequence. Otherwise continue it.
+          // If the status, prognosis or cleaning flag of the new position are different from
+          // the ones of the last sequence added, start a new sequence. Otherwise continue it.
           const lastAddedPath = this.pathsList[this.pathsList.length - 1];
           const breakCondition = (newPosition.prognosed !== lastAddedPath.prognosed
-            || newPosition.status !== lastAddedPath.status);
+            || newPosition.status !== lastAddedPath.status
+            || newPosition.flag !== lastAddedPath.flag);
 
           this.addToLastSequence(newPosition);
           if (breakCondition) this.startNewSequence(newPosition);
@@ -659,127 +754,289 @@ export default class MareyDiagram {
   computeTrips() {
     // Compute drawing information for the trips of the reference journey pattern
     const trips = this.journeyPatternMix.referenceJP.vehicleJourneys
-      .map(({ code, staticSchedule, firstAndLastTimes, realTimeData }) => ({
-        code,
-        // For the reference journey pattern there is only one sequence
-        staticSequences: [staticSchedule.map(({ time, distance }) => ({ time, distance }))],
-        realtimeSequences: realTimeData.map(({ vehicleNumber, positions }) => ({
-          vehicleNumber,
-          // Again, only one sequence per vehicle for the reference journey pattern
-          sequences: [positions.map(({ time, distanceFromStart, status, prognosed }) => ({
-            time,
-            distance: distanceFromStart,
-            status,
-            prognosed,
-          }))],
-        })),
-        firstAndLastTimes,
-      }));
+      .map(vehicleJourney => MareyDiagram.computeReferenceTrip(vehicleJourney));
 
     // Then compute the trip drawing information for the other journey patterns that share
     // at least one link with the reference JP
     for (const otherJP of this.journeyPatternMix.otherJPs) {
       // Iterate over the trips of the journey pattern
       for (const vehicleJourney of otherJP.journeyPattern.vehicleJourneys) {
-        // Min and max time of every static/realtime position of the current journey,
-        // only for the shared segments
-        let minTime = null;
-        let maxTime = null;
-
-        // Update min and max time boundaries
-        const updateTimeBoundaries = (time) => {
-          if (minTime === null || time < minTime) minTime = time;
-          if (maxTime === null || time > maxTime) maxTime = time;
-        };
-
-        const staticSequences = [];
-        // For each trip of the "other" journey patterns, iterate over the sequences
-        // shared with the reference journey pattern and add the corresponding "timinglinks"
-        const { referenceSequences, otherSequences } = otherJP.sharedSequences;
-        for (let i = 0; i < referenceSequences.length; i += 1) {
-          const refSequence = referenceSequences[i];
-          const otherSequence = otherSequences[i];
-
-          staticSequences.push(refSequence.map((refIndex, j) => {
-            // Index is multiplied by 2 because times array is twice the length as the distances one
-            const time = vehicleJourney.times[otherSequence[j] * 2];
-            updateTimeBoundaries(time);
-            return {
-              time,
-              distance: this.journeyPatternMix.referenceJP.distances[refIndex],
-            };
-          }));
-        }
+        trips.push(this.computeOtherTrip(vehicleJourney, otherJP));
+      }
+    }
+
+    return trips;
+  }
 
-        const realtimeSequences = [];
-        // Iterate over each of the real time vehicles
-        for (const { vehicleNumber, positions } of vehicleJourney.realTimeData) {
-          const vehicleSequences = [];
-
-          // Iterate over the shared sequence
-          for (let i = 0; i < referenceSequences.length; i += 1) {
-            // Filter out last stop of the sequence because it is not valid as "last stop"
-            const refSequence = referenceSequences[i].slice(0, -1);
-            const otherSequence = otherSequences[i].slice(0, -1);
-
-            // For each shared sequence, add the positions data of the current trip by mapping
-            // the distance relative to the last stop of the trip to the absolute distance
-            // in the reference journey pattern
-            const vehicleSequence = positions
-              .filter(({ lastStopIndex }) => otherSequence.includes(lastStopIndex))
-              .map(({ time, distanceSinceLastStop, lastStopIndex, status, prognosed }) => {
-                // Find the index of the last stop before the current position
-                // in the reference journey pattern
-                const lastStopRefIndex = refSequence[otherSequence.indexOf(lastStopIndex)];
-                // Get distance of last stop in the reference journey pattern
-                const lastStopRefDistance = this.journeyPatternMix
-                  .referenceJP
-                  .distances[lastStopRefIndex];
-                updateTimeBoundaries(time);
-
-                return {
-                  time,
-                  status,
-                  prognosed,
-                  // Map the distance by adding the distance of the last stop in the reference
-                  // journey pattern to the distance since the last stop
-                  distance: distanceSinceLastStop + lastStopRefDistance,
-                };
-              });
-
-            // Filter out sequences with zero length (can happen that a vehicle belonging to a
-            // journey pattern that shares >1 link(s) with the reference one does not have any
-            // positions to be drawn because the positions are not part of the shared links)
-            if (vehicleSequence.length) vehicleSequences.push(vehicleSequence);
-          }
-
-          // Filter out vehicles without any position information (can happen that a vehicle
-          // does not have any realtime position data)
-          if (vehicleSequences.length) {
-            realtimeSequences.push({
-              vehicleNumber,
-              sequences: vehicleSequences,
+  /**
+   * Compute the information needed to draw a trip of the reference journey pattern
+   * @param  {VehicleJourney} vehicleJourney - Trip of the reference journey pattern
+   * @return {Object} - Trip drawing information
+   */
+  static computeReferenceTrip(vehicleJourney) {
+    const {
+      code,
+      journeyPattern,
+      firstAndLastTimes,
+      realTimeData,
+      scheduledStopTimes,
+      cancelled,
+    } = vehicleJourney;
+    return {
+      code,
+      // For the reference journey pattern there is only one sequence
+      staticSequences: [flatten(journeyPattern.distances.map((distance, index) => (
+        MareyDiagram.scheduledStopPoints(scheduledStopTimes[index], distance))))],
+      realtimeSequences: realTimeData.map(({ vehicleNumber, positions }) => ({
+        vehicleNumber,
+        // Again, only one sequence per vehicle for the reference journey pattern
+        sequences: [positions.map(({
+          time,
+          distanceFromStart,
+          status,
+          prognosed,
+          flag,
+        }) => ({
+          time,
+          distance: distanceFromStart,
+          status,
+          prognosed,
+          flag,
+        }))],
+      })),
+      firstAndLastTimes,
+      cancelled,
+    };
+  }
+
+  /**
+   * Compute the points of the static sequence of a trip at a stop: the scheduled arrival,
+   * followed by the scheduled departure if the trip is scheduled to dwell at the stop,
+   * so that the dwell is drawn as a vertical segment
+   * @param  {{arrival: Date, departure: Date, dwell: number}} stopTimes - Scheduled times
+   *   at the stop, see VehicleJourney.scheduledStopTimes
+   * @param  {number} distance - Distance of the stop in the diagram
+   * @return {Array.<{time: Date, distance: number}>} - Points of the static sequence
+   */
+  static scheduledStopPoints({ arrival, departure, dwell }, distance) {
+    const points = [{ time: arrival, distance }];
+    if (dwell > 0) points.push({ time: departure, distance });
+    return points;
+  }
+
+  /**
+   * Compute the information needed to draw a trip of one of the other journey patterns,
+   * limited to the sequences shared with the reference journey pattern
+   * @param  {VehicleJourney} vehicleJourney - Trip of the other journey pattern
+   * @param  {{
+   *   journeyPattern: JourneyPattern,
+   *   sharedSequences: {
+   *     referenceSequences: Array.<Array.<number>>,
+   *     otherSequences: Array.<Array.<number>>
+   *   }
+   * }} otherJP - Other journey pattern, with the sequences shared with the reference one
+   * @return {Object} - Trip drawing information
+   */
+  computeOtherTrip(vehicleJourney, otherJP) {
+    // Min and max time of every static/realtime position of the current journey,
+    // only for the shared segments
+    let minTime = null;
+    let maxTime = null;
+
+    // Update min and max time boundaries
+    const updateTimeBoundaries = (time) => {
+      if (minTime === null || time < minTime) minTime = time;
+      if (maxTime === null || time > maxTime) maxTime = time;
+    };
+
+    const { scheduledStopTimes } = vehicleJourney;
+    const staticSequences = [];
+    // For each trip of the "other" journey patterns, iterate over the sequences
+    // shared with the reference journey pattern and add the corresponding "timinglinks"
+    const { referenceSequences, otherSequences } = otherJP.sharedSequences;
+    for (let i = 0; i < referenceSequences.length; i += 1) {
+      const refSequence = referenceSequences[i];
+      const otherSequence = otherSequences[i];
+
+      staticSequences.push(flatten(refSequence.map((refIndex, j) => {
+        const stopTimes = scheduledStopTimes[otherSequence[j]];
+        updateTimeBoundaries(stopTimes.arrival);
+        updateTimeBoundaries(stopTimes.departure);
+        return MareyDiagram.scheduledStopPoints(
+          stopTimes,
+          this.journeyPatternMix.referenceJP.distances[refIndex],
+        );
+      })));
+    }
+
+    const realtimeSequences = [];
+    // Iterate over each of the real time vehicles
+    for (const { vehicleNumber, positions } of vehicleJourney.realTimeData) {
+      const vehicleSequences = [];
+
+      // Iterate over the shared sequence
+      for (let i = 0; i < referenceSequences.length; i += 1) {
+        let vehicleSequence;
+        // A sequence of a single stop, see JourneyPattern.sharedStopAreaSequences, only has
+        // the positions of the vehicle at that stop
+        if (referenceSequences[i].length === 1) {
+          const otherDistance = otherJP.journeyPattern.distances[otherSequences[i][0]];
+          const refDistance = this.journeyPatternMix
+            .referenceJP
+            .distances[referenceSequences[i][0]];
+          vehicleSequence = positions
+            .filter(({ distanceFromStart }) => distanceFromStart === otherDistance)
+            .map(({
+              time,
+              status,
+              prognosed,
+              flag,
+            }) => {
+              updateTimeBoundaries(time);
+              return {
+                time,
+                status,
+                prognosed,
+                flag,
+                distance: refDistance,
+              };
+            });
+        } else {
+          // Filter out last stop of the sequence because it is not valid as "last stop"
+          const refSequence = referenceSequences[i].slice(0, -1);
+          const otherSequence = otherSequences[i].slice(0, -1);
+
+          // For each shared sequence, add the positions data of the current trip by mapping
+          // the distance relative to the last stop of the trip to the absolute distance
+          // in the reference journey pattern
+          vehicleSequence = positions
+            .filter(({ lastStopIndex }) => otherSequence.includes(lastStopIndex))
+            .map(({
+              time,
+              distanceSinceLastStop,
+              lastStopIndex,
+              status,
+              prognosed,
+              flag,
+            }) => {
+              // Find the index of the last stop before the current position
+              // in the reference journey pattern
+              const lastStopRefIndex = refSequence[otherSequence.indexOf(lastStopIndex)];
+              // Get distance of last stop in the reference journey pattern
+              const lastStopRefDistance = this.journeyPatternMix
+                .referenceJP
+                .distances[lastStopRefIndex];
+              updateTimeBoundaries(time);
+
+              return {
+                time,
+                status,
+                prognosed,
+                flag,
+                // Map the distance by adding the distance of the last stop in the reference
+                // journey pattern to the distance since the last stop
+                distance: distanceSinceLastStop + lastStopRefDistance,
+              };
             });
-          }
         }
 
-        trips.push({
-          code: vehicleJourney.code,
-          staticSequences,
-          realtimeSequences,
-          firstAndLastTimes: { first: minTime, last: maxTime },
+        // Filter out sequences with zero length (can happen that a vehicle belonging to a
+        // journey pattern that shares >1 link(s) with the reference one does not have any
+        // positions to be drawn because the positions are not part of the shared links)
+        if (vehicleSequence.length) vehicleSequences.push(vehicleSequence);
+      }
+
+      // Filter out vehicles without any position information (can happen that a vehicle
+      // does not have any realtime position data)
+      if (vehicleSequences.length) {
+        realtimeSequences.push({
+          vehicleNumber,
+          sequences: vehicleSequences,
         });
       }
     }
 
-    return trips;
+    return {
+      code: vehicleJourney.code,
+      staticSequences,
+      realtimeSequences,
+      firstAndLastTimes: { first: minTime, last: maxTime },
+      cancelled: vehicleJourney.cancelled,
+    };
+  }
+
+  /**
+   * Add the trips of another journey pattern to the diagram
+   * @param  {{
+   *   journeyPattern: JourneyPattern,
+   *   sharedSequences: {
+   *     referenceSequences: Array.<Array.<number>>,
+   *     otherSequences: Array.<Array.<number>>
+   *   }
+   * }} otherJP - Other journey pattern, with the sequences shared with the reference one
+   */
+  addOtherJourneyPattern(otherJP) {
+    this.journeyPatternMix.otherJPs.push(otherJP);
+    for (const vehicleJourney of otherJP.journeyPattern.vehicleJourneys) {
+      this.trips.push(this.computeOtherTrip(vehicleJourney, otherJP));
+    }
+    this.drawTrips(0);
+  }
+
+  /**
+   * Update the trips of the diagram after a change of their realtime data, drawing again
+   * only them. The trips with prognosed positions that are now in the past are updated too,
+   * since their positions are not prognosed anymore.
+   * @param  {Array.<VehicleJourney>} vehicleJourneys - Vehicle journeys whose realtime data
+   *   changed, the ones not shown in the diagram are ignored
+   * @param  {Date} now - Current time
+   */
+  updateTrips(vehicleJourneys, now) {
+    const updatedCodes = new Set(vehicleJourneys.map(({ code }) => code));
+    for (const trip of this.trips) {
+      const hasOutdatedPrognosis = trip.realtimeSequences
+        .some(({ sequences }) => sequences
+          .some(sequence => sequence.some(({ time, prognosed }) => prognosed && time <= now)));
+      if (hasOutdatedPrognosis) updatedCodes.add(trip.code);
+    }
+
+    const { referenceJP, otherJPs } = this.journeyPatternMix;
+    const tripsCodes = new Set();
+    for (const vehicleJourney of referenceJP.vehicleJourneys) {
+      if (updatedCodes.has(vehicleJourney.code)) {
+        this.replaceTrip(MareyDiagram.computeReferenceTrip(vehicleJourney));
+        tripsCodes.add(vehicleJourney.code);
+      }
+    }
+    for (const otherJP of otherJPs) {
+      for (const vehicleJourney of otherJP.journeyPattern.vehicleJourneys) {
+        if (updatedCodes.has(vehicleJourney.code)) {
+          this.replaceTrip(this.computeOtherTrip(vehicleJourney, otherJP));
+          tripsCodes.add(vehicleJourney.code);
+        }
+      }
+    }
+
+    this.drawTrips(0, tripsCodes);
+  }
+
+  /**
+   * Replace the drawing information of a trip with an updated one
+   * @param  {Object} trip - Updated trip drawing information
+   */
+  replaceTrip(trip) {
+    const index = this.trips.findIndex(({ code }) => code === trip.code);
+    if (index === -1) this.trips.push(trip);
+    else this.trips[index] = trip;
   }
 
   /**
    * Draw the trips on the diagram
    * @param {number} transitionDuration - Duration of the transition in case of stop selection
+   * @param {Set.<string>} [tripsCodes] - Codes of the trips to draw again, if only some of them
+   *   changed. The trips entering the selected domain are drawn anyway
    */
-  drawTrips(transitionDuration) {
+  drawTrips(transitionDuration, tripsCodes = null) {
     // TODO: move these constants in a separate config file
     const selectedTripStaticStopRadius = 3;
     const selectedTripRTposRadius = 3;
@@ -873,11 +1130,14 @@ export default class MareyDiagram {
     const tripsEnterUpdateSel = tripsSel.enter().append('g')
       .attr('class', 'trip')
       .attr('data-trip-code', ({ code }) => code)
+      .classed('focused', ({ code }) => this.focusedTripsCodes.has(code))
+      // Cancelled trips are drawn distinctly, see the style sheet
+      .classed('cancelled', ({ cancelled }) => cancelled)
       .on('mouseover', tripMouseOver)
       .on('mouseout', tripMouseOut)
       .on('click', tripClick)
       // Trip enter + update
-      .merge(tripsSel);
+      .merge(tripsCodes === null ? tripsSel : tripsSel.filter(({ code }) => tripsCodes.has(code)));
 
     // Trip enter + update > static sequences selection
     const staticSequencesSel = tripsEnterUpdateSel
@@ -951,6 +1211,9 @@ export default class MareyDiagram {
       .merge(realtimeVehiclesLinksSel)
       .attr('class', ({ status }) => `rt-sequence ${status}`)
       .classed('prognosed', ({ prognosed }) => prognosed)
+      // Positions interpolated or clamped by the cleaning are drawn distinctly
+      .classed('interpolated', ({ flag }) => flag === RealtimeCleaner.flags.INTERPOLATED)
+      .classed('clamped', ({ flag }) => flag === RealtimeCleaner.flags.CLAMPED)
       .transition()
       .duration(transitionDuration)
       .attr('d', ({ positions }) => this.tripLineGenerator(positions));
@@ -969,6 +1232,8 @@ export default class MareyDiagram {
       .append('circle')
       .attr('class', ({ status }) => `rt-position ${status}`)
       .classed('prognosed', ({ prognosed }) => prognosed)
+      .classed('interpolated', ({ flag }) => flag === RealtimeCleaner.flags.INTERPOLATED)
+      .classed('clamped', ({ flag }) => flag === RealtimeCleaner.flags.CLAMPED)
       .attr('r', deSelectedTripRTposRadius)
       .merge(realtimeVehiclesPositionsSel)
       .transition()
@@ -976,5 +1241,182 @@ export default class MareyDiagram {
       .attr('cx', ({ distance }) => this.xScale(distance))
       // Trip enter + update > realtime vehicle sequences > realtime position enter
       .attr('cy', ({ time }) => this.yScale(time));
+
+    this.drawBunchingEvents(transitionDuration);
+    this.drawDwellTimes(transitionDuration);
+    this.drawConnection(transitionDuration);
+  }
+
+  /**
+   * Set the bunching events to highlight on the diagram
+   * @param  {Array.<{
+   *   stop: Stop,
+   *   distance: number,
+   *   leader: VehicleJourney,
+   *   follower: VehicleJourney,
+   *   leaderTime: Date,
+   *   followerTime: Date,
+   *   actual: number,
+   *   scheduled: number
+   * }>} bunchingEvents - Bunching events, see Headways.compute
+   */
+  setBunchingEvents(bunchingEvents) {
+    this.bunchingEvents = bunchingEvents;
+    this.drawBunchingEvents();
+  }
+
+  /**
+   * Draw the bunching events as segments at the stop where they happened, between the
+   * departures of the two trips involved
+   * @param {number} transitionDuration - Duration of the transition in case of stop selection
+   */
+  drawBunchingEvents(transitionDuration) {
+    const [minShownTime, maxShownTime] = this.yScale.domain();
+    const bunchingEventsSel = this.bunchingG.selectAll('line.bunching')
+      .data(
+        (this.bunchingEvents || []).filter(({ leaderTime, followerTime }) => (
+          followerTime >= minShownTime && leaderTime <= maxShownTime)),
+        ({ stop, follower }) => `${stop.code}|${follower.code}`,
+      );
+
+    bunchingEventsSel.exit().remove();
+
+    bunchingEventsSel.enter()
+      .append('line')
+      .attr('class', 'bunching')
+      .call(lineSel => lineSel.append('title')
+        .text(({ stop, leader, follower, actual, scheduled }) => `Bunching at ${stop.name}: `
+          + `${follower.code} departed ${Math.round(actual)} s after ${leader.code}, `
+          + `scheduled ${Math.round(scheduled)} s`))
+      .merge(bunchingEventsSel)
+      .transition()
+      .duration(transitionDuration)
+      .attr('x1', ({ distance }) => this.xScale(distance))
+      .attr('x2', ({ distance }) => this.xScale(distance))
+      .attr('y1', ({ leaderTime }) => this.yScale(leaderTime))
+      .attr('y2', ({ followerTime }) => this.yScale(followerTime));
+  }
+
+  /**
+   * Set the realised dwells of the trips at the stops to draw on the diagram
+   * @param  {Array.<{
+   *   stop: Stop,
+   *   distance: number,
+   *   vehicleJourney: VehicleJourney,
+   *   vehicleNumber: number,
+   *   arrival: Date,
+   *   departure: Date,
+   *   dwell: number,
+   *   scheduledDwell: number
+   * }>} dwells - Dwells, see DwellTimes.compute
+   * @param  {number} longDwellThreshold - Excess over the scheduled dwell, in seconds,
+   *   beyond which a dwell is highlighted as long
+   */
+  setDwellTimes(dwells, longDwellThreshold) {
+    this.dwells = dwells.filter(({ dwell }) => dwell > 0);
+    this.longDwellThreshold = longDwellThreshold;
+    this.drawDwellTimes();
+  }
+
+  /**
+   * Draw the realised dwells as vertical segments at the stop where they happened, between
+   * the arrival and the departure of the vehicle
+   * @param {number} transitionDuration - Duration of the transition in case of stop selection
+   */
+  drawDwellTimes(transitionDuration) {
+    const [minShownTime, maxShownTime] = this.yScale.domain();
+    const dwellsSel = this.dwellG.selectAll('line.dwell')
+      .data(
+        (this.dwells || []).filter(({ arrival, departure }) => (
+          departure >= minShownTime && arrival <= maxShownTime)),
+        ({ stop, vehicleJourney, vehicleNumber }) => `${stop.code}|${vehicleJourney.code}|${vehicleNumber}`,
+      );
+
+    dwellsSel.exit().remove();
+
+    dwellsSel.enter()
+      .append('line')
+      .attr('class', 'dwell')
+      .call(lineSel => lineSel.append('title'))
+      .merge(dwellsSel)
+      .classed('long', ({ dwell, scheduledDwell }) => (
+        dwell - scheduledDwell > this.longDwellThreshold))
+      .call(lineSel => lineSel.select('title')
+        .text(({ stop, vehicleJourney, dwell, scheduledDwell }) => `${vehicleJourney.code} `
+          + `dwelled ${Math.round(dwell)} s at ${stop.name}, scheduled ${Math.round(scheduledDwell)} s`))
+      .transition()
+      .duration(transitionDuration)
+      .attr('x1', ({ distance }) => this.xScale(distance))
+      .attr('x2', ({ distance }) => this.xScale(distance))
+      .attr('y1', ({ arrival }) => this.yScale(arrival))
+      .attr('y2', ({ departure }) => this.yScale(departure));
+  }
+
+  /**
+   * Show a time range of the diagram, highlighting some trips, e.g. the two trips of a connection
+   * @param  {Set.<string>} tripsCodes - Codes of the trips to highlight
+   * @param  {Date} first - Start of the time range
+   * @param  {Date} last - End of the time range
+   */
+  focusOnTrips(tripsCodes, first, last) {
+    this.focusedTripsCodes = tripsCodes;
+    this.tripsG.selectAll('g.trip').classed('focused', ({ code }) => tripsCodes.has(code));
+    this.selectTimeRange(first, last);
+  }
+
+  /**
+   * Show a time range of the diagram, updating the scroll brush
+   * @param  {Date} first - Start of the time range
+   * @param  {Date} last - End of the time range
+   */
+  selectTimeRange(first, last) {
+    this.followingNow = false;
+    // Keep the time range within the domain of the diagram
+    const [minTime, maxTime] = this.yScrollScale.domain();
+    this.g.scroll.call(this.brushBehaviour.move, [
+      this.yScrollScale(first < minTime ? minTime : first),
+      this.yScrollScale(last > maxTime ? maxTime : last),
+    ]);
+  }
+
+  /**
+   * Set the connection between two trips to highlight on the diagram
+   * @param  {?{
+   *   distance: number,
+   *   from: Date,
+   *   to: Date,
+   *   made: boolean,
+   *   label: string
+   * }} connection - Connection at the stop at the given distance, from the arrival of a trip
+   *   to the departure of the other one, null to remove it
+   */
+  setConnection(connection) {
+    this.connection = connection;
+    this.drawConnection();
+  }
+
+  /**
+   * Draw the connection as a segment at its stop, between the arrival and the departure
+   * @param {number} transitionDuration - Duration of the transition in case of stop selection
+   */
+  drawConnection(transitionDuration) {
+    const connectionSel = this.connectionG.selectAll('line.connection')
+      .data(this.connection ? [this.connection] : []);
+
+    connectionSel.exit().remove();
+
+    connectionSel.enter()
+      .append('line')
+      .attr('class', 'connection')
+      .call(lineSel => lineSel.append('title'))
+      .merge(connectionSel)
+      .classed('missed', ({ made }) => !made)
+      .call(lineSel => lineSel.select('title').text(({ label }) => label))
+      .transition()
+      .duration(transitionDuration)
+      .attr('x1', ({ distance }) => this.xScale(distance))
+      .attr('x2', ({ distance }) => this.xScale(distance))
+      .attr('y1', ({ from }) => this.yScale(from))
+      .attr('y2', ({ to }) => this.yScale(to));
   }
 }
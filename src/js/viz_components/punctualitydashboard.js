@@ -0,0 +1,98 @@
+import ReportsPanel from './reportspanel';
+
+/**
+ * This class manages the punctuality dashboard, made of tables reporting the punctuality KPIs
+ * of the departures overall, per line and direction, per hour of the day and per stop.
+ * Each row shows the share of departures in each punctuality band as a stacked bar,
+ * followed by the mean delay and the percentiles of the delay.
+ */
+export default class PunctualityDashboard {
+  /**
+   * Punctuality dashboard constructor
+   * @param  {Object} container - D3 selection of the HTML element containing the dashboard
+   * @param  {Object} kpis - Punctuality KPIs, see PunctualityKPIs.compute
+   * @param  {Punctuality} punctuality - Punctuality model, providing the bands
+   */
+  constructor(container, kpis, punctuality) {
+    this.container = container.append('div')
+      .attr('class', 'dashboard');
+    this.kpis = kpis;
+    this.bandNames = punctuality.bandNames;
+    this.colors = punctuality.colors;
+    this.labels = punctuality.labels;
+
+    this.container.append('h3').text('Punctuality of the departures');
+    if (this.kpis.overall.count === 0) {
+      this.container.append('p').text('There are no realtime departures in the dataset.');
+      return;
+    }
+
+    this.container.append('p').text('The delays compare the realised departures from the stops '
+      + 'with the scheduled ones. The vehicles in the Marey diagram and in the map are instead '
+      + 'colored comparing their positions with the scheduled arrivals, so a scheduled dwell can '
+      + 'show them late.');
+
+    this.drawTable('Overall', [Object.assign({ label: 'All departures' }, this.kpis.overall)]);
+    this.drawTable('Per line and direction', this.kpis.byLineDirection);
+    this.drawTable('Per hour of the day', this.kpis.byHour);
+    this.drawTable('Per stop', this.kpis.byStop);
+  }
+
+  /**
+   * Draw a table of summaries of the departures
+   * @param  {string} title - Title of the table
+   * @param  {Array.<Object>} rows - Summaries of groups of departures, with their label
+   */
+  drawTable(title, rows) {
+    const formatShare = share => `${((share || 0) * 100).toFixed(1)}%`;
+    const columns = [
+      { title: '', value: ({ label }) => label },
+      { title: 'Departures', value: ({ count }) => count },
+      ...this.bandNames.map(name => ({
+        title: this.labels[name],
+        value: ({ shares }) => formatShare(shares[name]),
+      })),
+      { title: 'Mean delay', value: ({ meanDelay }) => ReportsPanel.formatDuration(meanDelay) },
+      ...this.kpis.percentiles.map(percentile => ({
+        title: `P${percentile}`,
+        value: ({ percentiles }) => ReportsPanel.formatDuration(percentiles[percentile]),
+      })),
+    ];
+
+    this.container.append('h5').text(title);
+    const table = this.container.append('table');
+    const header = table.append('thead').append('tr');
+    header.selectAll('th')
+      .data(columns)
+      .enter()
+      .append('th')
+      .text(column => column.title);
+    // The shares are also shown as a stacked bar, after the label
+    header.insert('th', 'th:nth-child(2)').text('Shares');
+
+    const rowsSel = table.append('tbody')
+      .selectAll('tr')
+      .data(rows)
+      .enter()
+      .append('tr');
+    rowsSel.selectAll('td')
+      .data(row => columns.map(column => column.value(row)))
+      .enter()
+      .append('td')
+      .text(value => value);
+
+    rowsSel.insert('td', 'td:nth-child(2)')
+      .append('div')
+      .attr('class', 'shares-bar')
+      .selectAll('span')
+      .data(({ shares }) => this.bandNames
+        .filter(name => shares[name])
+        .map(name => ({ name, share: shares[name] })))
+      .enter()
+      .append('span')
+      .attr('class', ({ name }) => name)
+      .attr('title', ({ name, share }) => `${this.labels[name]}: ${formatShare(share)}`)
+      .style('width', ({ share }) => `${share * 100}%`)
+      .style('background', ({ name }) => this.colors[name]);
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * This class manages the panel showing the reports of the analyses of the data shown in the
+ * visualization, over the right side of the screen. Each report is a collapsible section,
+ * whose content is drawn by the analysis. The panel is hidden until toggled.
+ */
+export default class ReportsPanel {
+  /**
+   * Reports panel constructor
+   * @param  {Object} container - D3 selection of the HTML element containing the panel
+   */
+  constructor(container) {
+    this.panel = container.append('div')
+      .attr('class', 'reports-panel')
+      .property('hidden', true);
+  }
+
+  /**
+   * Whether the panel contains any report
+   * @return {boolean} - True if there is at least a report
+   */
+  get hasReports() {
+    return !this.panel.select('details').empty();
+  }
+
+  /**
+   * Show or hide the panel
+   */
+  toggle() {
+    this.panel.property('hidden', !this.panel.property('hidden'));
+  }
+
+  /**
+   * Add a report to the panel
+   * @param  {string} title - Title of the report
+   * @param  {string} [summary] - Short summary, shown next to the title
+   * @return {Object} - D3 selection of the element where the content of the report is drawn
+   */
+  addReport(title, summary = '') {
+    const details = this.panel.append('details');
+    const summaryElement = details.append('summary');
+    summaryElement.append('strong').text(title);
+    if (summary) summaryElement.append('span').text(` ${summary}`);
+    return details.append('div').attr('class', 'report');
+  }
+
+  /**
+   * Draw a table in a report
+   * @param  {Object} container - D3 selection of the element containing the table
+   * @param  {Array.<{title: string, value: Function}>} columns - Columns of the table, with the
+   *   function returning the content of the cell given the row
+   * @param  {Array.<Object>} rows - Rows of the table
+   * @return {Object} - D3 selection of the rows of the table, bound to their data
+   */
+  static drawTable(container, columns, rows) {
+    const table = container.append('table');
+    table.append('thead')
+      .append('tr')
+      .selectAll('th')
+      .data(columns)
+      .enter()
+      .append('th')
+      .text(({ title }) => title);
+
+    const rowsSel = table.append('tbody')
+      .selectAll('tr')
+      .data(rows)
+      .enter()
+      .append('tr');
+    rowsSel.selectAll('td')
+      .data(row => columns.map(({ value }) => value(row)))
+      .enter()
+      .append('td')
+      .text(value => value);
+    return rowsSel;
+  }
+
+  /**
+   * Format a duration in seconds
+   * @param  {number} seconds - Duration in seconds, possibly negative
+   * @return {string} - Duration in minutes and seconds, e.g. "-1:05", or an empty string
+   *   if not defined
+   */
+  static formatDuration(seconds) {
+    if (typeof seconds === 'undefined' || seconds === null || Number.isNaN(seconds)) return '';
+    const sign = seconds < 0 ? '-' : '';
+    const absoluteSeconds = Math.round(Math.abs(seconds));
+    return `${sign}${Math.floor(absoluteSeconds / 60)}:${`${absoluteSeconds % 60}`.padStart(2, '0')}`;
+  }
+}
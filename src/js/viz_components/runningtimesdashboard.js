@@ -0,0 +1,116 @@
+import FileUtils from '../fileutils';
+import RunningTimes from '../analysis/runningtimes';
+import ReportsPanel from './reportspanel';
+
+/**
+ * This class manages the running times dashboard, showing for each journey pattern the
+ * current scheduled running times of its links in each time band next to the realised ones
+ * and to the proposed ones. The percentile of the realised running times used for the proposal
+ * can be changed, and the proposal can be exported as CSV.
+ */
+export default class RunningTimesDashboard {
+  /**
+   * Running times dashboard constructor
+   * @param  {Object} container - D3 selection of the HTML element containing the dashboard
+   * @param  {number} percentile - Initial percentile of the realised running times to propose
+   * @param  {Function} computeCallback - Function computing the running times given the
+   *   percentile, see RunningTimes.compute
+   * @param  {string} filename - Name of the exported CSV file
+   */
+  constructor(container, percentile, computeCallback, filename) {
+    this.container = container.append('div')
+      .attr('class', 'dashboard running-times');
+    this.percentile = percentile;
+    this.computeCallback = computeCallback;
+    this.filename = filename;
+
+    this.container.append('h3').text('Running times of the links');
+    const controls = this.container.append('div').attr('class', 'controls');
+    controls.append('label').text('Percentile of the realised running times');
+    controls.append('input')
+      .attr('type', 'number')
+      .attr('min', 1)
+      .attr('max', 99)
+      .property('value', this.percentile)
+      .on('change', (_d, index, nodes) => {
+        const percentileValue = parseInt(nodes[index].value, 10);
+        if (percentileValue >= 1 && percentileValue <= 99) {
+          this.percentile = percentileValue;
+          this.update();
+        }
+      });
+    controls.append('button')
+      .attr('type', 'button')
+      .text('Export CSV')
+      .on('click', () => this.exportCSV());
+    this.daysParagraph = this.container.append('p');
+    this.content = this.container.append('div');
+
+    this.setDays([]);
+  }
+
+  /**
+   * Set the days whose realised running times are used, computing the running times again
+   * @param  {Array.<string>} days - Days, in the "YYYY-MM-DD" format
+   */
+  setDays(days) {
+    this.daysParagraph.text(days.length
+      ? `Realised running times of ${days.join(', ')}.`
+      : 'Realised running times of the day shown.');
+    this.update();
+  }
+
+  /**
+   * Compute the running times with the current percentile, and draw them
+   */
+  update() {
+    this.runningTimes = this.computeCallback(this.percentile);
+    this.content.html('');
+
+    if (!this.runningTimes.journeyPatterns.length) {
+      this.content.append('p').text('There are no trips in the dataset.');
+      return;
+    }
+
+    for (const { journeyPattern, links } of this.runningTimes.journeyPatterns) {
+      const details = this.content.append('details');
+      details.append('summary')
+        .text(`Line ${journeyPattern.line.code}, direction ${journeyPattern.direction} `
+          + `(${journeyPattern.code}): ${journeyPattern.vehicleJourneys.length} trips`);
+      const rowsSel = ReportsPanel.drawTable(details, [
+        { title: '#', value: ({ sequence }) => sequence },
+        { title: 'From', value: ({ stop1 }) => stop1.name },
+        { title: 'To', value: ({ stop2 }) => stop2.name },
+        { title: 'Time band', value: ({ timeBand }) => timeBand.label },
+        { title: 'Trips', value: ({ trips }) => trips },
+        { title: 'Scheduled', value: ({ scheduled }) => ReportsPanel.formatDuration(scheduled) },
+        { title: 'Realised', value: ({ observations }) => observations },
+        { title: 'Median', value: ({ realisedMedian }) => ReportsPanel.formatDuration(realisedMedian) },
+        {
+          title: `P${this.percentile}`,
+          value: ({ realisedPercentile }) => ReportsPanel.formatDuration(realisedPercentile),
+        },
+        { title: 'Proposed', value: ({ proposed }) => ReportsPanel.formatDuration(proposed) },
+        {
+          title: 'Change',
+          value: ({ proposed, scheduled }) => (proposed === null
+            ? ''
+            : ReportsPanel.formatDuration(proposed - scheduled)),
+        },
+      ], links);
+      // Highlight the links whose running time should change by at least a minute
+      rowsSel.classed('longer', ({ proposed, scheduled }) => (
+        proposed !== null && proposed - scheduled >= 60));
+      rowsSel.classed('shorter', ({ proposed, scheduled }) => (
+        proposed !== null && scheduled - proposed >= 60));
+    }
+  }
+
+  /**
+   * Let the user download the running times as CSV, see RunningTimes.toCSV
+   */
+  exportCSV() {
+    const blob = new Blob([RunningTimes.toCSV(this.runningTimes)], { type: 'text/csv' });
+    FileUtils.saveAs(blob, this.filename);
+  }
+}
@@ -0,0 +1,99 @@
+import TimeUtils from '../timeutils';
+import Transfers from '../analysis/transfers';
+import ReportsPanel from './reportspanel';
+
+/**
+ * This class manages the transfers dashboard, made of the table of the planned connections
+ * per stop area with how many of them were made or missed, followed by the list of the missed
+ * connections of each stop area. Clicking a missed connection shows its two trips.
+ */
+export default class TransfersDashboard {
+  /**
+   * Transfers dashboard constructor
+   * @param  {Object} container - D3 selection of the HTML element containing the dashboard
+   * @param  {Object} transfers - Connections at the stop areas, see Transfers.compute
+   * @param  {string} timezone - IANA timezone name in which the times are displayed
+   * @param  {Function} showConnectionCallback - Callback receiving the connection clicked
+   */
+  constructor(container, transfers, timezone, showConnectionCallback) {
+    this.container = container.append('div')
+      .attr('class', 'dashboard transfers');
+    this.transfers = transfers;
+    this.timeFormat = TimeUtils.timeFormat('%H:%M:%S', timezone);
+    this.showConnectionCallback = showConnectionCallback;
+
+    this.container.append('h3').text('Transfers at the stop areas');
+    if (this.transfers.overall.planned === 0) {
+      this.container.append('p').text('There are no planned connections in the dataset.');
+      return;
+    }
+
+    this.drawSummary();
+    this.drawMissedConnections();
+  }
+
+  /**
+   * Draw the table of the planned connections per stop area, and overall
+   */
+  drawSummary() {
+    const formatShare = share => (typeof share === 'undefined' ? '' : `${(share * 100).toFixed(1)}%`);
+    ReportsPanel.drawTable(this.container, [
+      { title: 'Stop area', value: ({ name, stopArea }) => `${name} (${stopArea.code})` },
+      { title: 'Planned', value: ({ planned }) => planned },
+      { title: 'Made', value: ({ made }) => made },
+      { title: 'Missed', value: ({ missed }) => missed },
+      { title: 'Unknown', value: ({ unknown }) => unknown },
+      { title: 'Made share', value: ({ madeShare }) => formatShare(madeShare) },
+    ], this.transfers.stopAreas)
+      // Jump to the missed connections of the stop area
+      .filter(({ missed }) => missed > 0)
+      .classed('clickable', true)
+      .on('click', ({ stopArea }) => {
+        const details = this.container.select(`details[data-stop-area='${stopArea.code}']`)
+          .property('open', true);
+        details.node().scrollIntoView();
+      });
+    this.container.append('p')
+      .text(`Overall ${this.transfers.overall.made} of ${this.transfers.overall.planned} `
+        + `connections made, ${this.transfers.overall.missed} missed.`);
+  }
+
+  /**
+   * Draw the list of the missed connections of each stop area
+   */
+  drawMissedConnections() {
+    const formatTime = time => (time === null ? '' : this.timeFormat(time));
+    const tripDescription = vehicleJourney => `${vehicleJourney.journeyPattern.line.code} `
+      + `(${vehicleJourney.code})${vehicleJourney.cancelled ? ', cancelled' : ''}`;
+
+    this.container.append('h5').text('Missed connections');
+    this.container.append('p').text('Click a connection to show its trips in the Marey diagram.');
+    for (const { stopArea, name, connections } of this.transfers.stopAreas) {
+      const missedConnections = connections
+        .filter(({ status }) => status === Transfers.status.MISSED);
+      if (missedConnections.length) {
+        const details = this.container.append('details')
+          .attr('data-stop-area', stopArea.code);
+        details.append('summary').text(`${name}: ${missedConnections.length} missed`);
+        ReportsPanel.drawTable(details, [
+          { title: 'From', value: ({ feeder }) => tripDescription(feeder) },
+          { title: 'Arrival', value: ({ realisedArrival }) => formatTime(realisedArrival) },
+          { title: 'Scheduled', value: ({ scheduledArrival }) => formatTime(scheduledArrival) },
+          { title: 'To', value: ({ connection }) => tripDescription(connection) },
+          { title: 'Departure', value: ({ realisedDeparture }) => formatTime(realisedDeparture) },
+          { title: 'Scheduled', value: ({ scheduledDeparture }) => formatTime(scheduledDeparture) },
+          {
+            title: 'Transfer time',
+            value: ({ realisedTransferTime }) => ReportsPanel.formatDuration(realisedTransferTime),
+          },
+          {
+            title: 'Planned',
+            value: ({ plannedTransferTime }) => ReportsPanel.formatDuration(plannedTransferTime),
+          },
+        ], missedConnections)
+          .classed('clickable', true)
+          .on('click', connection => this.showConnectionCallback(connection));
+      }
+    }
+  }
+}
@@ -0,0 +1,237 @@
+import { axisTop } from 'd3-axis';
+import { scaleBand, scaleTime } from 'd3-scale';
+import { event as d3event } from 'd3-selection';
+import { zoom } from 'd3-zoom';
+import { flatten } from 'lodash';
+
+import TimeUtils from '../timeutils';
+import ReportsPanel from './reportspanel';
+
+const d3 = Object.assign({}, {
+  axisTop,
+  scaleBand,
+  scaleTime,
+  zoom,
+});
+
+/**
+ * This class manages the Gantt chart of the vehicle blocks, with one row per vehicle showing
+ * its consecutive trips as bars and the layovers at the terminals between them. The trips are
+ * colored according to the punctuality of their arrival, and the layovers after which the
+ * vehicle carried delay into the next trip are highlighted. Clicking a trip shows it in the
+ * Marey diagram.
+ */
+export default class VehicleBlocksGantt {
+  /**
+   * Vehicle blocks Gantt chart constructor
+   * @param  {Object} container - D3 selection of the HTML element containing the chart
+   * @param  {Array.<Object>} blocks - Blocks of the vehicles, see VehicleBlocks.compute
+   * @param  {Punctuality} punctuality - Punctuality bands, used to color the trips
+   * @param  {string} timezone - IANA timezone name in which the times are displayed
+   * @param  {Function} showTripCallback - Callback receiving the vehicle journey clicked
+   */
+  constructor(container, blocks, punctuality, timezone, showTripCallback) {
+    this.container = container.append('div')
+      .attr('class', 'dashboard blocks');
+    this.blocks = blocks;
+    this.punctuality = punctuality;
+    this.timeFormat = TimeUtils.timeFormat('%H:%M:%S', timezone);
+    this.axisTimeFormat = TimeUtils.timeFormat('%H:%M', timezone);
+    this.showTripCallback = showTripCallback;
+
+    this.container.append('h3').text('Vehicle blocks');
+    if (!this.blocks.length) {
+      this.container.append('p').text('There are no vehicles with realtime data in the dataset.');
+      return;
+    }
+    this.container.append('p').text('Trips operated by each vehicle, colored by the punctuality '
+      + 'of their arrival, over their scheduled times. The layovers at the terminals in red are '
+      + 'the ones after which the vehicle carried delay into the next trip. Click a trip to show '
+      + 'it in the Marey diagram, drag to pan and use the mouse wheel to zoom.');
+
+    const carried = flatten(this.blocks.map(({ layovers }) => layovers))
+      .filter(({ carriedDelay }) => carriedDelay > 0);
+    this.container.append('p')
+      .text(`${this.blocks.length} vehicles, ${carried.length} layovers with knock-on delays.`);
+
+    this.createScales();
+    this.createSVG();
+    this.draw();
+  }
+
+  /**
+   * Create the scales of the chart: time on the horizontal axis, one row per vehicle
+   */
+  createScales() {
+    const margin = {
+      top: 30,
+      right: 20,
+      bottom: 10,
+      left: 70,
+    };
+    const rowHeight = 18;
+    const width = this.container.node().clientWidth || window.innerWidth;
+    this.dims = {
+      margin,
+      width,
+      innerWidth: Math.max(width - margin.left - margin.right, 100),
+      innerHeight: this.blocks.length * rowHeight,
+    };
+    this.dims.height = this.dims.innerHeight + margin.top + margin.bottom;
+
+    const trips = flatten(this.blocks.map(block => block.trips));
+    const firstTime = Math.min(...trips.map(trip => Math.min(trip.start, trip.scheduledStart)));
+    const lastTime = Math.max(...trips.map(trip => Math.max(trip.end, trip.scheduledEnd)));
+    // Half an hour margin on both sides
+    const padding = 30 * 60 * 1000;
+    this.xScale = d3.scaleTime()
+      .domain([new Date(firstTime - padding), new Date(lastTime + padding)])
+      .range([0, this.dims.innerWidth]);
+    this.xScaleZoomed = this.xScale;
+    this.yScale = d3.scaleBand()
+      .domain(this.blocks.map(({ vehicleNumber }) => `${vehicleNumber}`))
+      .range([0, this.dims.innerHeight])
+      .padding(0.2);
+  }
+
+  /**
+   * Create the SVG element with the groups of the axis, of the vehicles and of the rows,
+   * and the zoom behavior
+   */
+  createSVG() {
+    const { margin } = this.dims;
+    const svg = this.container.append('svg')
+      .attr('id', 'blocks')
+      .attr('width', this.dims.width)
+      .attr('height', this.dims.height);
+
+    // Clip the trips panned outside of the chart
+    svg.append('defs')
+      .append('clipPath')
+      .attr('id', 'blocks-clip')
+      .append('rect')
+      .attr('width', this.dims.innerWidth)
+      .attr('height', this.dims.innerHeight);
+
+    this.xAxisG = svg.append('g')
+      .attr('class', 'top-axis')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+    this.vehiclesG = svg.append('g')
+      .attr('class', 'vehicles')
+      .attr('transform', `translate(0,${margin.top})`);
+    this.rowsG = svg.append('g')
+      .attr('class', 'rows')
+      .attr('transform', `translate(${margin.left},${margin.top})`)
+      .attr('clip-path', 'url(#blocks-clip)');
+
+    const zoomBehavior = d3.zoom()
+      .scaleExtent([1, 50])
+      .translateExtent([[0, 0], [this.dims.innerWidth, this.dims.innerHeight]])
+      .extent([[0, 0], [this.dims.innerWidth, this.dims.innerHeight]])
+      .on('zoom', () => {
+        this.xScaleZoomed = d3event.transform.rescaleX(this.xScale);
+        this.draw();
+      });
+    svg.call(zoomBehavior);
+  }
+
+  /**
+   * Draw the axis and the blocks of the vehicles, using the current zoom
+   */
+  draw() {
+    const xScale = this.xScaleZoomed;
+    this.xAxisG.call(d3.axisTop(xScale)
+      .tickSize(-this.dims.innerHeight)
+      .tickFormat(this.axisTimeFormat));
+
+    this.vehiclesG.selectAll('text')
+      .data(this.blocks)
+      .enter()
+      .append('text')
+      .attr('x', this.dims.margin.left - 8)
+      .attr('y', ({ vehicleNumber }) => this.yScale(`${vehicleNumber}`) + (this.yScale.bandwidth() / 2))
+      .attr('dy', '0.35em')
+      .text(({ vehicleNumber }) => vehicleNumber);
+
+    const rows = this.rowsG.selectAll('g.block')
+      .data(this.blocks, ({ vehicleNumber }) => vehicleNumber);
+    const rowsEnter = rows.enter()
+      .append('g')
+      .attr('class', 'block')
+      .attr('transform', ({ vehicleNumber }) => `translate(0,${this.yScale(`${vehicleNumber}`)})`);
+    const rowsAll = rows.merge(rowsEnter);
+
+    this.drawTrips(rowsAll, xScale);
+    this.drawLayovers(rowsAll, xScale);
+  }
+
+  /**
+   * Draw the scheduled and realised trips of the vehicles
+   * @param  {Object} rows - D3 selection of the rows of the vehicles
+   * @param  {Function} xScale - Time scale of the horizontal axis
+   */
+  drawTrips(rows, xScale) {
+    const height = this.yScale.bandwidth();
+    const barWidth = (from, to) => Math.max(xScale(to) - xScale(from), 1);
+    const formatDelay = delay => (delay === null ? 'unknown' : ReportsPanel.formatDuration(delay));
+
+    const scheduled = rows.selectAll('rect.scheduled')
+      .data(({ trips }) => trips);
+    scheduled.enter()
+      .append('rect')
+      .attr('class', 'scheduled')
+      .attr('y', height * 0.75)
+      .attr('height', height * 0.25)
+      .merge(scheduled)
+      .attr('x', ({ scheduledStart }) => xScale(scheduledStart))
+      .attr('width', ({ scheduledStart, scheduledEnd }) => barWidth(scheduledStart, scheduledEnd));
+
+    const trips = rows.selectAll('rect.trip')
+      .data(({ trips: vehicleTrips }) => vehicleTrips);
+    const tripsEnter = trips.enter()
+      .append('rect')
+      .attr('class', ({ vehicleJourney, endDelay }) => `trip ${this.punctuality.status(
+        endDelay,
+        vehicleJourney.journeyPattern.line.code,
+      )}`)
+      .attr('height', height * 0.75)
+      .on('click', ({ vehicleJourney }) => this.showTripCallback(vehicleJourney));
+    tripsEnter.append('title')
+      .text(({
+        vehicleJourney, start, end, startDelay, endDelay,
+      }) => `Trip ${vehicleJourney.code}, line ${vehicleJourney.journeyPattern.line.code}\n`
+        + `${this.timeFormat(start)} - ${this.timeFormat(end)}\n`
+        + `Departure delay: ${formatDelay(startDelay)}\n`
+        + `Arrival delay: ${formatDelay(endDelay)}`);
+    tripsEnter.merge(trips)
+      .attr('x', ({ start }) => xScale(start))
+      .attr('width', ({ start, end }) => barWidth(start, end));
+  }
+
+  /**
+   * Draw the layovers of the vehicles between their trips, highlighting the ones
+   * after which delay was carried into the next trip
+   * @param  {Object} rows - D3 selection of the rows of the vehicles
+   * @param  {Function} xScale - Time scale of the horizontal axis
+   */
+  drawLayovers(rows, xScale) {
+    const y = this.yScale.bandwidth() * 0.375;
+    const layovers = rows.selectAll('line.layover')
+      .data(({ layovers: vehicleLayovers }) => vehicleLayovers);
+    const layoversEnter = layovers.enter()
+      .append('line')
+      .attr('class', 'layover')
+      .classed('knock-on', ({ carriedDelay }) => carriedDelay > 0)
+      .attr('y1', y)
+      .attr('y2', y);
+    layoversEnter.append('title')
+      .text(({ layover, scheduledLayover, carriedDelay }) => [
+        `Layover: ${ReportsPanel.formatDuration(layover)}`,
+        `Scheduled: ${ReportsPanel.formatDuration(scheduledLayover)}`,
+        `Carried delay: ${carriedDelay === null ? 'unknown' : ReportsPanel.formatDuration(carriedDelay)}`,
+      ].join('\n'));
+    layoversEnter.merge(layovers)
+      .attr('x1', ({ previous }) => xScale(previous.end))
+      .attr('x2', ({ next }) => xScale(next.start));
+  }
+}
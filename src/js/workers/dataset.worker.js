@@ -0,0 +1,105 @@
+import DatasetCache from '../datasetcache';
+import PTDataset from '../ptdataset';
+
+/**
+ * Web Worker downloading the datasets and building the PTDataset out of them,
+ * so that the main thread stays responsive in the meantime.
+ *
+ * It receives a {sources, referenceDate, options} message, where each source is either
+ * the {url, date, filename} of a dataset to download, unless already in the offline cache,
+ * or the {data} of a dataset already in memory, and it replies with:
+ * - {type: 'progress', stage, done, total} messages while working, where the stage is
+ *   'download' (done and total in bytes, total is null if unknown) or one of the stages
+ *   of the PTDataset construction
+ * - a {type: 'dataset', dataset} message with the dataset once ready
+ * - a {type: 'error', message} message in case of failure
+ */
+
+const cache = new DatasetCache();
+
+/**
+ * Download a dataset, reporting the bytes downloaded so far
+ * @param  {string} url - URL of the dataset
+ * @param  {Function} progressCallback - Callback receiving the bytes downloaded and the total
+ * @return {Promise.<{data: Object, size: number}>} - Promise resolving to the raw dataset data
+ *   and its size in bytes
+ */
+const download = (url, progressCallback) => fetch(url).then((response) => {
+  if (!response.ok) throw new Error(`Could not download ${url}: ${response.status}`);
+  // Without streams support the progress can't be followed
+  if (!response.body) {
+    return response.arrayBuffer().then(buffer => ({
+      data: JSON.parse(new TextDecoder().decode(buffer)),
+      size: buffer.byteLength,
+    }));
+  }
+
+  const contentLength = response.headers.get('Content-Length');
+  const total = contentLength === null ? null : parseInt(contentLength, 10);
+  const reader = response.body.getReader();
+  const chunks = [];
+  let done = 0;
+
+  const readChunk = () => reader.read().then((result) => {
+    if (result.done) {
+      const bytes = new Uint8Array(done);
+      let offset = 0;
+      for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+      }
+      return { data: JSON.parse(new TextDecoder().decode(bytes)), size: done };
+    }
+
+    chunks.push(result.value);
+    done += result.value.length;
+    progressCallback(done, total);
+    return readChunk();
+  });
+  return readChunk();
+});
+
+self.addEventListener('message', ({ data: { sources, referenceDate, options } }) => {
+  const sendProgress = progress => self.postMessage(Object.assign({ type: 'progress' }, progress));
+
+  // Bytes downloaded for each source, to report the overall download progress
+  const downloaded = sources.map(({ url }) => ({
+    done: 0,
+    total: typeof url === 'undefined' ? 0 : null,
+  }));
+  const reportDownload = (index, done, total) => {
+    downloaded[index] = { done, total };
+    const allTotalsKnown = downloaded.every(source => source.total !== null);
+    sendProgress({
+      stage: 'download',
+      done: downloaded.reduce((sum, source) => sum + source.done, 0),
+      total: allTotalsKnown ? downloaded.reduce((sum, source) => sum + source.total, 0) : null,
+    });
+  };
+
+  // Get a dataset from the cache, or download it and store it in the cache.
+  // The cache is just skipped if not available
+  const load = ({ url, date, filename }, index) => cache.getDataset(date, filename)
+    .catch(() => undefined)
+    .then((cachedData) => {
+      if (typeof cachedData !== 'undefined') {
+        reportDownload(index, 0, 0);
+        return cachedData;
+      }
+      return download(url, (done, total) => reportDownload(index, done, total))
+        .then(({ data, size }) => cache.putDataset(date, filename, data, size)
+          .catch(() => {})
+          .then(() => data));
+    });
+
+  Promise.all(sources.map((source, index) => (
+    typeof source.url === 'undefined' ? Promise.resolve(source.data) : load(source, index)
+  )))
+    .then((inputData) => {
+      const dataset = new PTDataset(inputData, referenceDate, options, sendProgress);
+      self.postMessage({ type: 'dataset', dataset });
+    })
+    .catch((error) => {
+      self.postMessage({ type: 'error', message: error.message });
+    });
+});
@@ -23,6 +23,10 @@ module.exports = {
         test: /\.html$/,
         use: [{ loader: 'html-loader', options: { minimize: true } }],
       },
+      {
+        test: /\.worker\.js$/,
+        use: [{ loader: 'worker-loader' }],
+      },
       {
         test: /\.js$/,
         exclude: /node_modules/,